@@ -0,0 +1,57 @@
+-- CreateTable
+CREATE TABLE "product_variants" (
+    "id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "sku" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "real_price" DECIMAL(10,2) NOT NULL,
+    "discounted_price" DECIMAL(10,2) NOT NULL,
+    "stock_quantity" INTEGER NOT NULL,
+    "weight_kg" DECIMAL(6,3),
+    "is_active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_variants_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "cart_items" ADD COLUMN "variant_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "wishlist_items" ADD COLUMN "variant_id" TEXT;
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN "variant_id" TEXT,
+ADD COLUMN "variant_label" TEXT,
+ADD COLUMN "sku" TEXT;
+
+-- DropIndex
+DROP INDEX "cart_items_cart_id_product_id_key";
+
+-- DropIndex
+DROP INDEX "wishlist_items_wishlist_id_product_id_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_variants_sku_key" ON "product_variants"("sku");
+
+-- CreateIndex
+CREATE INDEX "product_variants_product_id_idx" ON "product_variants"("product_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cart_items_cart_id_product_id_variant_id_key" ON "cart_items"("cart_id", "product_id", "variant_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wishlist_items_wishlist_id_product_id_variant_id_key" ON "wishlist_items"("wishlist_id", "product_id", "variant_id");
+
+-- AddForeignKey
+ALTER TABLE "product_variants" ADD CONSTRAINT "product_variants_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "cart_items" ADD CONSTRAINT "cart_items_variant_id_fkey" FOREIGN KEY ("variant_id") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "wishlist_items" ADD CONSTRAINT "wishlist_items_variant_id_fkey" FOREIGN KEY ("variant_id") REFERENCES "product_variants"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "order_items" ADD CONSTRAINT "order_items_variant_id_fkey" FOREIGN KEY ("variant_id") REFERENCES "product_variants"("id") ON DELETE SET NULL ON UPDATE CASCADE;
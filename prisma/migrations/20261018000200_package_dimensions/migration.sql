@@ -0,0 +1,10 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "weight_kg" DECIMAL(6,3),
+ADD COLUMN "length_cm" DECIMAL(6,2),
+ADD COLUMN "breadth_cm" DECIMAL(6,2),
+ADD COLUMN "height_cm" DECIMAL(6,2);
+
+-- AlterTable
+ALTER TABLE "product_variants" ADD COLUMN "length_cm" DECIMAL(6,2),
+ADD COLUMN "breadth_cm" DECIMAL(6,2),
+ADD COLUMN "height_cm" DECIMAL(6,2);
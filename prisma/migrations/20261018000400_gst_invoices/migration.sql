@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "hsn_code" TEXT,
+ADD COLUMN "gst_rate" DECIMAL(5,2);
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "tax_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN "invoice_number" TEXT,
+ADD COLUMN "invoice_date" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "order_items" ADD COLUMN "discount_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN "hsn_code" TEXT,
+ADD COLUMN "gst_rate" DECIMAL(5,2) NOT NULL DEFAULT 0,
+ADD COLUMN "taxable_value" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN "cgst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN "sgst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN "igst_amount" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "invoice_sequences" (
+    "financial_year" TEXT NOT NULL,
+    "last_number" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "invoice_sequences_pkey" PRIMARY KEY ("financial_year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "orders_invoice_number_key" ON "orders"("invoice_number");
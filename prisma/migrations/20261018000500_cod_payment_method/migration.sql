@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "PaymentMethod" AS ENUM ('PREPAID', 'COD');
+
+-- AlterEnum
+ALTER TYPE "OrderStatus" ADD VALUE 'CONFIRMED' BEFORE 'PAID';
+
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "cod_fee" DECIMAL(10,2) NOT NULL DEFAULT 0,
+ADD COLUMN "payment_method" "PaymentMethod" NOT NULL DEFAULT 'PREPAID';
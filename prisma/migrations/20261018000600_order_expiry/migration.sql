@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "cancellation_reason" TEXT,
+ADD COLUMN "cancelled_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "orders_status_createdAt_idx" ON "orders"("status", "createdAt");
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "WebhookProvider" AS ENUM ('RAZORPAY', 'SHIPROCKET');
+
+-- CreateEnum
+CREATE TYPE "WebhookEventStatus" AS ENUM ('RECEIVED', 'PROCESSED', 'FAILED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "webhook_events" (
+    "id" TEXT NOT NULL,
+    "provider" "WebhookProvider" NOT NULL,
+    "event_id" TEXT,
+    "event_type" TEXT,
+    "payload" JSONB NOT NULL,
+    "signature_valid" BOOLEAN NOT NULL,
+    "status" "WebhookEventStatus" NOT NULL DEFAULT 'RECEIVED',
+    "attempts" INTEGER NOT NULL DEFAULT 1,
+    "error" TEXT,
+    "processed_at" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "webhook_events_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "webhook_events_status_idx" ON "webhook_events"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_events_provider_event_id_key" ON "webhook_events"("provider", "event_id");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "shipment_attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "shipment_last_error" TEXT,
+ADD COLUMN "shipment_next_retry_at" TIMESTAMP(3);
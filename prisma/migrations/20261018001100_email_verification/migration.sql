@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "email_verified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "email_verified_at" TIMESTAMP(3);
+
+-- Accounts created before verification existed are treated as verified
+UPDATE "users" SET "email_verified" = true, "email_verified_at" = CURRENT_TIMESTAMP;
@@ -0,0 +1,32 @@
+-- CreateEnum
+CREATE TYPE "OtpPurpose" AS ENUM ('LOGIN', 'VERIFY_PHONE');
+
+-- AlterTable (phone-only accounts have no email)
+ALTER TABLE "users" ALTER COLUMN "email" DROP NOT NULL,
+ADD COLUMN     "phone_verified" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "phone_verified_at" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "phone_otps" (
+    "id" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "purpose" "OtpPurpose" NOT NULL,
+    "user_id" TEXT,
+    "code_hash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expires_at" TIMESTAMP(3) NOT NULL,
+    "consumed_at" TIMESTAMP(3),
+    "requested_ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "phone_otps_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "phone_otps_phone_purpose_createdAt_idx" ON "phone_otps"("phone", "purpose", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "phone_otps_user_id_idx" ON "phone_otps"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "phone_otps" ADD CONSTRAINT "phone_otps_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterEnum
+ALTER TYPE "UserRole" ADD VALUE 'CATALOG_MANAGER' BEFORE 'USER';
+ALTER TYPE "UserRole" ADD VALUE 'ORDER_MANAGER' BEFORE 'USER';
+ALTER TYPE "UserRole" ADD VALUE 'SUPPORT' BEFORE 'USER';
+ALTER TYPE "UserRole" ADD VALUE 'FINANCE' BEFORE 'USER';
@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "OtpPurpose" ADD VALUE 'GUEST_CHECKOUT';
+
+-- AlterTable
+ALTER TABLE "orders" ALTER COLUMN "user_id" DROP NOT NULL,
+ADD COLUMN "guest_name" TEXT,
+ADD COLUMN "guest_email" TEXT,
+ADD COLUMN "guest_phone" TEXT,
+ADD COLUMN "claimed_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "orders_guest_email_idx" ON "orders"("guest_email");
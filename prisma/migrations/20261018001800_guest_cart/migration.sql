@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "carts" ALTER COLUMN "user_id" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "carts_updatedAt_idx" ON "carts"("updatedAt");
@@ -0,0 +1,57 @@
+-- Trigram matching (typo tolerant search)
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "tags" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "ingredients" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "search_vector" tsvector,
+ADD COLUMN "search_text" TEXT;
+
+-- Search document: name (A), tags + ingredients (B), category name (C), description (D)
+CREATE OR REPLACE FUNCTION products_search_refresh() RETURNS trigger AS $$
+DECLARE
+  category_name TEXT;
+BEGIN
+  SELECT "name" INTO category_name FROM "categories" WHERE "id" = NEW."category_id";
+
+  NEW."search_vector" :=
+    setweight(to_tsvector('english', coalesce(NEW."name", '')), 'A') ||
+    setweight(to_tsvector('english', array_to_string(coalesce(NEW."tags", '{}') || coalesce(NEW."ingredients", '{}'), ' ')), 'B') ||
+    setweight(to_tsvector('english', coalesce(category_name, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(NEW."description", '')), 'D');
+
+  NEW."search_text" := lower(concat_ws(' ',
+    NEW."name",
+    array_to_string(NEW."tags", ' '),
+    array_to_string(NEW."ingredients", ' ')
+  ));
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "products_search_refresh"
+BEFORE INSERT OR UPDATE OF "name", "description", "category_id", "tags", "ingredients" ON "products"
+FOR EACH ROW EXECUTE FUNCTION products_search_refresh();
+
+-- Renaming a category re-indexes its products
+CREATE OR REPLACE FUNCTION categories_search_refresh() RETURNS trigger AS $$
+BEGIN
+  UPDATE "products" SET "category_id" = "category_id" WHERE "category_id" = NEW."id";
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "categories_search_refresh"
+AFTER UPDATE OF "name" ON "categories"
+FOR EACH ROW WHEN (OLD."name" IS DISTINCT FROM NEW."name")
+EXECUTE FUNCTION categories_search_refresh();
+
+-- Backfill existing products
+UPDATE "products" SET "name" = "name";
+
+-- CreateIndex
+CREATE INDEX "products_search_vector_idx" ON "products" USING GIN ("search_vector");
+
+-- CreateIndex
+CREATE INDEX "products_search_text_trgm_idx" ON "products" USING GIN ("search_text" gin_trgm_ops);
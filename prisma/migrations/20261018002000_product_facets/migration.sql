@@ -0,0 +1,57 @@
+-- CreateEnum
+CREATE TYPE "Dosha" AS ENUM ('VATA', 'PITTA', 'KAPHA');
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "doshas" "Dosha"[] DEFAULT ARRAY[]::"Dosha"[],
+ADD COLUMN "average_rating" DECIMAL(3,2) NOT NULL DEFAULT 0,
+ADD COLUMN "review_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "sales_count" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN "discount_percent" DECIMAL(5,2) NOT NULL DEFAULT 0;
+
+-- Discount percentage follows the prices
+CREATE OR REPLACE FUNCTION products_discount_refresh() RETURNS trigger AS $$
+BEGIN
+  NEW."discount_percent" := CASE
+    WHEN NEW."real_price" > 0 AND NEW."discounted_price" < NEW."real_price"
+      THEN round((NEW."real_price" - NEW."discounted_price") / NEW."real_price" * 100, 2)
+    ELSE 0
+  END;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "products_discount_refresh"
+BEFORE INSERT OR UPDATE OF "real_price", "discounted_price", "discount_percent" ON "products"
+FOR EACH ROW EXECUTE FUNCTION products_discount_refresh();
+
+-- Backfill
+UPDATE "products" SET "real_price" = "real_price";
+
+UPDATE "products" p SET
+  "average_rating" = stats.average_rating,
+  "review_count" = stats.review_count
+FROM (
+  SELECT "product_id", round(avg("rating"), 2) AS average_rating, count(*) AS review_count
+  FROM "reviews"
+  GROUP BY "product_id"
+) stats
+WHERE p."id" = stats."product_id";
+
+UPDATE "products" p SET "sales_count" = sales.quantity
+FROM (
+  SELECT oi."product_id", sum(oi."quantity") AS quantity
+  FROM "order_items" oi
+  JOIN "orders" o ON o."id" = oi."order_id"
+  WHERE o."status" <> 'CANCELLED'
+  GROUP BY oi."product_id"
+) sales
+WHERE p."id" = sales."product_id";
+
+-- CreateIndex
+CREATE INDEX "products_tags_idx" ON "products" USING GIN ("tags");
+
+-- CreateIndex
+CREATE INDEX "products_doshas_idx" ON "products" USING GIN ("doshas");
+
+-- CreateIndex
+CREATE INDEX "products_is_active_discounted_price_idx" ON "products"("is_active", "discounted_price");
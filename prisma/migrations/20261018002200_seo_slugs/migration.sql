@@ -0,0 +1,87 @@
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "slug" TEXT,
+ADD COLUMN "meta_title" TEXT,
+ADD COLUMN "meta_description" TEXT,
+ADD COLUMN "og_image_url" TEXT;
+
+-- AlterTable
+ALTER TABLE "categories" ADD COLUMN "slug" TEXT,
+ADD COLUMN "meta_title" TEXT,
+ADD COLUMN "meta_description" TEXT,
+ADD COLUMN "og_image_url" TEXT;
+
+-- Backfill slugs from names (lower-case words joined by hyphens, at most
+-- 80 characters). When two rows share a slug, the older keeps it and the
+-- others get the start of their ID appended.
+WITH base AS (
+  SELECT id, "createdAt",
+    coalesce(nullif(trim(BOTH '-' FROM left(regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g'), 70)), ''), 'product') AS slug
+  FROM "products"
+), ranked AS (
+  SELECT id, slug, row_number() OVER (PARTITION BY slug ORDER BY "createdAt", id) AS n
+  FROM base
+)
+UPDATE "products" p
+SET "slug" = CASE WHEN r.n = 1 THEN r.slug ELSE r.slug || '-' || left(p.id, 8) END
+FROM ranked r
+WHERE r.id = p.id;
+
+WITH base AS (
+  SELECT id, "createdAt",
+    coalesce(nullif(trim(BOTH '-' FROM left(regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g'), 70)), ''), 'category') AS slug
+  FROM "categories"
+), ranked AS (
+  SELECT id, slug, row_number() OVER (PARTITION BY slug ORDER BY "createdAt", id) AS n
+  FROM base
+)
+UPDATE "categories" c
+SET "slug" = CASE WHEN r.n = 1 THEN r.slug ELSE r.slug || '-' || left(c.id, 8) END
+FROM ranked r
+WHERE r.id = c.id;
+
+ALTER TABLE "products" ALTER COLUMN "slug" SET NOT NULL;
+ALTER TABLE "categories" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "product_slug_redirects" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "product_slug_redirects_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "category_slug_redirects" (
+    "id" TEXT NOT NULL,
+    "slug" TEXT NOT NULL,
+    "category_id" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "category_slug_redirects_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "products_slug_key" ON "products"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "categories_slug_key" ON "categories"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_slug_redirects_slug_key" ON "product_slug_redirects"("slug");
+
+-- CreateIndex
+CREATE INDEX "product_slug_redirects_product_id_idx" ON "product_slug_redirects"("product_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "category_slug_redirects_slug_key" ON "category_slug_redirects"("slug");
+
+-- CreateIndex
+CREATE INDEX "category_slug_redirects_category_id_idx" ON "category_slug_redirects"("category_id");
+
+-- AddForeignKey
+ALTER TABLE "product_slug_redirects" ADD CONSTRAINT "product_slug_redirects_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "category_slug_redirects" ADD CONSTRAINT "category_slug_redirects_category_id_fkey" FOREIGN KEY ("category_id") REFERENCES "categories"("id") ON DELETE CASCADE ON UPDATE CASCADE;
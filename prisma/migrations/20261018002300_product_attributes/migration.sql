@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "AttributeType" AS ENUM ('TEXT', 'NUMBER', 'BOOLEAN', 'SELECT', 'MULTI_SELECT', 'LIST');
+
+-- CreateTable
+CREATE TABLE "attribute_definitions" (
+    "id" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "type" "AttributeType" NOT NULL,
+    "options" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "unit" TEXT,
+    "is_required" BOOLEAN NOT NULL DEFAULT false,
+    "is_filterable" BOOLEAN NOT NULL DEFAULT false,
+    "sort_order" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "attribute_definitions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "product_attribute_values" (
+    "id" TEXT NOT NULL,
+    "product_id" TEXT NOT NULL,
+    "attribute_id" TEXT NOT NULL,
+    "text_value" TEXT,
+    "number_value" DECIMAL(12,3),
+    "boolean_value" BOOLEAN,
+    "list_value" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "product_attribute_values_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "attribute_definitions_key_key" ON "attribute_definitions"("key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "product_attribute_values_product_id_attribute_id_key" ON "product_attribute_values"("product_id", "attribute_id");
+
+-- CreateIndex
+CREATE INDEX "product_attribute_values_attribute_id_text_value_idx" ON "product_attribute_values"("attribute_id", "text_value");
+
+-- CreateIndex
+CREATE INDEX "product_attribute_values_attribute_id_number_value_idx" ON "product_attribute_values"("attribute_id", "number_value");
+
+-- AddForeignKey
+ALTER TABLE "product_attribute_values" ADD CONSTRAINT "product_attribute_values_product_id_fkey" FOREIGN KEY ("product_id") REFERENCES "products"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "product_attribute_values" ADD CONSTRAINT "product_attribute_values_attribute_id_fkey" FOREIGN KEY ("attribute_id") REFERENCES "attribute_definitions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
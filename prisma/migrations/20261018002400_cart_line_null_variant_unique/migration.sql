@@ -0,0 +1,40 @@
+-- The (cart_id, product_id, variant_id) unique indexes treat NULLs as
+-- distinct, so whole-product lines (no variant) could be duplicated.
+-- Partial indexes close that gap; Prisma can't express them in the schema.
+
+-- Merge duplicate whole-product cart lines into the oldest one
+WITH ranked AS (
+    SELECT "id",
+           FIRST_VALUE("id") OVER w AS "keep_id",
+           SUM("quantity") OVER (PARTITION BY "cart_id", "product_id") AS "total_quantity"
+    FROM "cart_items"
+    WHERE "variant_id" IS NULL
+    WINDOW w AS (PARTITION BY "cart_id", "product_id" ORDER BY "createdAt", "id")
+)
+UPDATE "cart_items" c
+SET "quantity" = ranked."total_quantity"
+FROM ranked
+WHERE c."id" = ranked."id" AND ranked."id" = ranked."keep_id";
+
+DELETE FROM "cart_items" c
+USING "cart_items" k
+WHERE c."variant_id" IS NULL
+  AND k."variant_id" IS NULL
+  AND c."cart_id" = k."cart_id"
+  AND c."product_id" = k."product_id"
+  AND (k."createdAt", k."id") < (c."createdAt", c."id");
+
+-- Drop duplicate whole-product wishlist entries, keeping the oldest
+DELETE FROM "wishlist_items" w
+USING "wishlist_items" k
+WHERE w."variant_id" IS NULL
+  AND k."variant_id" IS NULL
+  AND w."wishlist_id" = k."wishlist_id"
+  AND w."product_id" = k."product_id"
+  AND (k."createdAt", k."id") < (w."createdAt", w."id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "cart_items_cart_id_product_id_null_variant_key" ON "cart_items"("cart_id", "product_id") WHERE "variant_id" IS NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "wishlist_items_wishlist_id_product_id_null_variant_key" ON "wishlist_items"("wishlist_id", "product_id") WHERE "variant_id" IS NULL;
@@ -0,0 +1,6 @@
+-- Parcels for large orders can exceed 999.99 kg / cm
+-- AlterTable
+ALTER TABLE "orders" ALTER COLUMN "weight_kg" SET DATA TYPE DECIMAL(8,2),
+ALTER COLUMN "length_cm" SET DATA TYPE DECIMAL(8,2),
+ALTER COLUMN "breadth_cm" SET DATA TYPE DECIMAL(8,2),
+ALTER COLUMN "height_cm" SET DATA TYPE DECIMAL(8,2);
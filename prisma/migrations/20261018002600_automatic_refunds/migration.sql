@@ -0,0 +1,3 @@
+-- Payments captured for cancelled guest orders are refunded without a user
+-- AlterTable
+ALTER TABLE "refunds" ALTER COLUMN "user_id" DROP NOT NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "orders" ADD COLUMN "shipment_locked_until" TIMESTAMP(3);
@@ -0,0 +1,51 @@
+-- Listing price of a product: its cheapest active pack size, or its own
+-- discounted price when it has none. Used for the price filter, sort and
+-- facets.
+
+-- AlterTable
+ALTER TABLE "products" ADD COLUMN "min_price" DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION product_min_price(p_product_id TEXT, p_discounted_price DECIMAL) RETURNS DECIMAL AS $$
+  SELECT COALESCE(
+    (SELECT min("discounted_price") FROM "product_variants" WHERE "product_id" = p_product_id AND "is_active"),
+    p_discounted_price
+  );
+$$ LANGUAGE sql STABLE;
+
+-- Follows the product's own price
+CREATE OR REPLACE FUNCTION products_min_price_refresh() RETURNS trigger AS $$
+BEGIN
+  NEW."min_price" := product_min_price(NEW."id", NEW."discounted_price");
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "products_min_price_refresh"
+BEFORE INSERT OR UPDATE OF "discounted_price", "min_price" ON "products"
+FOR EACH ROW EXECUTE FUNCTION products_min_price_refresh();
+
+-- Follows pack size prices (setting min_price re-runs the trigger above)
+CREATE OR REPLACE FUNCTION product_variants_min_price_refresh() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    UPDATE "products" SET "min_price" = 0 WHERE "id" = OLD."product_id";
+  END IF;
+  IF TG_OP <> 'DELETE' AND (TG_OP = 'INSERT' OR NEW."product_id" <> OLD."product_id") THEN
+    UPDATE "products" SET "min_price" = 0 WHERE "id" = NEW."product_id";
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER "product_variants_min_price_refresh"
+AFTER INSERT OR UPDATE OF "discounted_price", "is_active", "product_id" OR DELETE ON "product_variants"
+FOR EACH ROW EXECUTE FUNCTION product_variants_min_price_refresh();
+
+-- Backfill
+UPDATE "products" SET "min_price" = 0;
+
+-- DropIndex
+DROP INDEX "products_is_active_discounted_price_idx";
+
+-- CreateIndex
+CREATE INDEX "products_is_active_min_price_idx" ON "products"("is_active", "min_price");
@@ -30,7 +30,9 @@ async function main() {
         email: 'admin@gmail.com',
         password: hashedPassword,
         role: 'ADMIN',
-        phone: '+91-0000000000'
+        phone: '+91-0000000000',
+        emailVerified: true,
+        emailVerifiedAt: new Date()
       }
     });
 
@@ -39,7 +41,8 @@ async function main() {
     console.log('   Password: admin');
     console.log('   Role:', admin.role);
     console.log('   ID:', admin.id);
-    console.log('\n⚠️  Please change the default password after first login!\n');
+    console.log('\n⚠️  Please change the default password after first login (PUT /api/auth/password)');
+    console.log('   and enable two-factor authentication (POST /api/auth/2fa/setup)!\n');
 
   } catch (error) {
     console.error('❌ Error seeding database:', error);
@@ -7,6 +7,19 @@ const {
   connectDatabase,
   disconnectDatabase,
 } = require("./src/config/database");
+const {
+  startOrderExpiryJob,
+  stopOrderExpiryJob,
+} = require("./src/jobs/orderExpiry.job");
+const {
+  startShipmentRetryJob,
+  stopShipmentRetryJob,
+} = require("./src/jobs/shipmentRetry.job");
+const {
+  startGuestCartCleanupJob,
+  stopGuestCartCleanupJob,
+} = require("./src/jobs/guestCartCleanup.job");
+const { rateLimit } = require("./src/middleware/rateLimit.middleware");
 
 // Initialize Express App
 const app = express();
@@ -16,6 +29,18 @@ const PORT = process.env.PORT || 5000;
 // MIDDLEWARE SETUP
 // ============================================
 
+// Behind a load balancer / reverse proxy, trust X-Forwarded-For so req.ip
+// is the client (used for rate limiting and session IPs).
+// TRUST_PROXY: number of proxy hops, "true", or a subnet list
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy === "true") {
+  app.set("trust proxy", true);
+} else if (/^\d+$/.test(trustProxy || "")) {
+  app.set("trust proxy", parseInt(trustProxy));
+} else if (trustProxy && trustProxy !== "false") {
+  app.set("trust proxy", trustProxy);
+}
+
 // Compression middleware (gzip) for all responses
 app.use(compression());
 
@@ -27,6 +52,10 @@ app.use(
   }),
 );
 
+// Webhooks need the raw request body for signature verification,
+// so they are mounted before the JSON body parser
+app.use("/api/webhooks", require("./src/routes/webhook.routes"));
+
 // Body Parser Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -47,6 +76,12 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Sitemap for search engines
+app.use(require("./src/routes/seo.routes"));
+
+// Per-IP limit on every API route (webhooks are mounted above with their own limit)
+app.use("/api", rateLimit("api"));
+
 // API Routes
 app.use("/api/auth", require("./src/routes/auth.routes"));
 app.use("/api/users", require("./src/routes/user.routes"));
@@ -58,7 +93,6 @@ app.use("/api/orders", require("./src/routes/order.routes"));
 app.use("/api/reviews", require("./src/routes/review.routes"));
 app.use("/api/shipping", require("./src/routes/shipping.routes"));
 app.use("/api/refunds", require("./src/routes/refund.routes"));
-app.use("/api/webhooks", require("./src/routes/webhook.routes"));
 app.use("/api/admin", require("./src/routes/admin.routes"));
 
 // 404 Handler
@@ -89,6 +123,11 @@ const startServer = async () => {
     // Connect to Database
     await connectDatabase();
 
+    // Background Jobs
+    startOrderExpiryJob();
+    startShipmentRetryJob();
+    startGuestCartCleanupJob();
+
     // Start Express Server
     app.listen(PORT, () => {
       console.log(`\n🚀 Server running on port ${PORT}`);
@@ -104,12 +143,18 @@ const startServer = async () => {
 // Graceful Shutdown
 process.on("SIGINT", async () => {
   console.log("\n⚠️  Shutting down gracefully...");
+  stopOrderExpiryJob();
+  stopShipmentRetryJob();
+  stopGuestCartCleanupJob();
   await disconnectDatabase();
   process.exit(0);
 });
 
 process.on("SIGTERM", async () => {
   console.log("\n⚠️  Shutting down gracefully...");
+  stopOrderExpiryJob();
+  stopShipmentRetryJob();
+  stopGuestCartCleanupJob();
   await disconnectDatabase();
   process.exit(0);
 });
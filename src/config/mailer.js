@@ -0,0 +1,91 @@
+const axios = require('axios');
+
+/**
+ * Pluggable Mailer
+ *
+ * MAIL_TRANSPORT selects how emails are delivered:
+ * - console: logs the email, for development. It is the default unless
+ *   NODE_ENV is production, where MAIL_TRANSPORT must be set explicitly so
+ *   reset and verification links never end up in the logs by accident
+ * - http: POSTs { from, to, subject, text, html } as JSON to MAIL_HTTP_URL
+ *   (with MAIL_HTTP_API_KEY as Bearer token) - point it at your email
+ *   provider or an internal relay
+ *
+ * Any other provider can be plugged in at startup:
+ *   setMailTransport({ send: async (message) => { ... } })
+ */
+
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+};
+
+const httpTransport = {
+  send: async (message) => {
+    if (!process.env.MAIL_HTTP_URL) {
+      throw new Error('MAIL_HTTP_URL is not configured');
+    }
+
+    await axios.post(process.env.MAIL_HTTP_URL, message, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.MAIL_HTTP_API_KEY && { Authorization: `Bearer ${process.env.MAIL_HTTP_API_KEY}` })
+      },
+      timeout: 10000
+    });
+  }
+};
+
+const TRANSPORTS = {
+  console: consoleTransport,
+  http: httpTransport
+};
+
+let customTransport = null;
+
+/**
+ * Replace the configured transport (e.g. with an SMTP or SES client)
+ *
+ * @param {Object|null} transport - { send: async (message) => void }, null to reset
+ */
+const setMailTransport = (transport) => {
+  customTransport = transport;
+};
+
+const getConfiguredTransport = () => {
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+
+  const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const transport = TRANSPORTS[name];
+
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+
+  return transport;
+};
+
+// Fail at startup rather than on the first email
+getConfiguredTransport();
+
+const getTransport = () => customTransport || getConfiguredTransport();
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - { to, subject, text, html? }
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    ...(html && { html })
+  });
+};
+
+module.exports = { sendMail, setMailTransport };
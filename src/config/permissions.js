@@ -0,0 +1,82 @@
+/**
+ * Role Permission Matrix
+ *
+ * Permissions are "<resource>:<action>" strings checked by the
+ * authorize() middleware. ADMIN holds every permission; USER (customers)
+ * holds none. Every other role is staff with a subset.
+ */
+
+const PERMISSIONS = {
+  PRODUCTS_WRITE: 'products:write',
+  PRODUCTS_DELETE: 'products:delete',
+  CATEGORIES_WRITE: 'categories:write',
+  CATEGORIES_DELETE: 'categories:delete',
+  UPLOADS_CREATE: 'uploads:create',
+  COUPONS_READ: 'coupons:read',
+  COUPONS_WRITE: 'coupons:write',
+  ORDERS_UPDATE: 'orders:update',
+  SHIPMENTS_READ: 'shipments:read',
+  SHIPMENTS_MANAGE: 'shipments:manage',
+  REFUNDS_READ: 'refunds:read',
+  REFUNDS_APPROVE: 'refunds:approve',
+  WEBHOOKS_READ: 'webhooks:read',
+  WEBHOOKS_REPROCESS: 'webhooks:reprocess',
+  USERS_READ: 'users:read',
+  USERS_ROLES: 'users:roles',
+  AUDIT_READ: 'audit:read'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const ROLE_PERMISSIONS = {
+  ADMIN: ALL_PERMISSIONS,
+  CATALOG_MANAGER: [
+    PERMISSIONS.PRODUCTS_WRITE,
+    PERMISSIONS.PRODUCTS_DELETE,
+    PERMISSIONS.CATEGORIES_WRITE,
+    PERMISSIONS.CATEGORIES_DELETE,
+    PERMISSIONS.UPLOADS_CREATE,
+    PERMISSIONS.COUPONS_READ,
+    PERMISSIONS.COUPONS_WRITE
+  ],
+  ORDER_MANAGER: [
+    PERMISSIONS.ORDERS_UPDATE,
+    PERMISSIONS.SHIPMENTS_READ,
+    PERMISSIONS.SHIPMENTS_MANAGE,
+    PERMISSIONS.WEBHOOKS_READ
+  ],
+  SUPPORT: [
+    PERMISSIONS.SHIPMENTS_READ,
+    PERMISSIONS.REFUNDS_READ,
+    PERMISSIONS.COUPONS_READ,
+    PERMISSIONS.USERS_READ
+  ],
+  FINANCE: [
+    PERMISSIONS.REFUNDS_READ,
+    PERMISSIONS.REFUNDS_APPROVE,
+    PERMISSIONS.COUPONS_READ,
+    PERMISSIONS.WEBHOOKS_READ,
+    PERMISSIONS.WEBHOOKS_REPROCESS
+  ],
+  USER: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+/**
+ * Staff = any role with at least one permission
+ */
+const isStaffRole = (role) => getRolePermissions(role).length > 0;
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  getRolePermissions,
+  hasPermission,
+  isStaffRole
+};
@@ -67,7 +67,7 @@ class ShiprocketClient {
    * @param {string} params.pickupPincode - Pickup location pincode
    * @param {string} params.deliveryPincode - Delivery location pincode
    * @param {number} params.weightKg - Package weight in kg
-   * @param {number} params.codAmount - COD amount (0 for prepaid)
+   * @param {boolean} params.cod - true to only return couriers that collect Cash on Delivery
    * @returns {Promise<Object>} Shipping details including cost
    */
   async checkServiceability(params) {
@@ -79,7 +79,7 @@ class ShiprocketClient {
           pickup_postcode: params.pickupPincode,
           delivery_postcode: params.deliveryPincode,
           weight: params.weightKg,
-          cod: params.codAmount || 0
+          cod: params.cod ? 1 : 0
         }
       });
 
@@ -149,6 +149,9 @@ class ShiprocketClient {
         })),
         payment_method: orderData.paymentMethod || 'Prepaid',
         sub_total: parseFloat(orderData.subtotal),
+        shipping_charges: orderData.shippingCharges || 0,
+        transaction_charges: orderData.transactionCharges || 0,
+        total_discount: orderData.totalDiscount || 0,
         length: orderData.dimensions?.length || 10,
         breadth: orderData.dimensions?.breadth || 10,
         height: orderData.dimensions?.height || 10,
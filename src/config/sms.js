@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+/**
+ * Pluggable SMS Provider
+ *
+ * SMS_PROVIDER selects how text messages are delivered:
+ * - console: logs the message, for development. It is the default unless
+ *   NODE_ENV is production, where SMS_PROVIDER must be set explicitly so
+ *   OTPs never end up in the logs by accident
+ * - file: appends one JSON line per message to SMS_FILE_PATH
+ *   (default logs/sms.log), handy for automated tests
+ * - http: POSTs { to, message, sender } as JSON to SMS_HTTP_URL
+ *   (with SMS_HTTP_API_KEY as Bearer token) - point it at your SMS
+ *   gateway or an internal relay
+ *
+ * Any other gateway (MSG91, Twilio ...) can be plugged in at startup:
+ *   setSmsProvider({ send: async ({ to, message }) => { ... } })
+ */
+
+const consoleProvider = {
+  send: async ({ to, message }) => {
+    console.log(`📱 SMS to ${to}: ${message}`);
+  }
+};
+
+const fileProvider = {
+  send: async (sms) => {
+    const filePath = path.resolve(process.env.SMS_FILE_PATH || 'logs/sms.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify({ ...sms, sentAt: new Date().toISOString() })}\n`);
+  }
+};
+
+const httpProvider = {
+  send: async (sms) => {
+    if (!process.env.SMS_HTTP_URL) {
+      throw new Error('SMS_HTTP_URL is not configured');
+    }
+
+    await axios.post(process.env.SMS_HTTP_URL, sms, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_HTTP_API_KEY && { Authorization: `Bearer ${process.env.SMS_HTTP_API_KEY}` })
+      },
+      timeout: 10000
+    });
+  }
+};
+
+const PROVIDERS = {
+  console: consoleProvider,
+  file: fileProvider,
+  http: httpProvider
+};
+
+let customProvider = null;
+
+/**
+ * Replace the configured provider
+ *
+ * @param {Object|null} provider - { send: async ({ to, message, sender }) => void }, null to reset
+ */
+const setSmsProvider = (provider) => {
+  customProvider = provider;
+};
+
+const getConfiguredProvider = () => {
+  if (!process.env.SMS_PROVIDER && process.env.NODE_ENV === 'production') {
+    throw new Error('SMS_PROVIDER must be set in production');
+  }
+
+  const name = (process.env.SMS_PROVIDER || 'console').toLowerCase();
+  const provider = PROVIDERS[name];
+
+  if (!provider) {
+    throw new Error(`Unknown SMS_PROVIDER: ${name}`);
+  }
+
+  return provider;
+};
+
+// Fail at startup rather than on the first OTP
+getConfiguredProvider();
+
+const getProvider = () => customProvider || getConfiguredProvider();
+
+/**
+ * Send a text message
+ *
+ * @param {string} to - Phone number in E.164 format (+919876543210)
+ * @param {string} message - Message body
+ */
+const sendSms = async (to, message) => {
+  await getProvider().send({
+    to,
+    message,
+    ...(process.env.SMS_SENDER_ID && { sender: process.env.SMS_SENDER_ID })
+  });
+};
+
+module.exports = { sendSms, setSmsProvider };
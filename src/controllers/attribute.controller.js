@@ -0,0 +1,346 @@
+const { prisma } = require('../config/database');
+const { validationResult } = require('express-validator');
+const { OPTION_TYPES } = require('../utils/productAttribute.helper');
+
+/**
+ * Options for a definition: required (unique, trimmed) for SELECT and
+ * MULTI_SELECT, always empty for other types
+ *
+ * @returns {Object} { options } or { error }
+ */
+const resolveOptions = (type, options) => {
+  if (!OPTION_TYPES.includes(type)) {
+    return { options: [] };
+  }
+
+  const unique = [...new Set((options || []).map(option => String(option).trim()).filter(Boolean))];
+  if (unique.length === 0) {
+    return { error: `${type} attributes need at least one option` };
+  }
+
+  return { options: unique };
+};
+
+/**
+ * Get Attribute Definitions (PUBLIC ACCESS)
+ *
+ * Used by the storefront to label product attributes and build filters.
+ *
+ * Sample Request:
+ * GET /api/products/attributes
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "attributes": [
+ *     {
+ *       "id": "uuid",
+ *       "key": "form",
+ *       "label": "Form",
+ *       "type": "SELECT",
+ *       "options": ["POWDER", "TABLET", "OIL"],
+ *       "unit": null,
+ *       "isRequired": true,
+ *       "isFilterable": true,
+ *       "sortOrder": 1
+ *     },
+ *     {
+ *       "id": "uuid",
+ *       "key": "shelf_life_months",
+ *       "label": "Shelf life",
+ *       "type": "NUMBER",
+ *       "options": [],
+ *       "unit": "months",
+ *       "isRequired": false,
+ *       "isFilterable": true,
+ *       "sortOrder": 2
+ *     }
+ *   ]
+ * }
+ */
+const getAttributeDefinitions = async (req, res) => {
+  try {
+    const attributes = await prisma.attributeDefinition.findMany({
+      orderBy: [{ sortOrder: 'asc' }, { label: 'asc' }]
+    });
+
+    return res.status(200).json({
+      success: true,
+      attributes
+    });
+
+  } catch (error) {
+    console.error('Get Attributes Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch attributes',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create Attribute Definition (ADMIN ONLY)
+ *
+ * Sample Request:
+ * POST /api/admin/attributes
+ * Authorization: Bearer <admin_token>
+ * Body:
+ * {
+ *   "key": "form",
+ *   "label": "Form",
+ *   "type": "SELECT",
+ *   "options": ["POWDER", "TABLET", "OIL"] (SELECT and MULTI_SELECT only),
+ *   "unit": "months" (optional - shown after NUMBER values),
+ *   "isRequired": true (optional - new products must set it),
+ *   "isFilterable": true (optional - allows attr[form]=... on the listing),
+ *   "sortOrder": 1 (optional)
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Attribute created successfully",
+ *   "attribute": {...}
+ * }
+ */
+const createAttributeDefinition = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { key, label, type, unit, isRequired, isFilterable, sortOrder } = req.body;
+
+    const { options, error: optionsError } = resolveOptions(type, req.body.options);
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        message: optionsError
+      });
+    }
+
+    const attribute = await prisma.attributeDefinition.create({
+      data: {
+        key,
+        label,
+        type,
+        options,
+        unit: unit || null,
+        isRequired: Boolean(isRequired),
+        isFilterable: Boolean(isFilterable),
+        sortOrder: sortOrder !== undefined ? parseInt(sortOrder) : 0
+      }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Attribute created successfully',
+      attribute
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Attribute key already exists'
+      });
+    }
+
+    console.error('Create Attribute Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create attribute',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update Attribute Definition (ADMIN ONLY)
+ *
+ * The key can't change (the storefront and saved filters use it). The type
+ * can only change while no product has a value, and options in use can't
+ * be removed.
+ *
+ * Sample Request:
+ * PUT /api/admin/attributes/:id
+ * Authorization: Bearer <admin_token>
+ * Body: { "label": "Product form", "options": ["POWDER", "TABLET", "OIL", "SYRUP"] }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Attribute updated successfully",
+ *   "attribute": {...}
+ * }
+ */
+const updateAttributeDefinition = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const existing = await prisma.attributeDefinition.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { values: true }
+        }
+      }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attribute not found'
+      });
+    }
+
+    if (req.body.key !== undefined && req.body.key !== existing.key) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attribute key cannot be changed'
+      });
+    }
+
+    const type = req.body.type || existing.type;
+    if (type !== existing.type && existing._count.values > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Attribute type cannot be changed while products have values for it'
+      });
+    }
+
+    const updateData = {};
+
+    if (req.body.options !== undefined || type !== existing.type) {
+      const { options, error: optionsError } = resolveOptions(type, req.body.options !== undefined ? req.body.options : existing.options);
+      if (optionsError) {
+        return res.status(400).json({
+          success: false,
+          message: optionsError
+        });
+      }
+
+      const removed = existing.options.filter(option => !options.includes(option));
+      if (removed.length > 0) {
+        const inUse = await prisma.productAttributeValue.findMany({
+          where: {
+            attributeId: id,
+            OR: [
+              { textValue: { in: removed } },
+              { listValue: { hasSome: removed } }
+            ]
+          },
+          select: { textValue: true, listValue: true }
+        });
+
+        const usedOptions = removed.filter(option => inUse.some(value => value.textValue === option || value.listValue.includes(option)));
+        if (usedOptions.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: `Options still used by products: ${usedOptions.join(', ')}`
+          });
+        }
+      }
+
+      updateData.options = options;
+    }
+
+    if (req.body.type !== undefined) updateData.type = type;
+    if (req.body.label !== undefined) updateData.label = req.body.label;
+    if (req.body.unit !== undefined) updateData.unit = req.body.unit || null;
+    if (req.body.isRequired !== undefined) updateData.isRequired = Boolean(req.body.isRequired);
+    if (req.body.isFilterable !== undefined) updateData.isFilterable = Boolean(req.body.isFilterable);
+    if (req.body.sortOrder !== undefined) updateData.sortOrder = parseInt(req.body.sortOrder);
+
+    const attribute = await prisma.attributeDefinition.update({
+      where: { id },
+      data: updateData
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Attribute updated successfully',
+      attribute
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attribute not found'
+      });
+    }
+
+    console.error('Update Attribute Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update attribute',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete Attribute Definition (ADMIN ONLY)
+ *
+ * Also deletes every product's value for it.
+ *
+ * Sample Request:
+ * DELETE /api/admin/attributes/:id
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Attribute deleted successfully"
+ * }
+ */
+const deleteAttributeDefinition = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.attributeDefinition.delete({
+      where: { id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Attribute deleted successfully'
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Attribute not found'
+      });
+    }
+
+    console.error('Delete Attribute Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete attribute',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAttributeDefinitions,
+  createAttributeDefinition,
+  updateAttributeDefinition,
+  deleteAttributeDefinition
+};
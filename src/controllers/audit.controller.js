@@ -0,0 +1,107 @@
+const { prisma } = require('../config/database');
+
+/**
+ * Get Audit Logs (STAFF with audit:read)
+ *
+ * Sample Request:
+ * GET /api/admin/audit-logs?entityType=Product&entityId=uuid&actorId=uuid&action=product.update&from=2026-10-01&to=2026-10-31&page=1&limit=20
+ * Authorization: Bearer <admin_token>
+ *
+ * Query Parameters (all optional):
+ * - actorId: Staff user who made the change
+ * - action: e.g. product.update, refund.approve (a trailing ".*" matches a prefix, e.g. product.*)
+ * - entityType / entityId: Changed record
+ * - from / to: Date range (ISO 8601)
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "logs": [{
+ *     "id": "uuid",
+ *     "actorId": "uuid",
+ *     "actorEmail": "catalog@example.com",
+ *     "actorRole": "CATALOG_MANAGER",
+ *     "actor": { "id": "uuid", "name": "Asha", "email": "catalog@example.com" },
+ *     "action": "product.update",
+ *     "entityType": "Product",
+ *     "entityId": "uuid",
+ *     "before": {...},
+ *     "after": {...},
+ *     "changes": { "discountedPrice": { "from": "499", "to": "449" } },
+ *     "ipAddress": "203.0.113.10",
+ *     "createdAt": "2026-10-18T10:00:00.000Z"
+ *   }],
+ *   "pagination": {...}
+ * }
+ */
+const getAuditLogs = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      actorId,
+      action,
+      entityType,
+      entityId,
+      from,
+      to
+    } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be valid dates'
+      });
+    }
+
+    const where = {
+      ...(actorId && { actorId }),
+      ...(action && (action.endsWith('.*')
+        ? { action: { startsWith: action.slice(0, -1) } }
+        : { action })),
+      ...(entityType && { entityType }),
+      ...(entityId && { entityId }),
+      ...((from || to) && {
+        createdAt: {
+          ...(from && { gte: new Date(from) }),
+          ...(to && { lte: new Date(to) })
+        }
+      })
+    };
+
+    const [logs, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: 'desc' },
+        include: {
+          actor: { select: { id: true, name: true, email: true } }
+        }
+      }),
+      prisma.auditLog.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      logs,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Audit Logs Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch audit logs',
+      error: error.message
+    });
+  }
+};
+
+module.exports = { getAuditLogs };
@@ -1,34 +1,176 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
 const { validationResult } = require('express-validator');
+const {
+  hashToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies,
+  formatTokens,
+  getClientIp
+} = require('../utils/session.helper');
+const {
+  getResetExpiryMinutes,
+  hashPassword,
+  createPasswordResetToken,
+  resetPasswordWithToken
+} = require('../utils/password.helper');
+const {
+  getExpiryHours: getVerificationExpiryHours,
+  createVerificationToken,
+  verifyEmailToken
+} = require('../utils/emailVerification.helper');
+const {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../utils/email.helper');
+const { normalizePhone } = require('../utils/phone.helper');
+const { requestOtp, verifyOtp } = require('../utils/otp.helper');
+const { queueShipmentsForUser } = require('../utils/shipment.helper');
+const { mergeGuestCart } = require('../utils/guestCart.helper');
+const {
+  checkLoginLock,
+  recordFailedLogin,
+  recordSuccessfulLogin
+} = require('../utils/loginGuard.helper');
+const { setRetryAfter } = require('../middleware/rateLimit.middleware');
+const { getRolePermissions } = require('../config/permissions');
+const { claimGuestOrders } = require('../utils/guestOrder.helper');
+const {
+  getChallengeExpiryMinutes,
+  isTwoFactorRequired,
+  verifySecondFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+} = require('../utils/twoFactor.helper');
+
+const USER_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  role: true,
+  phone: true,
+  emailVerified: true,
+  phoneVerified: true,
+  twoFactorEnabled: true
+};
+
+/**
+ * Response for a refused OTP request / check (throttled, wrong code ...)
+ */
+const otpErrorResponse = (res, result) => {
+  if (result.retryAfter !== undefined) {
+    setRetryAfter(res, result.retryAfter);
+  }
+
+  return res.status(result.status).json({
+    success: false,
+    message: result.error,
+    ...(result.retryAfter !== undefined && { retryAfter: result.retryAfter }),
+    ...(result.attemptsRemaining !== undefined && { attemptsRemaining: result.attemptsRemaining })
+  });
+};
+
+/**
+ * First-step response for accounts with 2FA: no session yet, only a
+ * challenge token for POST /api/auth/2fa/verify
+ */
+const twoFactorChallengeResponse = (res, user) => res.status(200).json({
+  success: true,
+  message: 'Enter the code from your authenticator app',
+  twoFactorRequired: true,
+  challengeToken: createLoginChallenge(user),
+  expiresIn: getChallengeExpiryMinutes() * 60
+});
 
 /**
- * Generate JWT Token
+ * Response while an account or IP is locked out after failed logins
  */
-const generateToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+const loginLockedResponse = (res, retryAfter) => {
+  setRetryAfter(res, retryAfter);
+
+  return res.status(429).json({
+    success: false,
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(retryAfter / 60)} minutes.`,
+    retryAfter
+  });
 };
 
 /**
- * Set Token Cookie
+ * Is this verified number already on someone else's account?
  */
-const setTokenCookie = (res, token) => {
-  res.cookie('token', token, {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production',
-    sameSite: 'strict',
-    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+const isPhoneTaken = async (phone, userId) => {
+  const owner = await prisma.user.findFirst({
+    where: {
+      phone,
+      phoneVerified: true,
+      id: { not: userId }
+    },
+    select: { id: true }
   });
+  return Boolean(owner);
+};
+
+/**
+ * Refresh token from the HttpOnly cookie, or the body for non-browser clients
+ */
+const getRefreshToken = (req) => req.cookies?.refreshToken || req.body?.refreshToken;
+
+/**
+ * Session ID of the caller, from the refresh token or (possibly expired) access token
+ */
+const findCurrentSessionId = async (req) => {
+  const refreshToken = getRefreshToken(req);
+
+  if (refreshToken) {
+    const session = await prisma.session.findUnique({
+      where: { refreshTokenHash: hashToken(refreshToken) },
+      select: { id: true }
+    });
+    if (session) return session.id;
+  }
+
+  let accessToken = req.cookies?.token;
+  if (!accessToken && req.headers.authorization?.startsWith('Bearer ')) {
+    accessToken = req.headers.authorization.substring(7);
+  }
+
+  if (!accessToken) return null;
+
+  try {
+    const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+    return decoded.sessionId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Email a fresh verification link (failures are logged, not thrown)
+ */
+const sendVerificationLink = async (user) => {
+  try {
+    await sendVerificationEmail(user, createVerificationToken(user), getVerificationExpiryHours());
+    return true;
+  } catch (mailError) {
+    console.error('Verification Email Error:', mailError.message);
+    return false;
+  }
 };
 
 /**
  * User Registration
  *
+ * The account starts unverified and a verification link is emailed.
+ * A guest cart (guestCartId cookie) becomes the new account's cart
+ * ("cartMerge" lists what was moved and any stock adjustments).
+ *
  * Sample Request:
  * POST /api/auth/register
  * Content-Type: application/json
@@ -48,9 +190,12 @@ const setTokenCookie = (res, token) => {
  *     "id": "uuid",
  *     "name": "John Doe",
  *     "email": "john@example.com",
- *     "role": "USER"
+ *     "role": "USER",
+ *     "emailVerified": false
  *   },
- *   "token": "jwt_token_here"
+ *   "token": "jwt_access_token_here",
+ *   "refreshToken": "opaque_refresh_token_here",
+ *   "expiresIn": 900
  * }
  */
 const register = async (req, res) => {
@@ -90,13 +235,7 @@ const register = async (req, res) => {
         phone,
         role: 'USER'
       },
-      select: {
-        id: true,
-        name: true,
-        email: true,
-        role: true,
-        phone: true
-      }
+      select: USER_SELECT
     });
 
     // Create cart and wishlist for user
@@ -108,17 +247,24 @@ const register = async (req, res) => {
       data: { userId: user.id }
     });
 
-    // Generate token
-    const token = generateToken(user.id);
+    // Bring over anything added to the cart before signing up
+    const cartMerge = await mergeGuestCart(user.id, req, res);
+
+    // Send verification email (non-blocking)
+    await sendVerificationLink(user);
 
-    // Set HttpOnly cookie
-    setTokenCookie(res, token);
+    // Start session (access + refresh token)
+    const tokens = await createSession(user.id, req);
+
+    // Set HttpOnly cookies
+    setAuthCookies(res, tokens);
 
     return res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your account.',
       user,
-      token
+      ...(cartMerge && { cartMerge }),
+      ...formatTokens(tokens)
     });
 
   } catch (error) {
@@ -134,6 +280,13 @@ const register = async (req, res) => {
 /**
  * User Login
  *
+ * Repeated failures lock the account / IP for a while (429 with Retry-After).
+ * Accounts with 2FA get a challenge token instead of a session (see
+ * verifyTwoFactorLogin). Staff who must enroll in 2FA but haven't yet get
+ * "twoFactorSetupRequired": true. Guest orders placed with a verified
+ * email are moved into the account ("claimedOrders"), and a guest cart
+ * (guestCartId cookie) is merged into the user's cart ("cartMerge").
+ *
  * Sample Request:
  * POST /api/auth/login
  * Content-Type: application/json
@@ -153,7 +306,29 @@ const register = async (req, res) => {
  *     "email": "john@example.com",
  *     "role": "USER"
  *   },
- *   "token": "jwt_token_here"
+ *   "cartMerge": {
+ *     "mergedItems": 2,
+ *     "adjustments": [{
+ *       "productId": "uuid",
+ *       "variantId": "uuid",
+ *       "name": "Ashwagandha - 250g",
+ *       "requested": 5,
+ *       "quantity": 3,
+ *       "reason": "LIMITED_STOCK"
+ *     }]
+ *   },
+ *   "token": "jwt_access_token_here",
+ *   "refreshToken": "opaque_refresh_token_here",
+ *   "expiresIn": 900
+ * }
+ *
+ * Sample Response (2FA enabled):
+ * {
+ *   "success": true,
+ *   "message": "Enter the code from your authenticator app",
+ *   "twoFactorRequired": true,
+ *   "challengeToken": "short_lived_jwt",
+ *   "expiresIn": 300
  * }
  */
 const login = async (req, res) => {
@@ -167,43 +342,69 @@ const login = async (req, res) => {
     }
 
     const { email, password } = req.body;
+    const ip = getClientIp(req);
+
+    // Refuse locked accounts / IPs before checking the password
+    const lock = await checkLoginLock(email, ip);
+    if (lock.locked) {
+      return loginLockedResponse(res, lock.retryAfter);
+    }
 
     // Find user
     const user = await prisma.user.findUnique({
       where: { email }
     });
 
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid email or password'
-      });
-    }
-
     // Verify password with bcrypt
-    const isPasswordValid = await bcrypt.compare(password, user.password);
+    const isPasswordValid = user ? await bcrypt.compare(password, user.password) : false;
 
     if (!isPasswordValid) {
+      const failure = await recordFailedLogin(email, ip);
+      if (failure.locked) {
+        return loginLockedResponse(res, failure.retryAfter);
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    // Generate token
-    const token = generateToken(user.id);
+    // 2FA accounts: failure count is only cleared after the second step
+    if (user.twoFactorEnabled) {
+      return twoFactorChallengeResponse(res, user);
+    }
+
+    await recordSuccessfulLogin(email);
+
+    // Guest orders placed with this (verified) email join the account
+    const claimedOrders = user.emailVerified ? await claimGuestOrders(user) : 0;
 
-    // Set HttpOnly cookie
-    setTokenCookie(res, token);
+    // Merge the guest cart into the user's cart
+    const cartMerge = await mergeGuestCart(user.id, req, res);
 
-    // Remove password from response
-    const { password: _, ...userWithoutPassword } = user;
+    // Start session (access + refresh token)
+    const tokens = await createSession(user.id, req);
+
+    // Set HttpOnly cookies
+    setAuthCookies(res, tokens);
+
+    // Remove password and 2FA secrets from response
+    const {
+      password: _,
+      twoFactorSecret: __,
+      twoFactorLastStep: ___,
+      ...userWithoutPassword
+    } = user;
 
     return res.status(200).json({
       success: true,
       message: 'Login successful',
       user: userWithoutPassword,
-      token
+      ...(claimedOrders > 0 && { claimedOrders }),
+      ...(cartMerge && { cartMerge }),
+      ...(isTwoFactorRequired(user.role) && { twoFactorSetupRequired: true }),
+      ...formatTokens(tokens)
     });
 
   } catch (error) {
@@ -216,9 +417,195 @@ const login = async (req, res) => {
   }
 };
 
+/**
+ * Verify 2FA Login (second step)
+ *
+ * Send the challenge token from login (or OTP login) with a code from the
+ * authenticator app, or with one of the backup codes. Wrong codes count
+ * as failed logins. Guest orders and the guest cart are picked up here,
+ * as on login.
+ *
+ * Sample Request:
+ * POST /api/auth/2fa/verify
+ * Content-Type: application/json
+ * Body:
+ * {
+ *   "challengeToken": "short_lived_jwt",
+ *   "code": "123456"
+ * }
+ * OR
+ * {
+ *   "challengeToken": "short_lived_jwt",
+ *   "backupCode": "a1b2c-3d4e5"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Login successful",
+ *   "user": { "id": "uuid", "name": "Admin", "email": "admin@gmail.com", "role": "ADMIN", ... },
+ *   "token": "jwt_access_token_here",
+ *   "refreshToken": "opaque_refresh_token_here",
+ *   "expiresIn": 900
+ * }
+ */
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, backupCode } = req.body;
+    const ip = getClientIp(req);
+
+    const challenge = verifyLoginChallenge(challengeToken);
+
+    if (challenge.error) {
+      return res.status(401).json({
+        success: false,
+        message: challenge.error
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.userId },
+      select: USER_SELECT
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor challenge'
+      });
+    }
+
+    // Same lockout counters as the password step
+    const loginId = user.email || user.phone;
+
+    const lock = await checkLoginLock(loginId, ip);
+    if (lock.locked) {
+      return loginLockedResponse(res, lock.retryAfter);
+    }
+
+    const factor = await verifySecondFactor(user.id, { code, backupCode });
+
+    if (!factor.valid) {
+      const failure = await recordFailedLogin(loginId, ip);
+      if (failure.locked) {
+        return loginLockedResponse(res, failure.retryAfter);
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await recordSuccessfulLogin(loginId);
+
+    // Guest orders placed with this (verified) email join the account
+    const claimedOrders = user.emailVerified ? await claimGuestOrders(user) : 0;
+
+    // Merge the guest cart into the user's cart
+    const cartMerge = await mergeGuestCart(user.id, req, res);
+
+    // Start session (access + refresh token)
+    const tokens = await createSession(user.id, req);
+
+    // Set HttpOnly cookies
+    setAuthCookies(res, tokens);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      user,
+      ...(claimedOrders > 0 && { claimedOrders }),
+      ...(cartMerge && { cartMerge }),
+      ...(factor.backupCodesRemaining !== undefined && { backupCodesRemaining: factor.backupCodesRemaining }),
+      ...formatTokens(tokens)
+    });
+
+  } catch (error) {
+    console.error('2FA Login Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Two-factor login failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Refresh Access Token
+ *
+ * Rotates the refresh token: the one sent is spent and a new pair is
+ * issued. Sending a spent refresh token again revokes the session.
+ *
+ * Sample Request:
+ * POST /api/auth/refresh
+ * Cookie: refreshToken=<refresh_token>
+ * OR Body:
+ * {
+ *   "refreshToken": "opaque_refresh_token_here"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Token refreshed",
+ *   "token": "jwt_access_token_here",
+ *   "refreshToken": "new_opaque_refresh_token_here",
+ *   "expiresIn": 900
+ * }
+ */
+const refresh = async (req, res) => {
+  try {
+    const refreshToken = getRefreshToken(req);
+
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required. Please login.'
+      });
+    }
+
+    const result = await rotateSession(refreshToken, req);
+
+    if (result.error) {
+      clearAuthCookies(res);
+      return res.status(401).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    setAuthCookies(res, result);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Token refreshed',
+      ...formatTokens(result)
+    });
+
+  } catch (error) {
+    console.error('Refresh Token Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to refresh token',
+      error: error.message
+    });
+  }
+};
+
 /**
  * User Logout
  *
+ * Revokes the current session and clears the auth cookies.
+ *
  * Sample Request:
  * POST /api/auth/logout
  * Authorization: Bearer <token> OR Cookie: token=<token>
@@ -231,8 +618,14 @@ const login = async (req, res) => {
  */
 const logout = async (req, res) => {
   try {
-    // Clear token cookie
-    res.clearCookie('token');
+    const sessionId = await findCurrentSessionId(req);
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'Logged out');
+    }
+
+    // Clear token cookies
+    clearAuthCookies(res);
 
     return res.status(200).json({
       success: true,
@@ -250,29 +643,866 @@ const logout = async (req, res) => {
 };
 
 /**
- * Get Current User Profile
+ * Log Out Everywhere
+ *
+ * Revokes every session of the user, including the current one.
  *
  * Sample Request:
- * GET /api/auth/me
+ * POST /api/auth/logout-all
  * Authorization: Bearer <token> OR Cookie: token=<token>
  *
  * Sample Response:
  * {
  *   "success": true,
- *   "user": {
- *     "id": "uuid",
- *     "name": "John Doe",
- *     "email": "john@example.com",
- *     "role": "USER",
- *     "phone": "+91-9876543210"
- *   }
+ *   "message": "Logged out from 3 sessions"
+ * }
+ */
+const logoutAll = async (req, res) => {
+  try {
+    const { count } = await revokeAllSessions(req.user.id, 'Logged out everywhere');
+
+    clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: `Logged out from ${count} session${count === 1 ? '' : 's'}`
+    });
+
+  } catch (error) {
+    console.error('Logout All Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Active Sessions
+ *
+ * Sample Request:
+ * GET /api/auth/sessions
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "sessions": [
+ *     {
+ *       "id": "uuid",
+ *       "deviceName": "Chrome on Android",
+ *       "userAgent": "Mozilla/5.0 ...",
+ *       "ipAddress": "203.0.113.10",
+ *       "lastUsedAt": "2026-10-18T10:00:00.000Z",
+ *       "expiresAt": "2026-11-17T10:00:00.000Z",
+ *       "createdAt": "2026-10-18T09:00:00.000Z",
+ *       "current": true
+ *     }
+ *   ]
+ * }
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        deviceName: true,
+        userAgent: true,
+        ipAddress: true,
+        lastUsedAt: true,
+        expiresAt: true,
+        createdAt: true
+      },
+      orderBy: { lastUsedAt: 'desc' }
+    });
+
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get Sessions Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke a Session
+ *
+ * Signs out one device. Revoking the current session also clears the cookies.
+ *
+ * Sample Request:
+ * DELETE /api/auth/sessions/:id
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Session revoked"
+ * }
+ */
+const deleteSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.session.findFirst({
+      where: { id, userId: req.user.id, revokedAt: null }
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session.id, 'Revoked by user');
+
+    if (session.id === req.sessionId) {
+      clearAuthCookies(res);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke Session Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify Email
+ *
+ * Called by the storefront page the verification email links to.
+ * Guest orders placed with the same email are moved into the account.
+ *
+ * Sample Request:
+ * GET /api/auth/verify-email?token=<token_from_email_link>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Email verified successfully",
+ *   "claimedOrders": 2
+ * }
+ */
+const verifyEmail = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await verifyEmailToken(req.query.token);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // Guest orders placed with this email now belong to the account
+    const claimedOrders = await claimGuestOrders(result.user);
+
+    return res.status(200).json({
+      success: true,
+      message: result.alreadyVerified ? 'Email already verified' : 'Email verified successfully',
+      claimedOrders
+    });
+
+  } catch (error) {
+    console.error('Verify Email Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify email',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resend Verification Email
+ *
+ * Sample Request:
+ * POST /api/auth/resend-verification
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Verification email sent to john@example.com"
+ * }
+ */
+const resendVerification = async (req, res) => {
+  try {
+    if (!req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'No email address on this account'
+      });
+    }
+
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email already verified'
+      });
+    }
+
+    const sent = await sendVerificationLink(req.user);
+
+    if (!sent) {
+      return res.status(502).json({
+        success: false,
+        message: 'Could not send verification email. Please try again later.'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend Verification Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send verification email',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Request Login OTP
+ *
+ * Texts a one-time code to the phone. Works for new numbers too -
+ * verifying the code signs the customer up.
+ *
+ * Sample Request:
+ * POST /api/auth/otp/request
+ * Content-Type: application/json
+ * Body:
+ * {
+ *   "phone": "9876543210"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "OTP sent to +919876543210",
+ *   "expiresIn": 300,
+ *   "resendIn": 60
+ * }
+ */
+const requestLoginOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid phone number is required'
+      });
+    }
+
+    const result = await requestOtp({
+      phone,
+      purpose: 'LOGIN',
+      requestedIp: getClientIp(req)
+    });
+
+    if (result.error) {
+      return otpErrorResponse(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `OTP sent to ${phone}`,
+      expiresIn: result.expiresIn,
+      resendIn: result.resendIn
+    });
+
+  } catch (error) {
+    console.error('Request OTP Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send OTP',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify Login OTP
+ *
+ * Logs in the account with this verified phone, or creates one
+ * (phone-only, no email or password) if there is none. Accounts with 2FA
+ * get a challenge token instead, like login. A guest cart is merged like
+ * on login ("cartMerge").
+ *
+ * Sample Request:
+ * POST /api/auth/otp/verify
+ * Content-Type: application/json
+ * Body:
+ * {
+ *   "phone": "9876543210",
+ *   "code": "482913",
+ *   "name": "John Doe" (optional, used when signing up)
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Login successful",
+ *   "isNewUser": false,
+ *   "user": {
+ *     "id": "uuid",
+ *     "name": "John Doe",
+ *     "email": null,
+ *     "role": "USER",
+ *     "phone": "+919876543210",
+ *     "phoneVerified": true
+ *   },
+ *   "token": "jwt_access_token_here",
+ *   "refreshToken": "opaque_refresh_token_here",
+ *   "expiresIn": 900
+ * }
+ */
+const verifyLoginOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { code, name } = req.body;
+    const phone = normalizePhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid phone number is required'
+      });
+    }
+
+    const result = await verifyOtp({ phone, purpose: 'LOGIN', code });
+
+    if (result.error) {
+      return otpErrorResponse(res, result);
+    }
+
+    let user = await prisma.user.findFirst({
+      where: { phone, phoneVerified: true },
+      select: USER_SELECT
+    });
+
+    const isNewUser = !user;
+
+    if (user?.twoFactorEnabled) {
+      return twoFactorChallengeResponse(res, user);
+    }
+
+    if (isNewUser) {
+      // Phone-only account: the random password can't be used to log in
+      user = await prisma.user.create({
+        data: {
+          name: name?.trim() || 'Customer',
+          password: await hashPassword(crypto.randomBytes(32).toString('hex')),
+          phone,
+          phoneVerified: true,
+          phoneVerifiedAt: new Date(),
+          role: 'USER',
+          cart: { create: {} },
+          wishlist: { create: {} }
+        },
+        select: USER_SELECT
+      });
+    }
+
+    // Merge the guest cart into the user's cart
+    const cartMerge = await mergeGuestCart(user.id, req, res);
+
+    // Start session (access + refresh token)
+    const tokens = await createSession(user.id, req);
+
+    // Set HttpOnly cookies
+    setAuthCookies(res, tokens);
+
+    return res.status(isNewUser ? 201 : 200).json({
+      success: true,
+      message: isNewUser ? 'Account created successfully' : 'Login successful',
+      isNewUser,
+      user,
+      ...(cartMerge && { cartMerge }),
+      ...formatTokens(tokens)
+    });
+
+  } catch (error) {
+    console.error('Verify OTP Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'OTP login failed',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Request Phone Verification OTP
+ *
+ * Texts a code to add or confirm the phone on the logged in account.
+ * Defaults to the phone already on the account.
+ *
+ * Sample Request:
+ * POST /api/auth/phone/request-otp
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ * Body:
+ * {
+ *   "phone": "9876543210" (optional)
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "OTP sent to +919876543210",
+ *   "expiresIn": 300,
+ *   "resendIn": 60
+ * }
+ */
+const requestPhoneVerification = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const phone = normalizePhone(req.body.phone || req.user.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid phone number is required'
+      });
+    }
+
+    if (req.user.phoneVerified && normalizePhone(req.user.phone) === phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number already verified'
+      });
+    }
+
+    if (await isPhoneTaken(phone, req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already linked to another account'
+      });
+    }
+
+    const result = await requestOtp({
+      phone,
+      purpose: 'VERIFY_PHONE',
+      userId: req.user.id,
+      requestedIp: getClientIp(req)
+    });
+
+    if (result.error) {
+      return otpErrorResponse(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `OTP sent to ${phone}`,
+      expiresIn: result.expiresIn,
+      resendIn: result.resendIn
+    });
+
+  } catch (error) {
+    console.error('Request Phone OTP Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send OTP',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify Phone
+ *
+ * Saves the phone on the account as verified. Orders that were waiting
+ * for a verified phone are queued for shipment.
+ *
+ * Sample Request:
+ * POST /api/auth/phone/verify
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ * Body:
+ * {
+ *   "phone": "9876543210",
+ *   "code": "482913"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Phone number verified successfully",
+ *   "user": { "id": "uuid", "phone": "+919876543210", "phoneVerified": true, ... },
+ *   "shipmentsQueued": 1
+ * }
+ */
+const verifyPhone = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const phone = normalizePhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid phone number is required'
+      });
+    }
+
+    const result = await verifyOtp({
+      phone,
+      purpose: 'VERIFY_PHONE',
+      code: req.body.code,
+      userId: req.user.id
+    });
+
+    if (result.error) {
+      return otpErrorResponse(res, result);
+    }
+
+    if (await isPhoneTaken(phone, req.user.id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'This phone number is already linked to another account'
+      });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        phone,
+        phoneVerified: true,
+        phoneVerifiedAt: new Date()
+      },
+      select: USER_SELECT
+    });
+
+    const shipmentsQueued = await queueShipmentsForUser(user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Phone number verified successfully',
+      user,
+      shipmentsQueued
+    });
+
+  } catch (error) {
+    console.error('Verify Phone Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify phone number',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Forgot Password
+ *
+ * Emails a single-use reset link. The response is the same whether or not
+ * the email is registered, so it can't be used to probe for accounts.
+ *
+ * Sample Request:
+ * POST /api/auth/forgot-password
+ * Content-Type: application/json
+ * Body:
+ * {
+ *   "email": "john@example.com"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "If that email is registered, a password reset link has been sent"
+ * }
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      select: { id: true, name: true, email: true }
+    });
+
+    if (user) {
+      const token = await createPasswordResetToken(user.id, getClientIp(req));
+
+      try {
+        await sendPasswordResetEmail(user, token, getResetExpiryMinutes());
+      } catch (mailError) {
+        console.error('Password Reset Email Error:', mailError.message);
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'If that email is registered, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot Password Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process password reset request',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Reset Password
+ *
+ * Uses the token from the reset email. All sessions are revoked, so the
+ * user logs in again with the new password.
+ *
+ * Sample Request:
+ * POST /api/auth/reset-password
+ * Content-Type: application/json
+ * Body:
+ * {
+ *   "token": "token_from_email_link",
+ *   "password": "NewSecurePass123"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Password reset successfully. Please login with your new password."
+ * }
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const result = await resetPasswordWithToken(token, password);
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    try {
+      await sendPasswordChangedEmail(result.user);
+    } catch (mailError) {
+      console.error('Password Changed Email Error:', mailError.message);
+    }
+
+    clearAuthCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password reset successfully. Please login with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset Password Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change Password
+ *
+ * Requires the current password. Every other session is revoked; the
+ * current one stays logged in.
+ *
+ * Sample Request:
+ * PUT /api/auth/password
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ * Content-Type: application/json
+ * Body:
+ * {
+ *   "currentPassword": "SecurePass123",
+ *   "newPassword": "NewSecurePass123"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Password changed successfully. Other sessions have been logged out."
+ * }
+ */
+const changePassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id }
+    });
+
+    const isPasswordValid = await bcrypt.compare(currentPassword, user.password);
+
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current password'
+      });
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: { password: hashedPassword }
+      }),
+      // Outstanding reset links were issued for the old password
+      prisma.passwordResetToken.updateMany({
+        where: { userId: user.id, usedAt: null },
+        data: { usedAt: new Date() }
+      })
+    ]);
+
+    await revokeAllSessions(user.id, 'Password changed', req.sessionId);
+
+    try {
+      await sendPasswordChangedEmail(user);
+    } catch (mailError) {
+      console.error('Password Changed Email Error:', mailError.message);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been logged out.'
+    });
+
+  } catch (error) {
+    console.error('Change Password Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Current User Profile
+ *
+ * Sample Request:
+ * GET /api/auth/me
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "user": {
+ *     "id": "uuid",
+ *     "name": "John Doe",
+ *     "email": "john@example.com",
+ *     "role": "USER",
+ *     "phone": "+91-9876543210",
+ *     "emailVerified": true
+ *   },
+ *   "permissions": [],
+ *   "twoFactorRequired": false
  * }
  */
 const getMe = async (req, res) => {
   try {
     return res.status(200).json({
       success: true,
-      user: req.user
+      user: req.user,
+      permissions: getRolePermissions(req.user.role),
+      twoFactorRequired: isTwoFactorRequired(req.user.role)
     });
   } catch (error) {
     console.error('Get Me Error:', error);
@@ -287,6 +1517,20 @@ const getMe = async (req, res) => {
 module.exports = {
   register,
   login,
+  verifyTwoFactorLogin,
+  refresh,
   logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerification,
+  requestLoginOtp,
+  verifyLoginOtp,
+  requestPhoneVerification,
+  verifyPhone,
+  forgotPassword,
+  resetPassword,
+  changePassword,
   getMe
 };
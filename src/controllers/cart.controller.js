@@ -1,11 +1,17 @@
 const { prisma } = require('../config/database');
+const { resolveVariant, getSellableUnit } = require('../utils/variant.helper');
+const { normalizeCouponCode, evaluateCoupon } = require('../utils/coupon.helper');
+const { findCart, findOrCreateCart, isCartOwner } = require('../utils/guestCart.helper');
 
 /**
  * Get User Cart
  *
+ * Works without logging in: guests get the cart from their guestCartId
+ * cookie (an empty cart with "id": null until they add something).
+ *
  * Sample Request:
  * GET /api/cart
- * Authorization: Bearer <token> OR Cookie: token=<token>
+ * Authorization: Bearer <token> OR Cookie: token=<token> OR Cookie: guestCartId=<signed id>
  *
  * Sample Response:
  * {
@@ -16,43 +22,74 @@ const { prisma } = require('../config/database');
  *       {
  *         "id": "uuid",
  *         "quantity": 2,
+ *         "unitPrice": 450,
  *         "product": {
  *           "id": "uuid",
  *           "name": "Ashwagandha",
  *           "discountedPrice": 450,
  *           "imageUrls": ["..."]
- *         }
+ *         },
+ *         "variant": { "id": "uuid", "label": "250g", "sku": "ASH-250", "discountedPrice": 450 }
  *       }
  *     ],
  *     "totalItems": 2,
- *     "totalAmount": 900
+ *     "totalAmount": 900,
+ *     "coupon": { "code": "AYUR10", "valid": true, "message": "Coupon applied" },
+ *     "discountAmount": 90,
+ *     "amountAfterDiscount": 810
  *   }
  * }
  */
 const getCart = async (req, res) => {
   try {
-    const userId = req.user.id;
+    const userId = req.user ? req.user.id : null;
 
-    let cart = await prisma.cart.findUnique({
-      where: { userId },
-      include: {
-        cartItems: {
-          include: {
-            product: {
-              select: {
-                id: true,
-                name: true,
-                discountedPrice: true,
-                stockQuantity: true,
-                imageUrls: true,
-                isActive: true
-              }
+    let cart = await findCart(req, {
+      coupon: true,
+      cartItems: {
+        include: {
+          product: {
+            select: {
+              id: true,
+              name: true,
+              categoryId: true,
+              discountedPrice: true,
+              stockQuantity: true,
+              imageUrls: true,
+              isActive: true
+            }
+          },
+          variant: {
+            select: {
+              id: true,
+              sku: true,
+              label: true,
+              realPrice: true,
+              discountedPrice: true,
+              stockQuantity: true,
+              isActive: true
             }
           }
         }
       }
     });
 
+    // Guests without a cart yet see an empty one (created on first add)
+    if (!cart && !userId) {
+      return res.status(200).json({
+        success: true,
+        cart: {
+          id: null,
+          items: [],
+          totalItems: 0,
+          totalAmount: 0,
+          coupon: null,
+          discountAmount: 0,
+          amountAfterDiscount: 0
+        }
+      });
+    }
+
     // Create cart if doesn't exist
     if (!cart) {
       cart = await prisma.cart.create({
@@ -60,27 +97,50 @@ const getCart = async (req, res) => {
         include: {
           cartItems: {
             include: {
-              product: true
+              product: true,
+              variant: true
             }
           }
         }
       });
     }
 
+    const items = cart.cartItems.map(item => ({
+      ...item,
+      unitPrice: parseFloat(getSellableUnit(item.product, item.variant).price)
+    }));
+
     // Calculate totals
-    const totalItems = cart.cartItems.reduce((sum, item) => sum + item.quantity, 0);
-    const totalAmount = cart.cartItems.reduce(
-      (sum, item) => sum + (parseFloat(item.product.discountedPrice) * item.quantity),
+    const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
+    const totalAmount = items.reduce(
+      (sum, item) => sum + (item.unitPrice * item.quantity),
       0
     );
 
+    // Re-check the applied coupon against the current cart contents
+    let couponSummary = null;
+    let discountAmount = 0;
+    if (cart.coupon) {
+      const evaluation = await evaluateCoupon(cart.coupon, userId, cart.cartItems);
+      discountAmount = evaluation.discount;
+      couponSummary = {
+        code: cart.coupon.code,
+        description: cart.coupon.description,
+        valid: evaluation.valid,
+        message: evaluation.message
+      };
+    }
+
     return res.status(200).json({
       success: true,
       cart: {
         id: cart.id,
-        items: cart.cartItems,
+        items,
         totalItems,
-        totalAmount: parseFloat(totalAmount.toFixed(2))
+        totalAmount: parseFloat(totalAmount.toFixed(2)),
+        coupon: couponSummary,
+        discountAmount,
+        amountAfterDiscount: parseFloat((totalAmount - discountAmount).toFixed(2))
       }
     });
 
@@ -99,13 +159,19 @@ const getCart = async (req, res) => {
  *
  * Inventory Management:
  * - Prevents adding to cart if quantity > stock_quantity
+ * - For products sold in pack sizes, `variantId` is required and the
+ *   variant's stock is checked instead of the product's
+ *
+ * Guests can add too: the first add creates a guest cart and sets the
+ * signed guestCartId cookie, which is merged into the account on login.
  *
  * Sample Request:
  * POST /api/cart/add
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token> (optional)
  * Body:
  * {
  *   "productId": "uuid",
+ *   "variantId": "uuid" (required when the product has variants),
  *   "quantity": 2
  * }
  *
@@ -118,8 +184,7 @@ const getCart = async (req, res) => {
  */
 const addToCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId, quantity = 1 } = req.body;
 
     if (!productId) {
       return res.status(400).json({
@@ -137,7 +202,8 @@ const addToCart = async (req, res) => {
 
     // Check product exists and stock availability
     const product = await prisma.product.findUnique({
-      where: { id: productId }
+      where: { id: productId },
+      include: { variants: true }
     });
 
     if (!product) {
@@ -154,73 +220,82 @@ const addToCart = async (req, res) => {
       });
     }
 
-    // INVENTORY CHECK: Prevent adding if quantity > stock_quantity
-    if (quantity > product.stockQuantity) {
-      return res.status(400).json({
+    const { variant, error: variantError } = resolveVariant(product, variantId);
+
+    if (variantError) {
+      return res.status(variantError.status).json({
         success: false,
-        message: `Only ${product.stockQuantity} items available in stock`
+        message: variantError.message
       });
     }
 
-    // Get or create cart
-    let cart = await prisma.cart.findUnique({
-      where: { userId }
-    });
+    const unit = getSellableUnit(product, variant);
 
-    if (!cart) {
-      cart = await prisma.cart.create({
-        data: { userId }
+    // INVENTORY CHECK: Prevent adding if quantity > stock_quantity
+    if (quantity > unit.stockQuantity) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${unit.stockQuantity} items available in stock`
       });
     }
 
-    // Check if item already exists in cart
-    const existingItem = await prisma.cartItem.findUnique({
-      where: {
-        cartId_productId: {
-          cartId: cart.id,
-          productId
-        }
-      }
-    });
+    // Get or create cart (user's, or the guest cart from the cookie)
+    const cart = await findOrCreateCart(req, res);
 
     let cartItem;
 
-    if (existingItem) {
-      const newQuantity = existingItem.quantity + quantity;
-
-      // Check stock for updated quantity
-      if (newQuantity > product.stockQuantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Cannot add. Only ${product.stockQuantity} items available in stock`
-        });
-      }
-
-      cartItem = await prisma.cartItem.update({
+    // A second try covers a concurrent add (e.g. a double click) creating
+    // the line between our lookup and insert: the unique index rejects ours
+    // (P2002) and we add to that line instead
+    for (let attempt = 1; !cartItem; attempt++) {
+      // Check if item (same product and pack size) already exists in cart
+      const existingItem = await prisma.cartItem.findFirst({
         where: {
-          cartId_productId: {
-            cartId: cart.id,
-            productId
-          }
-        },
-        data: {
-          quantity: newQuantity
-        },
-        include: {
-          product: true
-        }
-      });
-    } else {
-      cartItem = await prisma.cartItem.create({
-        data: {
           cartId: cart.id,
           productId,
-          quantity
-        },
-        include: {
-          product: true
+          variantId: unit.variantId
         }
       });
+
+      if (existingItem) {
+        const newQuantity = existingItem.quantity + quantity;
+
+        // Check stock for updated quantity
+        if (newQuantity > unit.stockQuantity) {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot add. Only ${unit.stockQuantity} items available in stock`
+          });
+        }
+
+        cartItem = await prisma.cartItem.update({
+          where: { id: existingItem.id },
+          data: {
+            quantity: newQuantity
+          },
+          include: {
+            product: true,
+            variant: true
+          }
+        });
+      } else {
+        try {
+          cartItem = await prisma.cartItem.create({
+            data: {
+              cartId: cart.id,
+              productId,
+              variantId: unit.variantId,
+              quantity
+            },
+            include: {
+              product: true,
+              variant: true
+            }
+          });
+        } catch (error) {
+          if (error.code !== 'P2002' || attempt > 1) throw error;
+        }
+      }
     }
 
     return res.status(200).json({
@@ -244,7 +319,7 @@ const addToCart = async (req, res) => {
  *
  * Sample Request:
  * PUT /api/cart/update/:itemId
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token> (optional, guests use the guestCartId cookie)
  * Body: { "quantity": 3 }
  *
  * Sample Response:
@@ -256,7 +331,6 @@ const addToCart = async (req, res) => {
  */
 const updateCartItem = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { itemId } = req.params;
     const { quantity } = req.body;
 
@@ -272,7 +346,8 @@ const updateCartItem = async (req, res) => {
       where: { id: itemId },
       include: {
         cart: true,
-        product: true
+        product: true,
+        variant: true
       }
     });
 
@@ -283,19 +358,21 @@ const updateCartItem = async (req, res) => {
       });
     }
 
-    // Verify cart belongs to user
-    if (cartItem.cart.userId !== userId) {
+    // Verify cart belongs to user (or to this guest)
+    if (!isCartOwner(req, cartItem.cart)) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized access'
       });
     }
 
-    // Check stock availability
-    if (quantity > cartItem.product.stockQuantity) {
+    // Check stock availability (variant stock for pack sizes)
+    const unit = getSellableUnit(cartItem.product, cartItem.variant);
+
+    if (quantity > unit.stockQuantity) {
       return res.status(400).json({
         success: false,
-        message: `Only ${cartItem.product.stockQuantity} items available in stock`
+        message: `Only ${unit.stockQuantity} items available in stock`
       });
     }
 
@@ -303,7 +380,8 @@ const updateCartItem = async (req, res) => {
       where: { id: itemId },
       data: { quantity },
       include: {
-        product: true
+        product: true,
+        variant: true
       }
     });
 
@@ -328,7 +406,7 @@ const updateCartItem = async (req, res) => {
  *
  * Sample Request:
  * DELETE /api/cart/remove/:itemId
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token> (optional, guests use the guestCartId cookie)
  *
  * Sample Response:
  * {
@@ -338,7 +416,6 @@ const updateCartItem = async (req, res) => {
  */
 const removeFromCart = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { itemId } = req.params;
 
     const cartItem = await prisma.cartItem.findUnique({
@@ -355,8 +432,8 @@ const removeFromCart = async (req, res) => {
       });
     }
 
-    // Verify cart belongs to user
-    if (cartItem.cart.userId !== userId) {
+    // Verify cart belongs to user (or to this guest)
+    if (!isCartOwner(req, cartItem.cart)) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized access'
@@ -387,7 +464,7 @@ const removeFromCart = async (req, res) => {
  *
  * Sample Request:
  * DELETE /api/cart/clear
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token> (optional, guests use the guestCartId cookie)
  *
  * Sample Response:
  * {
@@ -397,11 +474,7 @@ const removeFromCart = async (req, res) => {
  */
 const clearCart = async (req, res) => {
   try {
-    const userId = req.user.id;
-
-    const cart = await prisma.cart.findUnique({
-      where: { userId }
-    });
+    const cart = await findCart(req);
 
     if (!cart) {
       return res.status(404).json({
@@ -429,10 +502,161 @@ const clearCart = async (req, res) => {
   }
 };
 
+/**
+ * Apply Coupon to Cart
+ *
+ * The coupon stays attached to the cart and is re-validated on every
+ * cart fetch and again at checkout.
+ *
+ * Sample Request:
+ * POST /api/cart/apply-coupon
+ * Authorization: Bearer <token>
+ * Body: { "code": "AYUR10" }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Coupon applied",
+ *   "coupon": { "code": "AYUR10", "discountType": "PERCENTAGE", "discountValue": 10 },
+ *   "subtotal": 900,
+ *   "discountAmount": 90,
+ *   "amountAfterDiscount": 810
+ * }
+ */
+const applyCoupon = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const code = normalizeCouponCode(req.body.code);
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const cart = await prisma.cart.findUnique({
+      where: { userId },
+      include: {
+        cartItems: {
+          include: {
+            product: true,
+            variant: true
+          }
+        }
+      }
+    });
+
+    if (!cart || cart.cartItems.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cart is empty'
+      });
+    }
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { code }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid coupon code'
+      });
+    }
+
+    const evaluation = await evaluateCoupon(coupon, userId, cart.cartItems);
+
+    if (!evaluation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: evaluation.message
+      });
+    }
+
+    await prisma.cart.update({
+      where: { id: cart.id },
+      data: { couponId: coupon.id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: evaluation.message,
+      coupon: {
+        code: coupon.code,
+        description: coupon.description,
+        discountType: coupon.discountType,
+        discountValue: parseFloat(coupon.discountValue)
+      },
+      subtotal: evaluation.subtotal,
+      discountAmount: evaluation.discount,
+      amountAfterDiscount: parseFloat((evaluation.subtotal - evaluation.discount).toFixed(2))
+    });
+
+  } catch (error) {
+    console.error('Apply Coupon Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove Coupon from Cart
+ *
+ * Sample Request:
+ * DELETE /api/cart/coupon
+ * Authorization: Bearer <token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Coupon removed"
+ * }
+ */
+const removeCoupon = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const cart = await prisma.cart.findUnique({
+      where: { userId }
+    });
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    await prisma.cart.update({
+      where: { id: cart.id },
+      data: { couponId: null }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon removed'
+    });
+
+  } catch (error) {
+    console.error('Remove Coupon Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove coupon',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon
 };
@@ -1,5 +1,24 @@
 const { prisma } = require('../config/database');
 const { validationResult } = require('express-validator');
+const {
+  getBreadcrumbs,
+  validateParent,
+  buildCategoryTree
+} = require('../utils/category.helper');
+const {
+  isUuid,
+  pickSeoFields,
+  resolveNewSlug,
+  changeSlug,
+  findRedirectSlug
+} = require('../utils/slug.helper');
+
+/**
+ * Message for a unique constraint error (name or slug)
+ */
+const duplicateMessage = (error) => (error.meta?.target?.includes('slug')
+  ? 'Slug is already in use'
+  : 'Category name already exists');
 
 /**
  * Get All Categories (PUBLIC ACCESS)
@@ -14,6 +33,8 @@ const { validationResult } = require('express-validator');
  *     {
  *       "id": "uuid",
  *       "name": "Ayurvedic Herbs",
+ *       "slug": "ayurvedic-herbs",
+ *       "parentId": null,
  *       "imageUrl": "https://s3.aws.com/category1.jpg",
  *       "description": "Traditional herbs",
  *       "productCount": 25
@@ -35,6 +56,8 @@ const getAllCategories = async (req, res) => {
     const categoriesWithCount = categories.map(category => ({
       id: category.id,
       name: category.name,
+      slug: category.slug,
+      parentId: category.parentId,
       imageUrl: category.imageUrl,
       description: category.description,
       productCount: category._count.products
@@ -55,18 +78,111 @@ const getAllCategories = async (req, res) => {
   }
 };
 
+/**
+ * Get Category Tree (PUBLIC ACCESS)
+ *
+ * `productCount` counts the category's own products, `totalProductCount`
+ * includes every subcategory.
+ *
+ * Sample Request:
+ * GET /api/categories/tree
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "categories": [
+ *     {
+ *       "id": "uuid",
+ *       "name": "Herbs",
+ *       "slug": "herbs",
+ *       "parentId": null,
+ *       "productCount": 2,
+ *       "totalProductCount": 14,
+ *       "children": [
+ *         {
+ *           "id": "uuid",
+ *           "name": "Powders",
+ *           "slug": "powders",
+ *           "parentId": "uuid",
+ *           "productCount": 4,
+ *           "totalProductCount": 12,
+ *           "children": [...]
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ */
+const getCategoryTree = async (req, res) => {
+  try {
+    const categories = await prisma.category.findMany({
+      include: {
+        _count: {
+          select: { products: true }
+        }
+      }
+    });
+
+    const tree = buildCategoryTree(categories.map(category => ({
+      id: category.id,
+      name: category.name,
+      slug: category.slug,
+      parentId: category.parentId,
+      imageUrl: category.imageUrl,
+      description: category.description,
+      productCount: category._count.products
+    })));
+
+    const addTotals = (node) => {
+      node.totalProductCount = node.children.reduce(
+        (sum, child) => sum + addTotals(child),
+        node.productCount
+      );
+      return node.totalProductCount;
+    };
+    tree.forEach(addTotals);
+
+    return res.status(200).json({
+      success: true,
+      categories: tree
+    });
+
+  } catch (error) {
+    console.error('Get Category Tree Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch category tree',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get Category by ID (PUBLIC ACCESS)
  *
+ * Accepts the category ID or slug. An old slug answers with a 301 redirect
+ * to the current one.
+ *
  * Sample Request:
  * GET /api/categories/:id
+ * GET /api/categories/powders
  *
  * Sample Response:
  * {
  *   "success": true,
  *   "category": {
  *     "id": "uuid",
- *     "name": "Ayurvedic Herbs",
+ *     "name": "Powders",
+ *     "slug": "powders",
+ *     "parentId": "uuid",
+ *     "metaTitle": "Ayurvedic Herbal Powders",
+ *     "metaDescription": "Churnas and single-herb powders",
+ *     "ogImageUrl": "https://s3.aws.com/og/powders.jpg",
+ *     "breadcrumbs": [
+ *       { "id": "uuid", "name": "Herbs", "slug": "herbs" },
+ *       { "id": "uuid", "name": "Powders", "slug": "powders" }
+ *     ],
+ *     "children": [{ "id": "uuid", "name": "Single-herb", "slug": "single-herb" }],
  *     "products": [...]
  *   }
  * }
@@ -76,8 +192,12 @@ const getCategoryById = async (req, res) => {
     const { id } = req.params;
 
     const category = await prisma.category.findUnique({
-      where: { id },
+      where: isUuid(id) ? { id } : { slug: id.toLowerCase() },
       include: {
+        children: {
+          select: { id: true, name: true, slug: true, imageUrl: true },
+          orderBy: { name: 'asc' }
+        },
         products: {
           where: { isActive: true }
         }
@@ -85,6 +205,11 @@ const getCategoryById = async (req, res) => {
     });
 
     if (!category) {
+      const currentSlug = !isUuid(id) && await findRedirectSlug('category', id.toLowerCase());
+      if (currentSlug) {
+        return res.redirect(301, `${req.baseUrl}/${currentSlug}`);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Category not found'
@@ -93,7 +218,10 @@ const getCategoryById = async (req, res) => {
 
     return res.status(200).json({
       success: true,
-      category
+      category: {
+        ...category,
+        breadcrumbs: await getBreadcrumbs(category.id)
+      }
     });
 
   } catch (error) {
@@ -115,8 +243,11 @@ const getCategoryById = async (req, res) => {
  * Body:
  * {
  *   "name": "Ayurvedic Herbs",
+ *   "slug": "ayurvedic-herbs" (optional - generated from the name when missing),
+ *   "parentId": "uuid" (optional - omit for a top-level category),
  *   "imageUrl": "https://s3.aws.com/category.jpg",
- *   "description": "Traditional herbs"
+ *   "description": "Traditional herbs",
+ *   "metaTitle": "...", "metaDescription": "...", "ogImageUrl": "https://..." (optional - SEO)
  * }
  *
  * Sample Response:
@@ -136,13 +267,32 @@ const createCategory = async (req, res) => {
       });
     }
 
-    const { name, imageUrl, description } = req.body;
+    const { name, slug, parentId, imageUrl, description } = req.body;
+
+    const parentError = await validateParent(prisma, null, parentId);
+    if (parentError) {
+      return res.status(parentError.status).json({
+        success: false,
+        message: parentError.message
+      });
+    }
+
+    const slugResult = await resolveNewSlug(prisma, 'category', slug, name);
+    if (slugResult.error) {
+      return res.status(slugResult.error.status).json({
+        success: false,
+        message: slugResult.error.message
+      });
+    }
 
     const category = await prisma.category.create({
       data: {
         name,
+        slug: slugResult.slug,
+        parentId: parentId || null,
         imageUrl,
-        description
+        description,
+        ...pickSeoFields(req.body)
       }
     });
 
@@ -156,7 +306,7 @@ const createCategory = async (req, res) => {
     if (error.code === 'P2002') {
       return res.status(400).json({
         success: false,
-        message: 'Category name already exists'
+        message: duplicateMessage(error)
       });
     }
 
@@ -172,10 +322,14 @@ const createCategory = async (req, res) => {
 /**
  * Update Category (ADMIN ONLY)
  *
+ * Send `parentId` to move the category (null moves it to the top level).
+ * Moving a category under itself or one of its subcategories is refused.
+ * Renaming keeps the slug; a changed `slug` leaves the old one redirecting.
+ *
  * Sample Request:
  * PUT /api/admin/categories/:id
  * Authorization: Bearer <admin_token>
- * Body: { "name": "Updated Name" }
+ * Body: { "name": "Updated Name", "parentId": "uuid" }
  *
  * Sample Response:
  * {
@@ -186,14 +340,50 @@ const createCategory = async (req, res) => {
  */
 const updateCategory = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
-    const updateData = req.body;
+    const { children, products, slugRedirects, ...updateData } = req.body;
+    Object.assign(updateData, pickSeoFields(updateData));
+
+    const result = await prisma.$transaction(async (tx) => {
+      if (updateData.parentId !== undefined) {
+        // One move at a time, so two concurrent moves can't form a loop
+        await tx.$queryRaw`SELECT pg_advisory_xact_lock(hashtext('category_tree'))`;
 
-    const category = await prisma.category.update({
-      where: { id },
-      data: updateData
+        const parentError = await validateParent(tx, id, updateData.parentId);
+        if (parentError) return { parentError };
+      }
+
+      if (updateData.slug !== undefined) {
+        const slugError = await changeSlug(tx, 'category', id, updateData.slug);
+        if (slugError) return { slugError };
+      }
+
+      const category = await tx.category.update({
+        where: { id },
+        data: updateData
+      });
+
+      return { category };
     });
 
+    const refusal = result.parentError || result.slugError;
+    if (refusal) {
+      return res.status(refusal.status).json({
+        success: false,
+        message: refusal.message
+      });
+    }
+
+    const { category } = result;
+
     return res.status(200).json({
       success: true,
       message: 'Category updated successfully',
@@ -208,6 +398,13 @@ const updateCategory = async (req, res) => {
       });
     }
 
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: duplicateMessage(error)
+      });
+    }
+
     console.error('Update Category Error:', error);
     return res.status(500).json({
       success: false,
@@ -220,6 +417,9 @@ const updateCategory = async (req, res) => {
 /**
  * Delete Category (ADMIN ONLY)
  *
+ * Only empty categories can be deleted: move or delete their products and
+ * subcategories first.
+ *
  * Sample Request:
  * DELETE /api/admin/categories/:id
  * Authorization: Bearer <admin_token>
@@ -251,6 +451,13 @@ const deleteCategory = async (req, res) => {
       });
     }
 
+    if (error.code === 'P2003') {
+      return res.status(400).json({
+        success: false,
+        message: 'Category still has products or subcategories'
+      });
+    }
+
     console.error('Delete Category Error:', error);
     return res.status(500).json({
       success: false,
@@ -262,6 +469,7 @@ const deleteCategory = async (req, res) => {
 
 module.exports = {
   getAllCategories,
+  getCategoryTree,
   getCategoryById,
   createCategory,
   updateCategory,
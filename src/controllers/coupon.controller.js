@@ -0,0 +1,405 @@
+const { prisma } = require('../config/database');
+const { validationResult } = require('express-validator');
+const { normalizeCouponCode } = require('../utils/coupon.helper');
+
+const DECIMAL_FIELDS = ['discountValue', 'minCartValue', 'maxDiscount'];
+const INTEGER_FIELDS = ['usageLimit', 'perUserLimit'];
+const DATE_FIELDS = ['validFrom', 'validUntil'];
+
+/**
+ * Map a coupon request body to Coupon columns
+ *
+ * Only fields present in the body are returned so the same mapper
+ * serves both create and partial update. `null` clears optional limits.
+ */
+const buildCouponData = (body) => {
+  const data = {};
+
+  if (body.code !== undefined) data.code = normalizeCouponCode(body.code);
+  if (body.description !== undefined) data.description = body.description;
+  if (body.discountType !== undefined) data.discountType = body.discountType;
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+  if (body.categoryIds !== undefined) data.categoryIds = body.categoryIds || [];
+  if (body.productIds !== undefined) data.productIds = body.productIds || [];
+
+  for (const field of DECIMAL_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field] === null ? null : parseFloat(body[field]);
+  }
+  for (const field of INTEGER_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field] === null ? null : parseInt(body[field]);
+  }
+  for (const field of DATE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field] === null ? null : new Date(body[field]);
+  }
+
+  return data;
+};
+
+/**
+ * Rules that span several fields (checked on the full coupon, so a partial
+ * update is merged with the stored values first)
+ *
+ * @returns {string|null} Error message, or null when valid
+ */
+const checkCouponRules = (coupon) => {
+  if (coupon.discountType === 'PERCENTAGE' && parseFloat(coupon.discountValue) > 100) {
+    return 'Percentage discount cannot exceed 100';
+  }
+
+  if (coupon.validFrom && coupon.validUntil && coupon.validFrom >= coupon.validUntil) {
+    return 'validUntil must be after validFrom';
+  }
+
+  return null;
+};
+
+const formatCoupon = (coupon) => ({
+  ...coupon,
+  discountValue: parseFloat(coupon.discountValue),
+  minCartValue: coupon.minCartValue !== null ? parseFloat(coupon.minCartValue) : null,
+  maxDiscount: coupon.maxDiscount !== null ? parseFloat(coupon.maxDiscount) : null
+});
+
+/**
+ * Get All Coupons (ADMIN ONLY)
+ *
+ * Sample Request:
+ * GET /api/admin/coupons?page=1&limit=20&active=true
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "coupons": [{ "code": "AYUR10", "timesUsed": 12, ... }],
+ *   "pagination": {...}
+ * }
+ */
+const getAllCoupons = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, active } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = active !== undefined ? { isActive: active === 'true' } : {};
+
+    const [coupons, total] = await Promise.all([
+      prisma.coupon.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        include: {
+          _count: {
+            select: { redemptions: true }
+          }
+        },
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.coupon.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      coupons: coupons.map(({ _count, ...coupon }) => ({
+        ...formatCoupon(coupon),
+        timesUsed: _count.redemptions
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Coupons Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupons',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Coupon by ID (ADMIN ONLY)
+ *
+ * Sample Request:
+ * GET /api/admin/coupons/:id
+ * Authorization: Bearer <admin_token>
+ */
+const getCouponById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { redemptions: true }
+        }
+      }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const { _count, ...rest } = coupon;
+
+    return res.status(200).json({
+      success: true,
+      coupon: {
+        ...formatCoupon(rest),
+        timesUsed: _count.redemptions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Coupon Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create Coupon (ADMIN ONLY)
+ *
+ * Sample Request:
+ * POST /api/admin/coupons
+ * Authorization: Bearer <admin_token>
+ * Body:
+ * {
+ *   "code": "AYUR10",
+ *   "description": "10% off on all herbs",
+ *   "discountType": "PERCENTAGE",
+ *   "discountValue": 10,
+ *   "minCartValue": 500,
+ *   "maxDiscount": 200,
+ *   "usageLimit": 1000,
+ *   "perUserLimit": 1,
+ *   "validFrom": "2024-02-01T00:00:00.000Z",
+ *   "validUntil": "2024-02-29T23:59:59.000Z",
+ *   "categoryIds": ["uuid"],
+ *   "productIds": []
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Coupon created successfully",
+ *   "coupon": {...}
+ * }
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const data = buildCouponData(req.body);
+
+    const ruleError = checkCouponRules(data);
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const coupon = await prisma.coupon.create({
+      data: {
+        categoryIds: [],
+        productIds: [],
+        ...data
+      }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      coupon: formatCoupon(coupon)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    console.error('Create Coupon Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update Coupon (ADMIN ONLY)
+ *
+ * Sample Request:
+ * PUT /api/admin/coupons/:id
+ * Authorization: Bearer <admin_token>
+ * Body: { "isActive": false }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Coupon updated successfully",
+ *   "coupon": {...}
+ * }
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const data = buildCouponData(req.body);
+
+    const existing = await prisma.coupon.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const ruleError = checkCouponRules({ ...existing, ...data });
+    if (ruleError) {
+      return res.status(400).json({
+        success: false,
+        message: ruleError
+      });
+    }
+
+    const coupon = await prisma.coupon.update({
+      where: { id },
+      data
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      coupon: formatCoupon(coupon)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    console.error('Update Coupon Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete Coupon (ADMIN ONLY)
+ *
+ * Coupons that were already redeemed are deactivated instead of deleted
+ * so past orders keep their redemption history.
+ *
+ * Sample Request:
+ * DELETE /api/admin/coupons/:id
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Coupon deleted successfully"
+ * }
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const coupon = await prisma.coupon.findUnique({
+      where: { id },
+      include: {
+        _count: {
+          select: { redemptions: true }
+        }
+      }
+    });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (coupon._count.redemptions > 0) {
+      await prisma.coupon.update({
+        where: { id },
+        data: { isActive: false }
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Coupon has been used on orders and was deactivated instead of deleted'
+      });
+    }
+
+    await prisma.coupon.delete({
+      where: { id }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Coupon Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete coupon',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
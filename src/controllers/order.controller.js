@@ -526,7 +526,7 @@ const updateOrderStatus = async (req, res) => {
     const { id } = req.params;
     const { status, trackingId } = req.body;
 
-    const validStatuses = ['PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
+    const validStatuses = ['PENDING', 'CONFIRMED', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
 
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json({
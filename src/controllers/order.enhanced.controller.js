@@ -3,15 +3,555 @@ const { razorpayInstance } = require('../config/razorpay');
 const shiprocketClient = require('../config/shiprocket');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const { validationResult } = require('express-validator');
+const { resolveVariant, getSellableUnit } = require('../utils/variant.helper');
+const { calculatePackage } = require('../utils/packing.calculator');
+const { evaluateCoupon, lockCouponUsage } = require('../utils/coupon.helper');
+const {
+  getProductGstRate,
+  isIntraStateSupply,
+  allocateDiscount,
+  calculateLineTax
+} = require('../utils/gst.helper');
+const { assignInvoiceNumber, renderInvoicePdf } = require('../utils/invoice.generator');
+const { PAYMENT_METHODS, getCodFee, checkCodEligibility } = require('../utils/cod.helper');
+const { MISSING_SHIPMENT_WHERE, attemptShipment } = require('../utils/shipment.helper');
+const { restoreStock, reserveStock } = require('../utils/inventory.helper');
+const { confirmOrderPayment } = require('../utils/payment.helper');
+const { isVerificationRequiredForCheckout } = require('../utils/emailVerification.helper');
+const { normalizePhone } = require('../utils/phone.helper');
+const { requestOtp, verifyOtp } = require('../utils/otp.helper');
+const { setRetryAfter } = require('../middleware/rateLimit.middleware');
+const {
+  normalizeEmail,
+  createGuestPhoneToken,
+  verifyGuestPhoneToken,
+  createOrderLookupToken,
+  canAccessOrder
+} = require('../utils/guestOrder.helper');
+
+const outOfStockResponse = (res, items) => res.status(409).json({
+  success: false,
+  message: 'Some items in your cart are out of stock. Please update your cart and try again.',
+  outOfStockItems: items
+});
+
+/**
+ * Remove the ordered items (and the applied coupon) from the cart
+ */
+const clearCart = async (client, cart) => {
+  await client.cartItem.deleteMany({
+    where: { cartId: cart.id }
+  });
+
+  if (cart.couponId) {
+    await client.cart.update({
+      where: { id: cart.id },
+      data: { couponId: null }
+    });
+  }
+};
+
+/**
+ * Cancel a prepaid order whose Razorpay order could not be created
+ *
+ * Stock goes back, and the idempotency key is released so the same
+ * checkout can simply be retried.
+ */
+const cancelUnstartedOrder = async (order) => {
+  await prisma.$transaction(async (tx) => {
+    await tx.order.update({
+      where: { id: order.id },
+      data: {
+        status: 'CANCELLED',
+        cancellationReason: 'Payment could not be started',
+        cancelledAt: new Date()
+      }
+    });
+
+    await restoreStock(tx, order.orderItems);
+
+    await tx.payment.update({
+      where: { orderId: order.id },
+      data: {
+        status: 'FAILED',
+        idempotencyKey: null
+      }
+    });
+  });
+};
+
+/**
+ * Price the items, reserve stock and create the order
+ *
+ * Shared by customer checkout (cart items, saved address) and guest
+ * checkout (items in the request, inline address). Sends the response.
+ *
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params
+ * @param {string|null} params.userId - Owner, null for guest orders
+ * @param {Object|null} params.guest - { name, email, phone } for guest orders
+ * @param {Object[]} params.items - [{ id, productId, quantity, product, variant }]
+ * @param {Object|null} params.cart - Cart to clear after ordering (customers only)
+ * @param {Object} params.address - { street, city, state, pincode, country }
+ * @param {string} params.paymentMethod - PREPAID or COD
+ * @param {string} params.idempotencyKey
+ */
+const placeOrder = async (req, res, { userId, guest, items, cart, address, paymentMethod, idempotencyKey }) => {
+  const isCod = paymentMethod === 'COD';
+  const coupon = cart?.coupon || null;
+
+  // Check for existing order with this idempotency key (prevent double payment)
+  const existingPayment = await prisma.payment.findUnique({
+    where: { idempotencyKey },
+    include: {
+      order: true
+    }
+  });
+
+  if (existingPayment) {
+    const existingOrder = existingPayment.order;
+    const isSameBuyer = userId
+      ? existingOrder.userId === userId
+      : !existingOrder.userId && normalizeEmail(existingOrder.guestEmail) === normalizeEmail(guest.email);
+
+    if (!isSameBuyer) {
+      return res.status(409).json({
+        success: false,
+        message: 'This idempotency key has already been used'
+      });
+    }
+
+    // The first request is still creating the Razorpay order
+    if (existingOrder.paymentMethod === 'PREPAID' && !existingPayment.razorpayOrderId) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order is already being placed. Please wait a moment and check your orders.'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order already exists',
+      order: {
+        id: existingOrder.id,
+        razorpayOrderId: existingPayment.razorpayOrderId,
+        paymentMethod: existingOrder.paymentMethod,
+        subtotal: parseFloat(existingOrder.subtotalAmount),
+        discountAmount: parseFloat(existingOrder.discountAmount),
+        couponCode: existingOrder.couponCode,
+        shippingCost: parseFloat(existingOrder.shippingCost),
+        codFee: parseFloat(existingOrder.codFee),
+        totalAmount: parseFloat(existingOrder.totalAmount),
+        currency: 'INR'
+      },
+      ...(guest && { orderToken: createOrderLookupToken(existingOrder) }),
+      razorpayKeyId: process.env.RAZORPAY_KEY_ID,
+      note: 'This order was already created'
+    });
+  }
+
+  // Calculate subtotal and verify stock
+  let subtotal = 0;
+  const orderItems = [];
+  const stockItems = [];
+  const outOfStockItems = [];
+
+  for (const item of items) {
+    const product = item.product;
+    const unit = getSellableUnit(product, item.variant);
+
+    // Check if product (and pack size) is active
+    if (!unit.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: `Product "${unit.name}" is no longer available`
+      });
+    }
+
+    const stockItem = {
+      productId: product.id,
+      variantId: unit.variantId,
+      name: unit.name,
+      quantity: item.quantity
+    };
+    stockItems.push(stockItem);
+
+    // Check stock availability (re-checked atomically when stock is reserved)
+    if (item.quantity > unit.stockQuantity) {
+      outOfStockItems.push({
+        productId: stockItem.productId,
+        variantId: stockItem.variantId,
+        name: stockItem.name,
+        requested: item.quantity,
+        available: unit.stockQuantity
+      });
+    }
+
+    subtotal += parseFloat(unit.price) * item.quantity;
+
+    orderItems.push({
+      productId: product.id,
+      variantId: unit.variantId,
+      variantLabel: unit.label,
+      sku: unit.sku,
+      quantity: item.quantity,
+      priceAtPurchase: unit.price
+    });
+  }
+
+  if (outOfStockItems.length > 0) {
+    return outOfStockResponse(res, outOfStockItems);
+  }
+
+  // Apply coupon attached to the cart (re-validated at checkout)
+  let discountAmount = 0;
+  let eligibleItemIds = [];
+  if (coupon) {
+    const evaluation = await evaluateCoupon(coupon, userId, items);
+
+    if (!evaluation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Coupon ${coupon.code} can no longer be applied: ${evaluation.message}. Please remove it and try again.`
+      });
+    }
+
+    discountAmount = evaluation.discount;
+    eligibleItemIds = evaluation.eligibleItemIds;
+  }
+
+  // GST per line: the discount is shared across eligible lines, then tax
+  // is backed out of the (GST-inclusive) discounted line amount
+  const intraState = isIntraStateSupply(address.state);
+  const discountShares = allocateDiscount(
+    items.map((item, index) => ({
+      amount: parseFloat(orderItems[index].priceAtPurchase) * item.quantity,
+      eligible: eligibleItemIds.includes(item.id)
+    })),
+    discountAmount
+  );
+
+  let taxAmount = 0;
+  items.forEach((item, index) => {
+    const gstRate = getProductGstRate(item.product);
+    const lineAmount = parseFloat(orderItems[index].priceAtPurchase) * item.quantity - discountShares[index];
+    const lineTax = calculateLineTax(lineAmount, gstRate, intraState);
+
+    Object.assign(orderItems[index], {
+      discountAmount: discountShares[index],
+      hsnCode: item.product.hsnCode,
+      gstRate,
+      taxableValue: lineTax.taxableValue,
+      cgstAmount: lineTax.cgstAmount,
+      sgstAmount: lineTax.sgstAmount,
+      igstAmount: lineTax.igstAmount
+    });
+    taxAmount += lineTax.taxAmount;
+  });
+  taxAmount = Math.round(taxAmount * 100) / 100;
+
+  // Build the parcel from per-product weight and dimensions
+  const parcel = calculatePackage(items);
+  const totalWeight = parcel.chargeableWeightKg;
+
+  // Calculate shipping cost using Shiprocket
+  let shippingCost = 0;
+  let courierName = null;
+  const pickupPincode = process.env.SHIPROCKET_PICKUP_PINCODE || '400001';
+
+  try {
+    const serviceability = await shiprocketClient.checkServiceability({
+      pickupPincode,
+      deliveryPincode: address.pincode,
+      weightKg: totalWeight,
+      cod: isCod
+    });
+
+    if (serviceability.available) {
+      shippingCost = serviceability.shippingCost;
+      courierName = serviceability.courierName;
+    } else if (isCod) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on Delivery is not available for this pincode. Please pay online.',
+        details: serviceability.message
+      });
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipping not available to your location. Please try a different address.',
+        details: serviceability.message
+      });
+    }
+  } catch (shippingError) {
+    // COD pincodes can't be confirmed without Shiprocket
+    if (isCod) {
+      return res.status(400).json({
+        success: false,
+        message: 'Unable to confirm Cash on Delivery for this pincode right now. Please pay online.'
+      });
+    }
+
+    console.warn('Shipping calculation failed, proceeding with default cost:', shippingError.message);
+    shippingCost = 50; // Default shipping cost if Shiprocket fails
+  }
+
+  const orderValue = subtotal - discountAmount + shippingCost;
+
+  let codFee = 0;
+  if (isCod) {
+    const eligibility = checkCodEligibility(orderValue);
+    if (!eligibility.eligible) {
+      return res.status(400).json({
+        success: false,
+        message: eligibility.message
+      });
+    }
+    codFee = getCodFee();
+  }
+
+  const totalAmount = orderValue + codFee;
+
+  // Create address snapshot
+  const addressSnapshot = {
+    street: address.street,
+    city: address.city,
+    state: address.state,
+    pincode: address.pincode,
+    country: address.country
+  };
+
+  // Create order and reserve stock atomically (COD also clears the cart).
+  // The Razorpay order is created afterwards, so a rollback leaves nothing
+  // behind at Razorpay.
+  const order = await prisma.$transaction(async (tx) => {
+    const shortages = await reserveStock(tx, stockItems);
+    if (shortages.length > 0) {
+      const stockError = new Error('Insufficient stock');
+      stockError.code = 'OUT_OF_STOCK';
+      stockError.items = shortages;
+      throw stockError; // Rolls back every decrement made so far
+    }
+
+    // Usage limits again, under the coupon row lock (the check above ran
+    // outside the transaction)
+    if (coupon) {
+      const limitError = await lockCouponUsage(tx, coupon, userId);
+      if (limitError) {
+        const couponError = new Error(`Coupon ${coupon.code} can no longer be applied: ${limitError}. Please remove it and try again.`);
+        couponError.code = 'COUPON_UNAVAILABLE';
+        throw couponError;
+      }
+    }
+
+    // Create order in database with shipping details
+    const createdOrder = await tx.order.create({
+      data: {
+        userId,
+        ...(guest && {
+          guestName: guest.name,
+          guestEmail: guest.email,
+          guestPhone: guest.phone
+        }),
+        subtotalAmount: subtotal,
+        discountAmount,
+        couponId: coupon?.id || null,
+        couponCode: coupon?.code || null,
+        shippingCost,
+        taxAmount,
+        codFee,
+        totalAmount,
+        status: isCod ? 'CONFIRMED' : 'PENDING',
+        paymentMethod,
+        shippingAddressSnapshot: addressSnapshot,
+        pickupPincode,
+        deliveryPincode: address.pincode,
+        weightKg: totalWeight,
+        lengthCm: parcel.dimensions.length,
+        breadthCm: parcel.dimensions.breadth,
+        heightCm: parcel.dimensions.height,
+        orderItems: {
+          create: orderItems
+        },
+        payment: {
+          create: {
+            idempotencyKey,
+            amount: totalAmount,
+            status: 'PENDING'
+          }
+        },
+        ...(coupon && {
+          couponRedemption: {
+            create: {
+              couponId: coupon.id,
+              userId,
+              discountAmount
+            }
+          }
+        })
+      },
+      include: {
+        orderItems: {
+          include: {
+            product: true
+          }
+        },
+        payment: true
+      }
+    });
+
+    if (cart && isCod) {
+      await clearCart(tx, cart);
+    }
+
+    return createdOrder;
+  }, {
+    timeout: 15000
+  });
+
+  // Create Razorpay Order (prepaid only - COD is collected by the courier)
+  let razorpayOrder = null;
+  if (!isCod) {
+    try {
+      razorpayOrder = await razorpayInstance.orders.create({
+        amount: Math.round(totalAmount * 100), // Amount in paise
+        currency: 'INR',
+        receipt: `receipt_${Date.now()}`,
+        notes: {
+          orderId: order.id,
+          idempotencyKey,
+          ...(userId ? { userId, addressId: address.id } : { guestEmail: guest.email })
+        }
+      });
+
+      await prisma.payment.update({
+        where: { orderId: order.id },
+        data: { razorpayOrderId: razorpayOrder.id }
+      });
+    } catch (razorpayError) {
+      // Left PENDING if this fails too; the expiry job cancels it later
+      await cancelUnstartedOrder(order).catch(cancelError => {
+        console.error(`Failed to cancel order ${order.id}:`, cancelError.message);
+      });
+      razorpayError.code = 'PAYMENT_NOT_STARTED';
+      throw razorpayError;
+    }
+
+    if (cart) {
+      await clearCart(prisma, cart);
+    }
+  }
+
+  // COD orders are confirmed now, so invoice and ship without waiting for payment
+  let shippingDetails = null;
+  if (isCod) {
+    try {
+      await assignInvoiceNumber(order.id);
+    } catch (invoiceError) {
+      console.error('Invoice Number Error (non-blocking):', invoiceError.message);
+    }
+
+    // Failures are retried by the shipment retry job
+    ({ shippingDetails } = await attemptShipment(order));
+  }
+
+  return res.status(201).json({
+    success: true,
+    message: isCod ? 'Order placed successfully. Pay on delivery.' : 'Order created successfully',
+    order: {
+      id: order.id,
+      razorpayOrderId: razorpayOrder?.id || null,
+      paymentMethod,
+      status: order.status,
+      subtotal,
+      discountAmount,
+      couponCode: coupon?.code || null,
+      shippingCost,
+      taxAmount,
+      codFee,
+      totalAmount,
+      currency: 'INR',
+      courierName,
+      estimatedWeight: totalWeight
+    },
+    // Guests track the order with this token (X-Order-Token header)
+    ...(guest
+      ? { orderToken: createOrderLookupToken(order) }
+      // Shipment is held until the phone is verified (POST /api/auth/phone/verify)
+      : { phoneVerificationRequired: !req.user.phoneVerified }),
+    ...(isCod
+      ? {
+        shipping: shippingDetails ? {
+          shiprocketOrderId: shippingDetails.shiprocketOrderId,
+          awbCode: shippingDetails.awbCode,
+          courierName: shippingDetails.courierName,
+          status: shippingDetails.currentStatus
+        } : null
+      }
+      : { razorpayKeyId: process.env.RAZORPAY_KEY_ID })
+  });
+};
+
+/**
+ * Response for errors thrown while placing an order
+ */
+const placeOrderErrorResponse = (res, error) => {
+  if (error.code === 'OUT_OF_STOCK') {
+    return outOfStockResponse(res, error.items);
+  }
+
+  if (error.code === 'COUPON_UNAVAILABLE') {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (error.code === 'PAYMENT_NOT_STARTED') {
+    console.error('Razorpay Order Error:', error);
+    return res.status(502).json({
+      success: false,
+      message: 'Could not start the payment. Nothing was charged, please try again.',
+      error: error.message
+    });
+  }
+
+  // Same idempotency key submitted twice at once - the first request wins
+  if (error.code === 'P2002') {
+    return res.status(409).json({
+      success: false,
+      message: 'This order is already being placed. Please wait a moment and check your orders.'
+    });
+  }
+
+  console.error('Create Order Error:', error);
+  return res.status(500).json({
+    success: false,
+    message: 'Failed to create order',
+    error: error.message
+  });
+};
 
 /**
  * Create Order / Checkout with Shipping Integration
  *
  * Enhanced with:
- * - Shipping cost calculation
+ * - Shipping cost calculation (chargeable weight from the packing calculator)
  * - Idempotency key for double payment prevention
+ * - Coupon discount (re-validated against the cart, charged amount sent to Razorpay)
+ * - GST lines per item (CGST/SGST within the seller state, IGST otherwise)
+ * - Cash on Delivery: eligibility checks, COD fee, no Razorpay order,
+ *   order confirmed and Shiprocket shipment created immediately
  * - Address snapshot storage
- * - Inventory management
+ * - Inventory management (per pack size when the cart item has a variant)
+ * - Order and conditional stock decrement in one transaction
+ *   (409 with the items that ran out if another checkout got there first)
+ * - Razorpay order created after the order is saved; if Razorpay fails the
+ *   order is cancelled, stock released and 502 returned (cart left as is)
+ * - 403 EMAIL_NOT_VERIFIED until the email is verified
+ *   (unless EMAIL_VERIFICATION_REQUIRED_FOR_CHECKOUT=false)
  *
  * Sample Request:
  * POST /api/orders/checkout
@@ -19,6 +559,7 @@ const { v4: uuidv4 } = require('uuid');
  * Body:
  * {
  *   "addressId": "uuid",
+ *   "paymentMethod": "PREPAID" | "COD" (optional, defaults to PREPAID),
  *   "idempotencyKey": "unique-key-123" (optional, auto-generated if not provided)
  * }
  *
@@ -28,10 +569,14 @@ const { v4: uuidv4 } = require('uuid');
  *   "message": "Order created successfully",
  *   "order": {
  *     "id": "uuid",
- *     "razorpayOrderId": "order_xyz123",
+ *     "razorpayOrderId": "order_xyz123", (null for COD)
+ *     "paymentMethod": "PREPAID",
  *     "subtotal": 1400,
+ *     "discountAmount": 140,
+ *     "couponCode": "AYUR10",
  *     "shippingCost": 50,
- *     "totalAmount": 1450,
+ *     "codFee": 0,
+ *     "totalAmount": 1310,
  *     "currency": "INR"
  *   },
  *   "razorpayKeyId": "rzp_test_xxxxx"
@@ -40,7 +585,16 @@ const { v4: uuidv4 } = require('uuid');
 const createOrder = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { addressId, idempotencyKey: providedKey } = req.body;
+    const { addressId, paymentMethod = 'PREPAID', idempotencyKey: providedKey } = req.body;
+
+    // Phone-only accounts have no email to verify
+    if (isVerificationRequiredForCheckout() && req.user.email && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before placing an order',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
 
     if (!addressId) {
       return res.status(400).json({
@@ -49,31 +603,10 @@ const createOrder = async (req, res) => {
       });
     }
 
-    // Generate or use provided idempotency key
-    const idempotencyKey = providedKey || `${userId}_${Date.now()}_${uuidv4()}`;
-
-    // Check for existing order with this idempotency key (prevent double payment)
-    const existingPayment = await prisma.payment.findUnique({
-      where: { idempotencyKey },
-      include: {
-        order: true
-      }
-    });
-
-    if (existingPayment) {
-      return res.status(200).json({
-        success: true,
-        message: 'Order already exists',
-        order: {
-          id: existingPayment.order.id,
-          razorpayOrderId: existingPayment.razorpayOrderId,
-          subtotal: parseFloat(existingPayment.order.subtotalAmount),
-          shippingCost: parseFloat(existingPayment.order.shippingCost),
-          totalAmount: parseFloat(existingPayment.order.totalAmount),
-          currency: 'INR'
-        },
-        razorpayKeyId: process.env.RAZORPAY_KEY_ID,
-        note: 'This order was already created'
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
       });
     }
 
@@ -93,9 +626,11 @@ const createOrder = async (req, res) => {
     const cart = await prisma.cart.findUnique({
       where: { userId },
       include: {
+        coupon: true,
         cartItems: {
           include: {
-            product: true
+            product: true,
+            variant: true
           }
         }
       }
@@ -108,169 +643,306 @@ const createOrder = async (req, res) => {
       });
     }
 
-    // Calculate subtotal and verify stock
-    let subtotal = 0;
-    let totalWeight = 0;
-    const orderItems = [];
+    return await placeOrder(req, res, {
+      userId,
+      guest: null,
+      items: cart.cartItems,
+      cart,
+      address,
+      paymentMethod,
+      // Generate or use provided idempotency key
+      idempotencyKey: providedKey || `${userId}_${Date.now()}_${uuidv4()}`
+    });
 
-    for (const item of cart.cartItems) {
-      const product = item.product;
+  } catch (error) {
+    return placeOrderErrorResponse(res, error);
+  }
+};
 
-      // Check if product is active
-      if (!product.isActive) {
-        return res.status(400).json({
-          success: false,
-          message: `Product "${product.name}" is no longer available`
-        });
-      }
+/**
+ * Request Guest Checkout OTP
+ *
+ * Guests confirm their phone before checkout (the courier needs a
+ * reachable number). No account is created.
+ *
+ * Sample Request:
+ * POST /api/orders/guest/otp/request
+ * Body:
+ * {
+ *   "phone": "9876543210"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "OTP sent to +919876543210",
+ *   "expiresIn": 300,
+ *   "resendIn": 60
+ * }
+ */
+const requestGuestCheckoutOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-      // Check stock availability
-      if (item.quantity > product.stockQuantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Insufficient stock for "${product.name}". Only ${product.stockQuantity} available`
-        });
+    const phone = normalizePhone(req.body.phone);
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid phone number is required'
+      });
+    }
+
+    const result = await requestOtp({
+      phone,
+      purpose: 'GUEST_CHECKOUT',
+      requestedIp: req.ip || null
+    });
+
+    if (result.error) {
+      if (result.retryAfter !== undefined) {
+        setRetryAfter(res, result.retryAfter);
       }
 
-      subtotal += parseFloat(product.discountedPrice) * item.quantity;
-      totalWeight += 0.5 * item.quantity; // Assuming 0.5kg per product
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        ...(result.retryAfter !== undefined && { retryAfter: result.retryAfter })
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `OTP sent to ${phone}`,
+      expiresIn: result.expiresIn,
+      resendIn: result.resendIn
+    });
 
-      orderItems.push({
-        productId: product.id,
-        quantity: item.quantity,
-        priceAtPurchase: product.discountedPrice,
-        name: product.name
+  } catch (error) {
+    console.error('Guest Checkout OTP Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to send OTP',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Verify Guest Checkout OTP
+ *
+ * Returns a phone token to send with guest checkout (valid 30 minutes).
+ *
+ * Sample Request:
+ * POST /api/orders/guest/otp/verify
+ * Body:
+ * {
+ *   "phone": "9876543210",
+ *   "code": "482913"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Phone verified",
+ *   "phone": "+919876543210",
+ *   "phoneToken": "signed_token",
+ *   "expiresIn": 1800
+ * }
+ */
+const verifyGuestCheckoutOtp = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
       });
     }
 
-    // Calculate shipping cost using Shiprocket
-    let shippingCost = 0;
-    let courierName = null;
-    const pickupPincode = process.env.SHIPROCKET_PICKUP_PINCODE || '400001';
+    const phone = normalizePhone(req.body.phone);
 
-    try {
-      const serviceability = await shiprocketClient.checkServiceability({
-        pickupPincode,
-        deliveryPincode: address.pincode,
-        weightKg: totalWeight,
-        codAmount: 0 // Prepaid
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid phone number is required'
       });
+    }
 
-      if (serviceability.available) {
-        shippingCost = serviceability.shippingCost;
-        courierName = serviceability.courierName;
-      } else {
-        return res.status(400).json({
-          success: false,
-          message: 'Shipping not available to your location. Please try a different address.',
-          details: serviceability.message
-        });
-      }
-    } catch (shippingError) {
-      console.warn('Shipping calculation failed, proceeding with default cost:', shippingError.message);
-      shippingCost = 50; // Default shipping cost if Shiprocket fails
+    const result = await verifyOtp({ phone, purpose: 'GUEST_CHECKOUT', code: req.body.code });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error,
+        ...(result.attemptsRemaining !== undefined && { attemptsRemaining: result.attemptsRemaining })
+      });
     }
 
-    const totalAmount = subtotal + shippingCost;
+    return res.status(200).json({
+      success: true,
+      message: 'Phone verified',
+      phone,
+      ...createGuestPhoneToken(phone)
+    });
 
-    // Create Razorpay Order
-    const razorpayOrder = await razorpayInstance.orders.create({
-      amount: Math.round(totalAmount * 100), // Amount in paise
-      currency: 'INR',
-      receipt: `receipt_${Date.now()}`,
-      notes: {
-        idempotencyKey,
-        userId,
-        addressId
-      }
+  } catch (error) {
+    console.error('Guest Checkout OTP Verify Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify OTP',
+      error: error.message
     });
+  }
+};
 
-    // Create address snapshot
-    const addressSnapshot = {
-      street: address.street,
-      city: address.city,
-      state: address.state,
-      pincode: address.pincode,
-      country: address.country
-    };
+/**
+ * Guest Checkout (no account)
+ *
+ * Same pricing, stock, GST, shipping and COD rules as checkout, with the
+ * items and shipping address in the request. Coupons need an account.
+ * Keep the returned orderToken: it is needed to verify the payment and to
+ * track the order (X-Order-Token header). Registering (or logging in)
+ * with the same, verified email moves the order into the account.
+ *
+ * Sample Request:
+ * POST /api/orders/guest/checkout
+ * Body:
+ * {
+ *   "name": "Asha Rao",
+ *   "email": "asha@example.com",
+ *   "phoneToken": "token_from_guest_otp_verify",
+ *   "address": {
+ *     "street": "12 MG Road",
+ *     "city": "Pune",
+ *     "state": "Maharashtra",
+ *     "pincode": "411001",
+ *     "country": "India" (optional)
+ *   },
+ *   "items": [
+ *     { "productId": "uuid", "variantId": "uuid" (required for pack sizes), "quantity": 2 }
+ *   ],
+ *   "paymentMethod": "PREPAID" | "COD" (optional, defaults to PREPAID),
+ *   "idempotencyKey": "unique-key-123" (optional)
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Order created successfully",
+ *   "order": { "id": "uuid", "razorpayOrderId": "order_xyz123", "totalAmount": 1310, ... },
+ *   "orderToken": "signed_order_lookup_token",
+ *   "razorpayKeyId": "rzp_test_xxxxx"
+ * }
+ */
+const createGuestOrder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
 
-    // Create order in database with shipping details
-    const order = await prisma.order.create({
-      data: {
-        userId,
-        subtotalAmount: subtotal,
-        shippingCost,
-        totalAmount,
-        status: 'PENDING',
-        shippingAddressSnapshot: addressSnapshot,
-        pickupPincode,
-        deliveryPincode: address.pincode,
-        weightKg: totalWeight,
-        lengthCm: 20,
-        breadthCm: 15,
-        heightCm: 10,
-        orderItems: {
-          create: orderItems
-        },
-        payment: {
-          create: {
-            razorpayOrderId: razorpayOrder.id,
-            idempotencyKey,
-            amount: totalAmount,
-            status: 'PENDING'
-          }
-        }
-      },
-      include: {
-        orderItems: {
-          include: {
-            product: true
-          }
-        },
-        payment: true
-      }
-    });
+    const {
+      name,
+      email,
+      phoneToken,
+      address,
+      items: requestedItems,
+      paymentMethod = 'PREPAID',
+      idempotencyKey: providedKey
+    } = req.body;
+
+    if (!PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
 
-    // Decrement stock quantity for each product (Inventory Management)
-    for (const item of cart.cartItems) {
-      await prisma.product.update({
-        where: { id: item.productId },
-        data: {
-          stockQuantity: {
-            decrement: item.quantity
-          }
-        }
+    const phone = verifyGuestPhoneToken(phoneToken);
+
+    if (!phone) {
+      return res.status(401).json({
+        success: false,
+        message: 'Phone verification has expired. Please verify your phone again.',
+        code: 'GUEST_PHONE_NOT_VERIFIED'
       });
     }
 
-    // Clear cart after order creation
-    await prisma.cartItem.deleteMany({
-      where: { cartId: cart.id }
+    const products = await prisma.product.findMany({
+      where: { id: { in: [...new Set(requestedItems.map(item => item.productId))] } },
+      include: { variants: true }
     });
 
-    return res.status(201).json({
-      success: true,
-      message: 'Order created successfully',
-      order: {
-        id: order.id,
-        razorpayOrderId: razorpayOrder.id,
-        subtotal,
-        shippingCost,
-        totalAmount,
-        currency: 'INR',
-        courierName,
-        estimatedWeight: totalWeight
+    // Same shape as cart items; repeated lines for one product / pack size are combined
+    const items = [];
+    for (const requestedItem of requestedItems) {
+      const product = products.find(p => p.id === requestedItem.productId);
+
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          message: 'Product not found',
+          productId: requestedItem.productId
+        });
+      }
+
+      const { variant, error: variantError } = resolveVariant(product, requestedItem.variantId);
+
+      if (variantError) {
+        return res.status(variantError.status).json({
+          success: false,
+          message: variantError.message
+        });
+      }
+
+      const quantity = parseInt(requestedItem.quantity);
+      const existing = items.find(item => item.productId === product.id && item.variant?.id === variant?.id);
+
+      if (existing) {
+        existing.quantity += quantity;
+      } else {
+        items.push({
+          id: `guest-item-${items.length + 1}`,
+          productId: product.id,
+          quantity,
+          product,
+          variant
+        });
+      }
+    }
+
+    return await placeOrder(req, res, {
+      userId: null,
+      guest: {
+        name: name.trim(),
+        email: normalizeEmail(email),
+        phone
       },
-      razorpayKeyId: process.env.RAZORPAY_KEY_ID
+      items,
+      cart: null,
+      address: {
+        street: address.street.trim(),
+        city: address.city.trim(),
+        state: address.state.trim(),
+        pincode: address.pincode.trim(),
+        country: address.country?.trim() || 'India'
+      },
+      paymentMethod,
+      idempotencyKey: providedKey || `guest_${Date.now()}_${uuidv4()}`
     });
 
   } catch (error) {
-    console.error('Create Order Error:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Failed to create order',
-      error: error.message
-    });
+    return placeOrderErrorResponse(res, error);
   }
 };
 
@@ -279,16 +951,18 @@ const createOrder = async (req, res) => {
  *
  * Enhanced with:
  * - Signature verification
+ * - Idempotent with the Razorpay webhook (whichever arrives first confirms the order)
  * - Shiprocket order creation
  * - AWB generation
  * - Pickup request
  *
  * Sample Request:
  * POST /api/orders/verify-payment
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token> (guests: "orderToken" in the body instead)
  * Body:
  * {
  *   "orderId": "uuid",
+ *   "orderToken": "signed_order_lookup_token" (guest orders only),
  *   "razorpayPaymentId": "pay_xyz123",
  *   "razorpayOrderId": "order_xyz123",
  *   "razorpaySignature": "signature_string"
@@ -309,7 +983,6 @@ const createOrder = async (req, res) => {
  */
 const verifyPayment = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { orderId, razorpayPaymentId, razorpayOrderId, razorpaySignature } = req.body;
 
     if (!orderId || !razorpayPaymentId || !razorpayOrderId || !razorpaySignature) {
@@ -319,7 +992,7 @@ const verifyPayment = async (req, res) => {
       });
     }
 
-    // Get order and verify it belongs to user
+    // Get order and verify it belongs to user (or the guest holding its token)
     const order = await prisma.order.findUnique({
       where: { id: orderId },
       include: {
@@ -332,14 +1005,21 @@ const verifyPayment = async (req, res) => {
       }
     });
 
-    if (!order || order.userId !== userId) {
+    if (!order || !canAccessOrder(req, order)) {
       return res.status(404).json({
         success: false,
         message: 'Order not found'
       });
     }
 
-    // Check if already verified
+    if (order.paymentMethod === 'COD') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cash on Delivery orders are paid at delivery and need no payment verification'
+      });
+    }
+
+    // Check if already verified (e.g. by the Razorpay webhook)
     if (order.payment.status === 'SUCCESS') {
       return res.status(200).json({
         success: true,
@@ -348,6 +1028,13 @@ const verifyPayment = async (req, res) => {
       });
     }
 
+    if (razorpayOrderId !== order.payment.razorpayOrderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment does not belong to this order'
+      });
+    }
+
     // Verify Razorpay signature
     const generatedSignature = crypto
       .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
@@ -355,11 +1042,10 @@ const verifyPayment = async (req, res) => {
       .digest('hex');
 
     if (generatedSignature !== razorpaySignature) {
-      // Payment verification failed
-      await prisma.payment.update({
-        where: { id: order.payment.id },
+      // Payment verification failed (never downgrade a payment the webhook already captured)
+      await prisma.payment.updateMany({
+        where: { id: order.payment.id, status: 'PENDING' },
         data: {
-          razorpayPaymentId,
           status: 'FAILED'
         }
       });
@@ -370,101 +1056,18 @@ const verifyPayment = async (req, res) => {
       });
     }
 
-    // Update payment status
-    await prisma.payment.update({
-      where: { id: order.payment.id },
-      data: {
-        razorpayPaymentId,
-        razorpaySignature,
-        status: 'SUCCESS'
-      }
-    });
-
-    // Update order status
-    const updatedOrder = await prisma.order.update({
-      where: { id: orderId },
-      data: {
-        status: 'PAID'
-      },
-      include: {
-        orderItems: {
-          include: {
-            product: true
-          }
-        },
-        payment: true
-      }
+    // Record payment, mark order PAID, assign invoice number and create shipment
+    const { order: updatedOrder, shippingDetails } = await confirmOrderPayment(orderId, {
+      razorpayPaymentId,
+      razorpaySignature
     });
 
-    // Create Shiprocket order
-    let shippingDetails = null;
-    try {
-      // Get user details
-      const user = await prisma.user.findUnique({
-        where: { id: userId }
-      });
-
-      const address = updatedOrder.shippingAddressSnapshot;
-      const userName = user.name.split(' ');
-
-      const shiprocketOrderData = {
-        orderId: updatedOrder.id,
-        orderDate: new Date().toISOString().split('T')[0],
-        customerName: userName[0] || 'Customer',
-        customerLastName: userName.slice(1).join(' ') || '',
-        customerEmail: user.email,
-        customerPhone: user.phone || '0000000000',
-        billingAddress: address,
-        subtotal: parseFloat(updatedOrder.subtotalAmount),
-        weight: parseFloat(updatedOrder.weightKg),
-        dimensions: {
-          length: parseFloat(updatedOrder.lengthCm),
-          breadth: parseFloat(updatedOrder.breadthCm),
-          height: parseFloat(updatedOrder.heightCm)
-        },
-        items: updatedOrder.orderItems.map(item => ({
-          name: item.product.name,
-          productId: item.productId,
-          quantity: item.quantity,
-          price: parseFloat(item.priceAtPurchase)
-        })),
-        paymentMethod: 'Prepaid'
-      };
-
-      const shiprocketOrder = await shiprocketClient.createOrder(shiprocketOrderData);
-
-      if (shiprocketOrder.success) {
-        // Get available couriers
-        const couriers = await shiprocketClient.getAvailableCouriers(shiprocketOrder.shipmentId);
-        const selectedCourier = couriers.length > 0 ? couriers[0] : null;
-
-        let awbDetails = null;
-        if (selectedCourier) {
-          // Generate AWB
-          awbDetails = await shiprocketClient.generateAWB(
-            shiprocketOrder.shipmentId,
-            selectedCourier.id
-          );
-
-          // Request pickup
-          await shiprocketClient.requestPickup(shiprocketOrder.shipmentId);
-        }
-
-        // Save shipping details
-        shippingDetails = await prisma.shippingDetails.create({
-          data: {
-            orderId: updatedOrder.id,
-            shiprocketOrderId: shiprocketOrder.orderId.toString(),
-            shiprocketShipmentId: shiprocketOrder.shipmentId.toString(),
-            awbCode: awbDetails?.awbCode || null,
-            courierName: awbDetails?.courierName || selectedCourier?.name || null,
-            currentStatus: 'PROCESSING'
-          }
-        });
-      }
-    } catch (shipError) {
-      console.error('Shiprocket Error (non-blocking):', shipError.message);
-      // Continue even if Shiprocket fails - can be created manually later
+    if (updatedOrder.status === 'CANCELLED') {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has expired or was cancelled. Any amount debited will be refunded.',
+        reason: updatedOrder.cancellationReason
+      });
     }
 
     return res.status(200).json({
@@ -478,7 +1081,9 @@ const verifyPayment = async (req, res) => {
         awbCode: shippingDetails.awbCode,
         courierName: shippingDetails.courierName,
         status: shippingDetails.currentStatus
-      } : null
+      } : null,
+      // Guests verified their phone before checkout
+      phoneVerificationRequired: req.user ? !req.user.phoneVerified : false
     });
 
   } catch (error) {
@@ -527,7 +1132,10 @@ const getUserOrders = async (req, res) => {
       orders: orders.map(order => ({
         ...order,
         subtotalAmount: parseFloat(order.subtotalAmount),
+        discountAmount: parseFloat(order.discountAmount),
         shippingCost: parseFloat(order.shippingCost),
+        taxAmount: parseFloat(order.taxAmount),
+        codFee: parseFloat(order.codFee),
         totalAmount: parseFloat(order.totalAmount)
       }))
     });
@@ -547,7 +1155,7 @@ const getUserOrders = async (req, res) => {
  *
  * Sample Request:
  * GET /api/orders/:id
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token> OR X-Order-Token: <order_token> (guest orders)
  *
  * Sample Response:
  * {
@@ -558,7 +1166,6 @@ const getUserOrders = async (req, res) => {
  */
 const getOrderById = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
     const order = await prisma.order.findUnique({
@@ -581,7 +1188,7 @@ const getOrderById = async (req, res) => {
       });
     }
 
-    if (order.userId !== userId) {
+    if (!canAccessOrder(req, order)) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized access'
@@ -593,7 +1200,10 @@ const getOrderById = async (req, res) => {
       order: {
         ...order,
         subtotalAmount: parseFloat(order.subtotalAmount),
+        discountAmount: parseFloat(order.discountAmount),
         shippingCost: parseFloat(order.shippingCost),
+        taxAmount: parseFloat(order.taxAmount),
+        codFee: parseFloat(order.codFee),
         totalAmount: parseFloat(order.totalAmount)
       }
     });
@@ -613,7 +1223,7 @@ const getOrderById = async (req, res) => {
  *
  * Sample Request:
  * GET /api/orders/:id/track
- * Authorization: Bearer <token>
+ * Authorization: Bearer <token> OR X-Order-Token: <order_token> (guest orders)
  *
  * Sample Response:
  * {
@@ -630,7 +1240,6 @@ const getOrderById = async (req, res) => {
  */
 const trackOrder = async (req, res) => {
   try {
-    const userId = req.user.id;
     const { id } = req.params;
 
     const order = await prisma.order.findUnique({
@@ -647,7 +1256,7 @@ const trackOrder = async (req, res) => {
       });
     }
 
-    if (order.userId !== userId) {
+    if (!canAccessOrder(req, order)) {
       return res.status(403).json({
         success: false,
         message: 'Unauthorized access'
@@ -707,6 +1316,9 @@ const trackOrder = async (req, res) => {
   }
 };
 
+// Orders a customer can still cancel (not yet handed to the courier)
+const CANCELLABLE_ORDER_STATUSES = ['PENDING', 'CONFIRMED', 'PAID'];
+
 /**
  * Cancel Order with Inventory Restoration
  *
@@ -769,6 +1381,40 @@ const cancelOrder = async (req, res) => {
       });
     }
 
+    // Conditional update so only one cancel (or the expiry sweep) puts the
+    // reserved stock back
+    const cancelled = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.order.updateMany({
+        where: { id, status: { in: CANCELLABLE_ORDER_STATUSES } },
+        data: {
+          status: 'CANCELLED',
+          cancellationReason: 'Cancelled by customer',
+          cancelledAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        return false;
+      }
+
+      // Restore stock quantities (Inventory Management)
+      await restoreStock(tx, order.orderItems);
+
+      await tx.payment.updateMany({
+        where: { orderId: id, status: 'PENDING' },
+        data: { status: 'FAILED' }
+      });
+
+      return true;
+    });
+
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order can no longer be cancelled'
+      });
+    }
+
     // Cancel shipment in Shiprocket if exists
     if (order.shippingDetails?.awbCode) {
       try {
@@ -786,23 +1432,8 @@ const cancelOrder = async (req, res) => {
       }
     }
 
-    // Restore stock quantities (Inventory Management)
-    for (const item of order.orderItems) {
-      await prisma.product.update({
-        where: { id: item.productId },
-        data: {
-          stockQuantity: {
-            increment: item.quantity
-          }
-        }
-      });
-    }
-
-    const updatedOrder = await prisma.order.update({
+    const updatedOrder = await prisma.order.findUnique({
       where: { id },
-      data: {
-        status: 'CANCELLED'
-      },
       include: {
         orderItems: {
           include: {
@@ -830,6 +1461,90 @@ const cancelOrder = async (req, res) => {
   }
 };
 
+/**
+ * Download GST Tax Invoice (PDF)
+ *
+ * Available once the order has been paid, or once a Cash on Delivery order
+ * is confirmed. The invoice number is assigned on first download if
+ * checkout / payment verification did not assign one.
+ *
+ * Sample Request:
+ * GET /api/orders/:id/invoice
+ * Authorization: Bearer <token> OR X-Order-Token: <order_token> (guest orders)
+ *
+ * Sample Response:
+ * Content-Type: application/pdf
+ * Content-Disposition: attachment; filename="INV-2024-25-000123.pdf"
+ */
+const getOrderInvoice = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: {
+        payment: true
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!canAccessOrder(req, order)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Unauthorized access'
+      });
+    }
+
+    const isPaid = order.payment && ['SUCCESS', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(order.payment.status);
+    const isConfirmedCod = order.paymentMethod === 'COD' && order.status !== 'CANCELLED';
+
+    if (!isPaid && !isConfirmedCod) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoice is available only after payment'
+      });
+    }
+
+    await assignInvoiceNumber(id);
+
+    const invoiceOrder = await prisma.order.findUnique({
+      where: { id },
+      include: {
+        orderItems: {
+          include: {
+            product: true
+          }
+        },
+        user: {
+          select: { name: true, email: true, phone: true }
+        }
+      }
+    });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${invoiceOrder.invoiceNumber.replace(/\//g, '-')}.pdf"`
+    );
+
+    renderInvoicePdf(invoiceOrder, res);
+
+  } catch (error) {
+    console.error('Get Invoice Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Update Order Status (ADMIN ONLY)
  *
@@ -843,7 +1558,7 @@ const updateOrderStatus = async (req, res) => {
     const { id } = req.params;
     const { status, trackingId } = req.body;
 
-    const validStatuses = ['PENDING', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
+    const validStatuses = ['PENDING', 'CONFIRMED', 'PAID', 'SHIPPED', 'DELIVERED', 'CANCELLED'];
 
     if (!status || !validStatuses.includes(status)) {
       return res.status(400).json({
@@ -875,6 +1590,7 @@ const updateOrderStatus = async (req, res) => {
     if (order.shippingDetails) {
       const shipmentStatusMap = {
         'PENDING': 'PENDING',
+        'CONFIRMED': 'PROCESSING',
         'PAID': 'PROCESSING',
         'SHIPPED': 'DISPATCHED',
         'DELIVERED': 'DELIVERED',
@@ -914,12 +1630,209 @@ const updateOrderStatus = async (req, res) => {
   }
 };
 
+/**
+ * Get Confirmed Orders Missing a Shipment (ADMIN ONLY)
+ *
+ * Paid (or COD confirmed) orders with no Shiprocket shipment, or whose
+ * shipment never got an AWB, with the last error and next automatic retry.
+ *
+ * Sample Request:
+ * GET /api/admin/orders/missing-shipments?page=1&limit=20
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "orders": [{
+ *     "id": "uuid",
+ *     "status": "PAID",
+ *     "shipmentAttempts": 2,
+ *     "shipmentLastError": "Failed to create order in Shiprocket",
+ *     "shipmentNextRetryAt": "2024-01-15T10:20:00.000Z",
+ *     "shippingDetails": null
+ *   }],
+ *   "pagination": {...}
+ * }
+ */
+const getOrdersMissingShipment = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [orders, total] = await Promise.all([
+      prisma.order.findMany({
+        where: MISSING_SHIPMENT_WHERE,
+        skip,
+        take: parseInt(limit),
+        include: {
+          user: {
+            select: { id: true, name: true, email: true, phone: true }
+          },
+          shippingDetails: true
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.order.count({ where: MISSING_SHIPMENT_WHERE })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      orders: orders.map(order => ({
+        id: order.id,
+        status: order.status,
+        paymentMethod: order.paymentMethod,
+        totalAmount: parseFloat(order.totalAmount),
+        createdAt: order.createdAt,
+        user: order.user,
+        guest: order.user ? null : { name: order.guestName, email: order.guestEmail, phone: order.guestPhone },
+        shipmentAttempts: order.shipmentAttempts,
+        shipmentLastError: order.shipmentLastError,
+        shipmentNextRetryAt: order.shipmentNextRetryAt,
+        shippingDetails: order.shippingDetails
+      })),
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Missing Shipments Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders missing shipments',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create / Retry Shipment for an Order (ADMIN ONLY)
+ *
+ * Runs the Shiprocket create order -> AWB -> pickup flow now. Resumes from
+ * the AWB step if the Shiprocket order already exists.
+ *
+ * Sample Request:
+ * POST /api/admin/orders/:id/shipment
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Shipment created successfully",
+ *   "shipping": {
+ *     "shiprocketOrderId": "12345",
+ *     "awbCode": "AWB123456",
+ *     "courierName": "Blue Dart",
+ *     "status": "PROCESSING"
+ *   }
+ * }
+ */
+const createOrderShipment = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const order = await prisma.order.findUnique({
+      where: { id },
+      include: {
+        orderItems: {
+          include: {
+            product: true
+          }
+        },
+        shippingDetails: true
+      }
+    });
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!['PAID', 'CONFIRMED'].includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot create a shipment for a ${order.status} order`
+      });
+    }
+
+    if (order.shippingDetails?.awbCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Shipment already created for this order'
+      });
+    }
+
+    const { shippingDetails, error, code } = await attemptShipment(order);
+
+    if (code === 'PHONE_NOT_VERIFIED') {
+      return res.status(409).json({
+        success: false,
+        message: 'The customer has not verified their phone number yet',
+        error
+      });
+    }
+
+    if (code === 'ORDER_NOT_SHIPPABLE') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot create a shipment for this order',
+        error
+      });
+    }
+
+    if (code === 'SHIPMENT_IN_PROGRESS') {
+      return res.status(409).json({
+        success: false,
+        message: 'A shipment is already being created for this order, try again shortly'
+      });
+    }
+
+    if (!shippingDetails) {
+      return res.status(502).json({
+        success: false,
+        message: 'Shiprocket shipment creation failed',
+        error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Shipment created successfully',
+      shipping: {
+        shiprocketOrderId: shippingDetails.shiprocketOrderId,
+        awbCode: shippingDetails.awbCode,
+        courierName: shippingDetails.courierName,
+        status: shippingDetails.currentStatus
+      }
+    });
+
+  } catch (error) {
+    console.error('Create Shipment Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create shipment',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   createOrder,
+  requestGuestCheckoutOtp,
+  verifyGuestCheckoutOtp,
+  createGuestOrder,
   verifyPayment,
   getUserOrders,
   getOrderById,
   trackOrder,
   cancelOrder,
-  updateOrderStatus
+  getOrderInvoice,
+  updateOrderStatus,
+  getOrdersMissingShipment,
+  createOrderShipment
 };
@@ -1,11 +1,112 @@
 const { prisma } = require('../config/database');
 const { validationResult } = require('express-validator');
+const {
+  normalizeSearchQuery,
+  findSearchMatches,
+  getSearchHighlights,
+  suggestProducts
+} = require('../utils/productSearch.helper');
+const {
+  buildProductFilters,
+  combineFilters,
+  getProductOrderBy,
+  getProductFacets
+} = require('../utils/productFilter.helper');
+const { getDescendantIds, getBreadcrumbs } = require('../utils/category.helper');
+const {
+  isUuid,
+  pickSeoFields,
+  resolveNewSlug,
+  changeSlug,
+  findRedirectSlug
+} = require('../utils/slug.helper');
+const {
+  ATTRIBUTE_VALUES_INCLUDE,
+  parseAttributeValues,
+  saveAttributeValues,
+  withAttributes,
+  buildAttributeFilters
+} = require('../utils/productAttribute.helper');
+
+const MEASUREMENT_FIELDS = ['weightKg', 'lengthCm', 'breadthCm', 'heightCm'];
+const SEARCH_LIST_FIELDS = ['tags', 'ingredients'];
+
+/**
+ * Pick weight / package dimensions from a request body
+ *
+ * Only fields present in the body are returned; `null` clears a value.
+ */
+const pickMeasurements = (body) => {
+  const measurements = {};
+  for (const field of MEASUREMENT_FIELDS) {
+    if (body[field] !== undefined) {
+      measurements[field] = body[field] === null ? null : parseFloat(body[field]);
+    }
+  }
+  return measurements;
+};
+
+/**
+ * Pick tags / ingredients from a request body (trimmed, blanks and
+ * duplicates dropped). Only fields present in the body are returned.
+ */
+const pickSearchLists = (body) => {
+  const lists = {};
+  for (const field of SEARCH_LIST_FIELDS) {
+    if (Array.isArray(body[field])) {
+      lists[field] = [...new Set(body[field].map(value => String(value).trim()).filter(Boolean))];
+    }
+  }
+  return lists;
+};
+
+/**
+ * Pick doshas from a request body (upper-cased, duplicates dropped)
+ */
+const pickDoshas = (body) => (Array.isArray(body.doshas)
+  ? { doshas: [...new Set(body.doshas.map(dosha => String(dosha).trim().toUpperCase()))] }
+  : {});
+
+/**
+ * Map a variant request body to ProductVariant columns
+ */
+const buildVariantData = (variant) => ({
+  sku: variant.sku.trim(),
+  label: variant.label.trim(),
+  realPrice: parseFloat(variant.realPrice),
+  discountedPrice: parseFloat(variant.discountedPrice),
+  stockQuantity: parseInt(variant.stockQuantity),
+  ...pickMeasurements(variant),
+  ...(variant.isActive !== undefined && { isActive: Boolean(variant.isActive) })
+});
 
 /**
  * Get All Products (PUBLIC ACCESS)
  *
+ * `search` uses full-text search over name, tags, ingredients, category
+ * and description, with typo tolerance for names ("ashwaganda" finds
+ * Ashwagandha). Search results are ordered by relevance and carry a
+ * `search` object with the highlighted name and description snippet
+ * (matches wrapped in <mark>, everything else HTML-escaped).
+ *
+ * Query Parameters (all optional):
+ * - category: Category ID (includes products in its subcategories)
+ * - minPrice / maxPrice: Price range (by the cheapest active pack size)
+ * - inStock=true: Only products that can be bought now
+ * - minRating: Minimum average rating (1-5)
+ * - minDiscount: Minimum discount percentage
+ * - tags / doshas: Comma separated, matches any (doshas: VATA, PITTA, KAPHA)
+ * - attr[key]: Filterable attributes, e.g. attr[form]=POWDER,TABLET,
+ *   attr[vegan]=true, attr[shelf_life_months][min]=12
+ * - sort: relevance (default when searching), newest (default otherwise),
+ *   price_asc, price_desc, popularity, rating, discount
+ * - facets=true: Also return `facets`
+ *
+ * `facets` holds the counts for each filter. Each facet is counted with
+ * the other filters applied but not its own.
+ *
  * Sample Request:
- * GET /api/products?page=1&limit=10&category=uuid&search=ashwagandha
+ * GET /api/products?page=1&limit=10&category=uuid&search=ashwagandha&minPrice=200&maxPrice=800&inStock=true&minRating=4&doshas=VATA&sort=price_asc&facets=true
  *
  * Sample Response:
  * {
@@ -14,12 +115,28 @@ const { validationResult } = require('express-validator');
  *     {
  *       "id": "uuid",
  *       "name": "Ashwagandha Powder",
+ *       "slug": "ashwagandha-powder",
  *       "description": "Premium quality ashwagandha",
  *       "realPrice": 500,
  *       "discountedPrice": 450,
+ *       "minPrice": 199,
  *       "stockQuantity": 100,
  *       "imageUrls": ["https://s3.aws.com/img1.jpg"],
- *       "category": { "id": "uuid", "name": "Herbs" }
+ *       "tags": ["stress", "sleep"],
+ *       "ingredients": ["Ashwagandha root"],
+ *       "doshas": ["VATA", "KAPHA"],
+ *       "averageRating": 4.5,
+ *       "reviewCount": 12,
+ *       "discountPercent": 10,
+ *       "category": { "id": "uuid", "name": "Herbs", "slug": "herbs" },
+ *       "variants": [
+ *         { "id": "uuid", "sku": "ASH-100", "label": "100g", "discountedPrice": 199, "stockQuantity": 40 }
+ *       ],
+ *       "search": {
+ *         "score": 0.92,
+ *         "name": "<mark>Ashwagandha</mark> Powder",
+ *         "snippet": "Premium quality <mark>ashwagandha</mark>"
+ *       } (only when searching)
  *     }
  *   ],
  *   "pagination": {
@@ -27,39 +144,115 @@ const { validationResult } = require('express-validator');
  *     "page": 1,
  *     "limit": 10,
  *     "totalPages": 5
+ *   },
+ *   "facets": { (only with facets=true)
+ *     "categories": [{ "id": "uuid", "name": "Herbs", "count": 32 }],
+ *     "price": { "min": 99, "max": 2499, "ranges": [{ "from": 0, "to": 250, "count": 12 }, ...] },
+ *     "availability": { "inStock": 45, "outOfStock": 5 },
+ *     "rating": [{ "min": 4, "count": 20 }, { "min": 3, "count": 31 }, ...],
+ *     "discount": [{ "min": 10, "count": 18 }, { "min": 20, "count": 7 }, ...],
+ *     "tags": [{ "value": "immunity", "count": 9 }, ...],
+ *     "doshas": [{ "value": "VATA", "count": 14 }, { "value": "PITTA", "count": 9 }, { "value": "KAPHA", "count": 11 }]
  *   }
  * }
  */
 const getAllProducts = async (req, res) => {
   try {
-    const { page = 1, limit = 10, category, search } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 10 } = req.query;
+    const search = normalizeSearchQuery(req.query.search);
+    const sort = req.query.sort || (search ? 'relevance' : 'newest');
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const where = {
+    const attributeFilters = await buildAttributeFilters(req.query.attr);
+    if (attributeFilters.error) {
+      return res.status(400).json({
+        success: false,
+        message: attributeFilters.error
+      });
+    }
+
+    // Search matches (best first) limit the listing before any filter
+    const matches = search ? await findSearchMatches(search) : null;
+    const scores = new Map((matches || []).map(match => [match.id, match.score]));
+
+    const baseWhere = {
       isActive: true,
-      ...(category && { categoryId: category }),
-      ...(search && {
-        OR: [
-          { name: { contains: search, mode: 'insensitive' } },
-          { description: { contains: search, mode: 'insensitive' } }
-        ]
-      })
+      ...(matches && { id: { in: matches.map(match => match.id) } })
+    };
+    const categoryIds = req.query.category ? await getDescendantIds(req.query.category) : undefined;
+    const filters = {
+      ...buildProductFilters(req.query, { categoryIds }),
+      ...attributeFilters.filters
+    };
+    const where = combineFilters(baseWhere, filters);
+
+    const include = {
+      category: {
+        select: { id: true, name: true, slug: true }
+      },
+      variants: {
+        where: { isActive: true },
+        orderBy: { discountedPrice: 'asc' }
+      }
     };
 
-    const [products, total] = await Promise.all([
-      prisma.product.findMany({
+    let products;
+    let total;
+
+    if (matches && sort === 'relevance') {
+      // Keep the search ranking; the filters only drop products
+      const allowed = await prisma.product.findMany({
         where,
-        skip,
-        take: parseInt(limit),
-        include: {
-          category: {
-            select: { id: true, name: true }
-          }
-        },
-        orderBy: { createdAt: 'desc' }
-      }),
-      prisma.product.count({ where })
-    ]);
+        select: { id: true }
+      });
+      const allowedIds = new Set(allowed.map(product => product.id));
+      const rankedIds = matches.map(match => match.id).filter(id => allowedIds.has(id));
+      const pageIds = rankedIds.slice(skip, skip + parseInt(limit));
+
+      const pageProducts = await prisma.product.findMany({
+        where: { id: { in: pageIds } },
+        include
+      });
+      const productsById = new Map(pageProducts.map(product => [product.id, product]));
+
+      total = rankedIds.length;
+      products = pageIds
+        .filter(id => productsById.has(id))
+        .map(id => productsById.get(id));
+    } else {
+      [products, total] = await Promise.all([
+        prisma.product.findMany({
+          where,
+          skip,
+          take: parseInt(limit),
+          include,
+          orderBy: getProductOrderBy(sort)
+        }),
+        prisma.product.count({ where })
+      ]);
+    }
+
+    if (matches) {
+      const highlights = await getSearchHighlights(search, products.map(product => product.id));
+
+      products = products.map(product => ({
+        ...product,
+        search: {
+          score: parseFloat(scores.get(product.id).toFixed(4)),
+          ...highlights.get(product.id)
+        }
+      }));
+    }
+
+    const facets = req.query.facets === 'true' ? await getProductFacets(baseWhere, filters) : undefined;
 
     return res.status(200).json({
       success: true,
@@ -69,7 +262,8 @@ const getAllProducts = async (req, res) => {
         page: parseInt(page),
         limit: parseInt(limit),
         totalPages: Math.ceil(total / parseInt(limit))
-      }
+      },
+      facets
     });
 
   } catch (error) {
@@ -82,11 +276,68 @@ const getAllProducts = async (req, res) => {
   }
 };
 
+/**
+ * Search Suggestions / Autocomplete (PUBLIC ACCESS)
+ *
+ * Product names that start with the typed text come first, then names
+ * with a word starting with it, then close (misspelt) matches.
+ *
+ * Sample Request:
+ * GET /api/products/search/suggest?q=ashwa&limit=8
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "query": "ashwa",
+ *   "products": [
+ *     { "id": "uuid", "name": "Ashwagandha Powder", "slug": "ashwagandha-powder", "category": "Herbs" }
+ *   ],
+ *   "categories": [
+ *     { "id": "uuid", "name": "Ashwagandha Blends", "slug": "ashwagandha-blends" }
+ *   ]
+ * }
+ */
+const searchSuggestions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const query = normalizeSearchQuery(req.query.q);
+    const limit = parseInt(req.query.limit) || 8;
+
+    const { products, categories } = await suggestProducts(query, limit);
+
+    return res.status(200).json({
+      success: true,
+      query,
+      products,
+      categories
+    });
+
+  } catch (error) {
+    console.error('Search Suggestions Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch suggestions',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get Single Product (PUBLIC ACCESS)
  *
+ * Accepts the product ID or slug. An old slug answers with a 301 redirect
+ * to the current one.
+ *
  * Sample Request:
  * GET /api/products/:id
+ * GET /api/products/ashwagandha-powder
  *
  * Sample Response:
  * {
@@ -94,12 +345,30 @@ const getAllProducts = async (req, res) => {
  *   "product": {
  *     "id": "uuid",
  *     "name": "Ashwagandha Powder",
+ *     "slug": "ashwagandha-powder",
  *     "description": "Premium quality",
+ *     "metaTitle": "Organic Ashwagandha Powder | Buy Online",
+ *     "metaDescription": "Pure ashwagandha root powder for stress and sleep",
+ *     "ogImageUrl": "https://s3.aws.com/og/ashwagandha.jpg",
  *     "realPrice": 500,
  *     "discountedPrice": 450,
  *     "stockQuantity": 100,
  *     "imageUrls": ["https://s3.aws.com/img1.jpg"],
  *     "category": { "name": "Herbs" },
+ *     "ingredients": ["Ashwagandha root"],
+ *     "doshas": ["VATA", "KAPHA"],
+ *     "attributes": {
+ *       "form": "POWDER",
+ *       "dosage": "1 tsp with warm milk at bedtime",
+ *       "shelf_life_months": 24,
+ *       "contraindications": ["Pregnancy", "Hyperthyroidism"],
+ *       "ayush_license_number": "AUS-123/2024"
+ *     },
+ *     "breadcrumbs": [
+ *       { "id": "uuid", "name": "Herbs", "slug": "herbs" },
+ *       { "id": "uuid", "name": "Powders", "slug": "powders" }
+ *     ],
+ *     "variants": [...],
  *     "reviews": [...]
  *   }
  * }
@@ -109,11 +378,16 @@ const getProductById = async (req, res) => {
     const { id } = req.params;
 
     const product = await prisma.product.findUnique({
-      where: { id },
+      where: isUuid(id) ? { id } : { slug: id.toLowerCase() },
       include: {
         category: {
-          select: { id: true, name: true, imageUrl: true }
+          select: { id: true, name: true, slug: true, imageUrl: true }
         },
+        variants: {
+          where: { isActive: true },
+          orderBy: { discountedPrice: 'asc' }
+        },
+        attributeValues: ATTRIBUTE_VALUES_INCLUDE,
         reviews: {
           include: {
             user: {
@@ -126,6 +400,11 @@ const getProductById = async (req, res) => {
     });
 
     if (!product) {
+      const currentSlug = !isUuid(id) && await findRedirectSlug('product', id.toLowerCase());
+      if (currentSlug) {
+        return res.redirect(301, `${req.baseUrl}/${currentSlug}`);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Product not found'
@@ -140,7 +419,8 @@ const getProductById = async (req, res) => {
     return res.status(200).json({
       success: true,
       product: {
-        ...product,
+        ...withAttributes(product),
+        breadcrumbs: await getBreadcrumbs(product.categoryId),
         averageRating: parseFloat(avgRating.toFixed(1))
       }
     });
@@ -165,12 +445,23 @@ const getProductById = async (req, res) => {
  * Body:
  * {
  *   "name": "Ashwagandha Powder",
+ *   "slug": "ashwagandha-powder" (optional - generated from the name when missing),
  *   "description": "Premium quality ashwagandha powder",
  *   "categoryId": "uuid",
  *   "realPrice": 500,
  *   "discountedPrice": 450,
  *   "stockQuantity": 100,
- *   "imageUrls": ["https://s3.aws.com/bucket/img1.jpg"]
+ *   "imageUrls": ["https://s3.aws.com/bucket/img1.jpg"],
+ *   "hsnCode": "30049011", "gstRate": 12 (optional - GST_DEFAULT_RATE is used when missing),
+ *   "weightKg": 0.25, "lengthCm": 12, "breadthCm": 8, "heightCm": 8 (optional - used for shipping),
+ *   "tags": ["stress", "sleep"], "ingredients": ["Ashwagandha root"] (optional - searchable),
+ *   "doshas": ["VATA", "KAPHA"] (optional - listing filter),
+ *   "metaTitle": "...", "metaDescription": "...", "ogImageUrl": "https://..." (optional - SEO),
+ *   "attributes": { "form": "POWDER", "shelf_life_months": 24 } (required ones must be set - see GET /api/products/attributes),
+ *   "variants": [
+ *     { "sku": "ASH-100", "label": "100g", "realPrice": 250, "discountedPrice": 199, "stockQuantity": 40, "weightKg": 0.1 },
+ *     { "sku": "ASH-250", "label": "250g", "realPrice": 500, "discountedPrice": 450, "stockQuantity": 60, "weightKg": 0.25 }
+ *   ] (optional - pack sizes with their own price and stock)
  * }
  *
  * Sample Response:
@@ -196,12 +487,16 @@ const createProduct = async (req, res) => {
 
     const {
       name,
+      slug,
       description,
       categoryId,
       realPrice,
       discountedPrice,
       stockQuantity,
-      imageUrls
+      imageUrls,
+      hsnCode,
+      gstRate,
+      variants
     } = req.body;
 
     // Verify category exists
@@ -216,28 +511,71 @@ const createProduct = async (req, res) => {
       });
     }
 
+    const slugResult = await resolveNewSlug(prisma, 'product', slug, name);
+    if (slugResult.error) {
+      return res.status(slugResult.error.status).json({
+        success: false,
+        message: slugResult.error.message
+      });
+    }
+
+    const attributes = await parseAttributeValues(prisma, req.body.attributes, { isCreate: true });
+    if (attributes.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product attributes',
+        errors: attributes.errors
+      });
+    }
+
     const product = await prisma.product.create({
       data: {
         name,
+        slug: slugResult.slug,
         description,
         categoryId,
         realPrice: parseFloat(realPrice),
         discountedPrice: parseFloat(discountedPrice),
         stockQuantity: parseInt(stockQuantity),
-        imageUrls: imageUrls || []
+        imageUrls: imageUrls || [],
+        hsnCode: hsnCode || null,
+        gstRate: gstRate !== undefined && gstRate !== null ? parseFloat(gstRate) : null,
+        ...pickMeasurements(req.body),
+        ...pickSearchLists(req.body),
+        ...pickDoshas(req.body),
+        ...pickSeoFields(req.body),
+        ...(Array.isArray(variants) && variants.length > 0 && {
+          variants: {
+            create: variants.map(buildVariantData)
+          }
+        }),
+        ...(attributes.values.length > 0 && {
+          attributeValues: {
+            create: attributes.values
+          }
+        })
       },
       include: {
-        category: true
+        category: true,
+        variants: true,
+        attributeValues: ATTRIBUTE_VALUES_INCLUDE
       }
     });
 
     return res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      product
+      product: withAttributes(product)
     });
 
   } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: error.meta?.target?.includes('slug') ? 'Slug is already in use' : 'Variant SKU already exists'
+      });
+    }
+
     console.error('Create Product Error:', error);
     return res.status(500).json({
       success: false,
@@ -250,10 +588,14 @@ const createProduct = async (req, res) => {
 /**
  * Update Product (ADMIN ONLY)
  *
+ * Renaming keeps the slug. Sending `slug` changes it; the old slug keeps
+ * redirecting to the product. `attributes` only changes the keys sent
+ * (null removes a value).
+ *
  * Sample Request:
  * PUT /api/admin/products/:id
  * Authorization: Bearer <admin_token>
- * Body: { "stockQuantity": 150, "discountedPrice": 400 }
+ * Body: { "stockQuantity": 150, "discountedPrice": 400, "slug": "ashwagandha-root-powder", "attributes": { "shelf_life_months": 36 } }
  *
  * Sample Response:
  * {
@@ -264,26 +606,88 @@ const createProduct = async (req, res) => {
  */
 const updateProduct = async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
     const { id } = req.params;
-    const updateData = req.body;
+    // Variants are managed through their own endpoints; listing stats are computed
+    const {
+      variants,
+      slugRedirects,
+      attributes,
+      attributeValues,
+      averageRating,
+      reviewCount,
+      salesCount,
+      discountPercent,
+      minPrice,
+      ...updateData
+    } = req.body;
 
     // Convert numeric fields
     if (updateData.realPrice) updateData.realPrice = parseFloat(updateData.realPrice);
     if (updateData.discountedPrice) updateData.discountedPrice = parseFloat(updateData.discountedPrice);
     if (updateData.stockQuantity) updateData.stockQuantity = parseInt(updateData.stockQuantity);
+    if (updateData.gstRate !== undefined && updateData.gstRate !== null) updateData.gstRate = parseFloat(updateData.gstRate);
+    Object.assign(updateData, pickMeasurements(updateData), pickSearchLists(updateData), pickDoshas(updateData), pickSeoFields(updateData));
 
-    const product = await prisma.product.update({
-      where: { id },
-      data: updateData,
-      include: {
-        category: true
+    const result = await prisma.$transaction(async (tx) => {
+      if (updateData.slug !== undefined) {
+        const slugError = await changeSlug(tx, 'product', id, updateData.slug);
+        if (slugError) return { slugError };
+      }
+
+      const parsedAttributes = attributes !== undefined ? await parseAttributeValues(tx, attributes) : null;
+      if (parsedAttributes && parsedAttributes.errors.length > 0) {
+        return { attributeErrors: parsedAttributes.errors };
+      }
+
+      // Update first so a missing product is reported as not found
+      const product = await tx.product.update({
+        where: { id },
+        data: updateData,
+        include: {
+          category: true,
+          variants: true
+        }
+      });
+
+      if (parsedAttributes) {
+        await saveAttributeValues(tx, id, parsedAttributes);
       }
+
+      const attributeValues = await tx.productAttributeValue.findMany({
+        where: { productId: id },
+        ...ATTRIBUTE_VALUES_INCLUDE
+      });
+
+      return { product: { ...product, attributeValues } };
     });
 
+    if (result.slugError) {
+      return res.status(result.slugError.status).json({
+        success: false,
+        message: result.slugError.message
+      });
+    }
+
+    if (result.attributeErrors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid product attributes',
+        errors: result.attributeErrors
+      });
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Product updated successfully',
-      product
+      product: withAttributes(result.product)
     });
 
   } catch (error) {
@@ -294,6 +698,13 @@ const updateProduct = async (req, res) => {
       });
     }
 
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Slug is already in use'
+      });
+    }
+
     console.error('Update Product Error:', error);
     return res.status(500).json({
       success: false,
@@ -346,10 +757,217 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+/**
+ * Add Product Variant (ADMIN ONLY)
+ *
+ * Sample Request:
+ * POST /api/admin/products/:id/variants
+ * Authorization: Bearer <admin_token>
+ * Body:
+ * {
+ *   "sku": "ASH-500",
+ *   "label": "500g",
+ *   "realPrice": 900,
+ *   "discountedPrice": 799,
+ *   "stockQuantity": 25,
+ *   "weightKg": 0.5,
+ *   "lengthCm": 15, "breadthCm": 10, "heightCm": 10 (optional)
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Variant added successfully",
+ *   "variant": {...}
+ * }
+ */
+const createVariant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+
+    const product = await prisma.product.findUnique({
+      where: { id }
+    });
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const variant = await prisma.productVariant.create({
+      data: {
+        productId: id,
+        ...buildVariantData(req.body)
+      }
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Variant added successfully',
+      variant
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant SKU already exists'
+      });
+    }
+
+    console.error('Create Variant Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add variant',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update Product Variant (ADMIN ONLY)
+ *
+ * Sample Request:
+ * PUT /api/admin/products/:id/variants/:variantId
+ * Authorization: Bearer <admin_token>
+ * Body: { "stockQuantity": 80, "discountedPrice": 420 }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Variant updated successfully",
+ *   "variant": {...}
+ * }
+ */
+const updateVariant = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id, variantId } = req.params;
+    const { sku, label, realPrice, discountedPrice, stockQuantity, isActive } = req.body;
+
+    const existing = await prisma.productVariant.findUnique({
+      where: { id: variantId }
+    });
+
+    if (!existing || existing.productId !== id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    const updateData = {};
+    if (sku !== undefined) updateData.sku = sku;
+    if (label !== undefined) updateData.label = label;
+    if (realPrice !== undefined) updateData.realPrice = parseFloat(realPrice);
+    if (discountedPrice !== undefined) updateData.discountedPrice = parseFloat(discountedPrice);
+    if (stockQuantity !== undefined) updateData.stockQuantity = parseInt(stockQuantity);
+    Object.assign(updateData, pickMeasurements(req.body));
+    if (isActive !== undefined) updateData.isActive = isActive;
+
+    const variant = await prisma.productVariant.update({
+      where: { id: variantId },
+      data: updateData
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Variant updated successfully',
+      variant
+    });
+
+  } catch (error) {
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Variant SKU already exists'
+      });
+    }
+
+    console.error('Update Variant Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update variant',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete Product Variant (ADMIN ONLY)
+ *
+ * Removes the variant from carts and wishlists. Past order items keep
+ * their SKU and label snapshot.
+ *
+ * Sample Request:
+ * DELETE /api/admin/products/:id/variants/:variantId
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Variant deleted successfully"
+ * }
+ */
+const deleteVariant = async (req, res) => {
+  try {
+    const { id, variantId } = req.params;
+
+    const existing = await prisma.productVariant.findUnique({
+      where: { id: variantId }
+    });
+
+    if (!existing || existing.productId !== id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
+    await prisma.productVariant.delete({
+      where: { id: variantId }
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Variant deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete Variant Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete variant',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getAllProducts,
+  searchSuggestions,
   getProductById,
   createProduct,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  createVariant,
+  updateVariant,
+  deleteVariant
 };
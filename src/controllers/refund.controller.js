@@ -1,5 +1,6 @@
 const { prisma } = require('../config/database');
 const Razorpay = require('razorpay');
+const { processRefund } = require('../utils/refund.helper');
 
 const razorpay = new Razorpay({
   key_id: process.env.RAZORPAY_KEY_ID,
@@ -345,45 +346,9 @@ const approveRefund = async (req, res) => {
 
     // Process refund with Razorpay
     try {
-      const razorpayRefund = await razorpay.payments.refund(payment.razorpayPaymentId, {
-        amount: Math.round(parseFloat(refund.amount) * 100), // Convert to paise
-        speed: 'normal',
-        notes: {
-          refund_id: refund.id,
-          order_id: refund.orderId,
-          reason: refund.reason
-        }
-      });
-
-      // Update refund in database
-      const updatedRefund = await prisma.$transaction(async (tx) => {
-        // Update refund
-        const updated = await tx.refund.update({
-          where: { id },
-          data: {
-            status: 'PROCESSING',
-            razorpayRefundId: razorpayRefund.id,
-            adminNote: adminNote || null,
-            approvedRejectedAt: new Date(),
-            approvedByAdminId: adminId,
-            processedAt: new Date()
-          }
-        });
-
-        // Update payment
-        await tx.payment.update({
-          where: { id: payment.id },
-          data: {
-            amountRefunded: {
-              increment: parseFloat(refund.amount)
-            },
-            status: parseFloat(payment.amount) === parseFloat(refund.amount) + parseFloat(payment.amountRefunded)
-              ? 'REFUNDED'
-              : 'PARTIALLY_REFUNDED'
-          }
-        });
-
-        return updated;
+      const { refund: updatedRefund, razorpayRefund } = await processRefund(refund, payment, {
+        adminId,
+        adminNote: adminNote || null
       });
 
       return res.status(200).json({
@@ -407,17 +372,6 @@ const approveRefund = async (req, res) => {
     } catch (razorpayError) {
       console.error('Razorpay Refund Error:', razorpayError);
 
-      // Update refund status to failed
-      await prisma.refund.update({
-        where: { id },
-        data: {
-          status: 'FAILED',
-          adminNote: `Failed: ${razorpayError.message}`,
-          approvedRejectedAt: new Date(),
-          approvedByAdminId: adminId
-        }
-      });
-
       return res.status(500).json({
         success: false,
         message: 'Failed to process refund with Razorpay',
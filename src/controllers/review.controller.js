@@ -1,6 +1,26 @@
 const { prisma } = require('../config/database');
 const { validationResult } = require('express-validator');
 
+/**
+ * Store a product's average rating and review count on the product
+ * (used by the listing's rating filter and sort)
+ */
+const refreshProductRating = async (productId) => {
+  const stats = await prisma.review.aggregate({
+    where: { productId },
+    _avg: { rating: true },
+    _count: { _all: true }
+  });
+
+  await prisma.product.update({
+    where: { id: productId },
+    data: {
+      averageRating: stats._avg.rating ? parseFloat(stats._avg.rating.toFixed(2)) : 0,
+      reviewCount: stats._count._all
+    }
+  });
+};
+
 /**
  * Get Product Reviews (PUBLIC ACCESS)
  *
@@ -173,6 +193,8 @@ const createReview = async (req, res) => {
       }
     });
 
+    await refreshProductRating(productId);
+
     return res.status(201).json({
       success: true,
       message: 'Review added successfully',
@@ -253,6 +275,10 @@ const updateReview = async (req, res) => {
       }
     });
 
+    if (updateData.rating !== undefined) {
+      await refreshProductRating(review.productId);
+    }
+
     return res.status(200).json({
       success: true,
       message: 'Review updated successfully',
@@ -309,6 +335,8 @@ const deleteReview = async (req, res) => {
       where: { id }
     });
 
+    await refreshProductRating(review.productId);
+
     return res.status(200).json({
       success: true,
       message: 'Review deleted successfully'
@@ -0,0 +1,215 @@
+const { prisma } = require('../config/database');
+const { validationResult } = require('express-validator');
+const { ROLE_PERMISSIONS, getRolePermissions } = require('../config/permissions');
+
+const USER_ROLE_SELECT = {
+  id: true,
+  name: true,
+  email: true,
+  phone: true,
+  role: true,
+  createdAt: true
+};
+
+/**
+ * Get Roles and Permissions (STAFF with users:read)
+ *
+ * Sample Request:
+ * GET /api/admin/roles
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "roles": [
+ *     { "role": "ADMIN", "permissions": ["products:write", ...] },
+ *     { "role": "ORDER_MANAGER", "permissions": ["orders:update", "shipments:read", ...] }
+ *   ]
+ * }
+ */
+const getRoles = async (req, res) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      roles: Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => ({
+        role,
+        permissions
+      }))
+    });
+  } catch (error) {
+    console.error('Get Roles Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch roles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get Users (STAFF with users:read)
+ *
+ * Sample Request:
+ * GET /api/admin/users?page=1&limit=20&role=SUPPORT&staff=true&search=john
+ * Authorization: Bearer <admin_token>
+ *
+ * Query Parameters:
+ * - role: Filter by a single role
+ * - staff: true to list staff only (every role except USER)
+ * - search: Name, email or phone contains
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "users": [{ "id": "uuid", "name": "Asha", "email": "asha@example.com", "role": "SUPPORT", ... }],
+ *   "pagination": {...}
+ * }
+ */
+const getUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, role, staff, search } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {
+      ...(role && { role }),
+      ...(!role && staff === 'true' && { role: { not: 'USER' } }),
+      ...(search && {
+        OR: [
+          { name: { contains: search, mode: 'insensitive' } },
+          { email: { contains: search, mode: 'insensitive' } },
+          { phone: { contains: search } }
+        ]
+      })
+    };
+
+    const [users, total] = await Promise.all([
+      prisma.user.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        select: USER_ROLE_SELECT,
+        orderBy: { createdAt: 'desc' }
+      }),
+      prisma.user.count({ where })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      users,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get Users Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch users',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Assign Role (STAFF with users:roles)
+ *
+ * Takes effect on the user's next request. You can't change your own
+ * role, and the last ADMIN can't be demoted.
+ *
+ * Sample Request:
+ * PUT /api/admin/users/:id/role
+ * Authorization: Bearer <admin_token>
+ * Body:
+ * {
+ *   "role": "ORDER_MANAGER"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Role updated to ORDER_MANAGER",
+ *   "user": { "id": "uuid", "role": "ORDER_MANAGER", ... },
+ *   "permissions": ["orders:update", "shipments:read", "shipments:manage", "webhooks:read"]
+ * }
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id },
+      select: USER_ROLE_SELECT
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.role === 'ADMIN' && role !== 'ADMIN') {
+      const adminCount = await prisma.user.count({ where: { role: 'ADMIN' } });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot demote the last admin'
+        });
+      }
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id },
+      data: { role },
+      select: USER_ROLE_SELECT
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Role updated to ${role}`,
+      user: updatedUser,
+      permissions: getRolePermissions(role)
+    });
+
+  } catch (error) {
+    if (error.code === 'P2025') {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.error('Update User Role Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update role',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getRoles,
+  getUsers,
+  updateUserRole
+};
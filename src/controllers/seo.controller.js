@@ -0,0 +1,121 @@
+const { prisma } = require('../config/database');
+
+/**
+ * Sitemap for search engines
+ *
+ * Lists the storefront (FRONTEND_URL) home page, every active product and
+ * every category with at least one active product in it or below it.
+ * Built at most once every SITEMAP_CACHE_SECONDS.
+ */
+
+const SITEMAP_CACHE_SECONDS = 600;
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+let cachedSitemap = null;
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const escapeXml = (value) => String(value).replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+
+const urlEntry = (loc, lastmod) => [
+  '  <url>',
+  `    <loc>${escapeXml(loc)}</loc>`,
+  ...(lastmod ? [`    <lastmod>${lastmod.toISOString().slice(0, 10)}</lastmod>`] : []),
+  '  </url>'
+].join('\n');
+
+const buildSitemap = async () => {
+  const [products, categories] = await Promise.all([
+    prisma.product.findMany({
+      where: { isActive: true },
+      select: { slug: true, updatedAt: true },
+      orderBy: { createdAt: 'asc' }
+    }),
+    prisma.category.findMany({
+      select: {
+        id: true,
+        slug: true,
+        parentId: true,
+        updatedAt: true,
+        _count: {
+          select: { products: { where: { isActive: true } } }
+        }
+      },
+      orderBy: { name: 'asc' }
+    })
+  ]);
+
+  // A category is listed if it or any subcategory has active products
+  const parents = new Map(categories.map(category => [category.id, category.parentId]));
+  const listed = new Set();
+  for (const category of categories) {
+    if (category._count.products === 0) continue;
+
+    let id = category.id;
+    while (id && !listed.has(id)) {
+      listed.add(id);
+      id = parents.get(id);
+    }
+  }
+
+  const baseUrl = getFrontendUrl();
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    urlEntry(`${baseUrl}/`),
+    ...categories
+      .filter(category => listed.has(category.id))
+      .map(category => urlEntry(`${baseUrl}/categories/${category.slug}`, category.updatedAt)),
+    ...products.map(product => urlEntry(`${baseUrl}/products/${product.slug}`, product.updatedAt)),
+    '</urlset>'
+  ].join('\n');
+};
+
+/**
+ * Get Sitemap (PUBLIC ACCESS)
+ *
+ * Sample Request:
+ * GET /sitemap.xml
+ *
+ * Sample Response (application/xml):
+ * <?xml version="1.0" encoding="UTF-8"?>
+ * <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+ *   <url>
+ *     <loc>https://shop.example.com/products/ashwagandha-powder</loc>
+ *     <lastmod>2026-10-18</lastmod>
+ *   </url>
+ * </urlset>
+ */
+const getSitemap = async (req, res) => {
+  try {
+    if (!cachedSitemap || cachedSitemap.expiresAt <= Date.now()) {
+      cachedSitemap = {
+        xml: await buildSitemap(),
+        expiresAt: Date.now() + SITEMAP_CACHE_SECONDS * 1000
+      };
+    }
+
+    res.set('Cache-Control', `public, max-age=${SITEMAP_CACHE_SECONDS}`);
+    return res.type('application/xml').status(200).send(cachedSitemap.xml);
+
+  } catch (error) {
+    console.error('Get Sitemap Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate sitemap',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSitemap
+};
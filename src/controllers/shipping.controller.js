@@ -1,5 +1,7 @@
 const shiprocketClient = require('../config/shiprocket');
 const { prisma } = require('../config/database');
+const { calculatePackage } = require('../utils/packing.calculator');
+const { isCodEnabled } = require('../utils/cod.helper');
 
 /**
  * Calculate Shipping Cost
@@ -12,7 +14,7 @@ const { prisma } = require('../config/database');
  * {
  *   "deliveryPincode": "400001",
  *   "weightKg": 0.5,
- *   "codAmount": 0
+ *   "cod": false
  * }
  *
  * Sample Response:
@@ -27,7 +29,7 @@ const { prisma } = require('../config/database');
  */
 const calculateShippingCost = async (req, res) => {
   try {
-    const { deliveryPincode, weightKg, codAmount } = req.body;
+    const { deliveryPincode, weightKg, cod, codAmount } = req.body;
 
     if (!deliveryPincode) {
       return res.status(400).json({
@@ -43,7 +45,7 @@ const calculateShippingCost = async (req, res) => {
       pickupPincode,
       deliveryPincode,
       weightKg: weight,
-      codAmount: codAmount || 0
+      cod: Boolean(cod || codAmount) // codAmount kept for older clients
     });
 
     return res.status(200).json({
@@ -64,7 +66,8 @@ const calculateShippingCost = async (req, res) => {
 /**
  * Calculate Shipping for Cart
  *
- * Automatically calculates weight from cart items and checks serviceability
+ * Builds the parcel from cart items (per-product/variant weight and dimensions)
+ * and quotes on the chargeable weight - the higher of dead and volumetric weight
  *
  * Sample Request:
  * POST /api/shipping/calculate-for-cart
@@ -82,6 +85,12 @@ const calculateShippingCost = async (req, res) => {
  *   "shippingCost": 75.00,
  *   "estimatedDays": "3-4",
  *   "cartWeight": 1.2,
+ *   "package": {
+ *     "deadWeightKg": 1.2,
+ *     "volumetricWeightKg": 0.9,
+ *     "chargeableWeightKg": 1.2,
+ *     "dimensions": { "length": 20, "breadth": 15, "height": 15 }
+ *   },
  *   "courierName": "Blue Dart"
  * }
  */
@@ -103,7 +112,8 @@ const calculateShippingForCart = async (req, res) => {
       include: {
         cartItems: {
           include: {
-            product: true
+            product: true,
+            variant: true
           }
         }
       }
@@ -116,26 +126,21 @@ const calculateShippingForCart = async (req, res) => {
       });
     }
 
-    // Calculate total weight (assuming each product has a standard weight)
-    // You can add a weight field to Product model for more accuracy
-    const totalWeight = cart.cartItems.reduce((total, item) => {
-      // Default: 0.5kg per product unit
-      const itemWeight = 0.5;
-      return total + (itemWeight * item.quantity);
-    }, 0);
+    const parcel = calculatePackage(cart.cartItems);
 
     const pickupPincode = process.env.SHIPROCKET_PICKUP_PINCODE || '400001';
 
     const serviceability = await shiprocketClient.checkServiceability({
       pickupPincode,
       deliveryPincode,
-      weightKg: totalWeight,
-      codAmount: 0 // Assuming prepaid
+      weightKg: parcel.chargeableWeightKg,
+      cod: false // Assuming prepaid
     });
 
     return res.status(200).json({
       success: true,
-      cartWeight: totalWeight,
+      cartWeight: parcel.chargeableWeightKg,
+      package: parcel,
       ...serviceability
     });
 
@@ -152,7 +157,7 @@ const calculateShippingForCart = async (req, res) => {
 /**
  * Get Pincode Serviceability
  *
- * Check if delivery is available to a specific pincode
+ * Check if delivery (and Cash on Delivery) is available to a specific pincode
  *
  * Sample Request:
  * GET /api/shipping/check-pincode/400001
@@ -162,6 +167,7 @@ const calculateShippingForCart = async (req, res) => {
  * {
  *   "success": true,
  *   "available": true,
+ *   "codAvailable": true,
  *   "message": "Delivery available"
  * }
  */
@@ -178,16 +184,27 @@ const checkPincodeServiceability = async (req, res) => {
 
     const pickupPincode = process.env.SHIPROCKET_PICKUP_PINCODE || '400001';
 
-    const serviceability = await shiprocketClient.checkServiceability({
-      pickupPincode,
-      deliveryPincode: pincode,
-      weightKg: 0.5,
-      codAmount: 0
-    });
+    const [serviceability, codServiceability] = await Promise.all([
+      shiprocketClient.checkServiceability({
+        pickupPincode,
+        deliveryPincode: pincode,
+        weightKg: 0.5,
+        cod: false
+      }),
+      isCodEnabled()
+        ? shiprocketClient.checkServiceability({
+          pickupPincode,
+          deliveryPincode: pincode,
+          weightKg: 0.5,
+          cod: true
+        })
+        : { available: false }
+    ]);
 
     return res.status(200).json({
       success: true,
       available: serviceability.available,
+      codAvailable: codServiceability.available,
       message: serviceability.available
         ? 'Delivery available to this pincode'
         : 'Delivery not available to this pincode'
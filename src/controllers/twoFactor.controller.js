@@ -0,0 +1,312 @@
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../config/database');
+const { validationResult } = require('express-validator');
+const { revokeAllSessions } = require('../utils/session.helper');
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes: createBackupCodes,
+  verifySecondFactor,
+  disableTwoFactor: removeTwoFactor
+} = require('../utils/twoFactor.helper');
+
+/**
+ * Get 2FA Status
+ *
+ * Sample Request:
+ * GET /api/auth/2fa
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "twoFactorEnabled": true,
+ *   "twoFactorRequired": true,
+ *   "enabledAt": "2026-10-18T10:00:00.000Z",
+ *   "backupCodesRemaining": 8
+ * }
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const [user, backupCodesRemaining] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: req.user.id },
+        select: { twoFactorEnabled: true, twoFactorEnabledAt: true }
+      }),
+      prisma.twoFactorBackupCode.count({
+        where: { userId: req.user.id, usedAt: null }
+      })
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      twoFactorEnabled: user.twoFactorEnabled,
+      twoFactorRequired: isTwoFactorRequired(req.user.role),
+      enabledAt: user.twoFactorEnabledAt,
+      backupCodesRemaining
+    });
+
+  } catch (error) {
+    console.error('Get 2FA Status Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch two-factor status',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start 2FA Setup
+ *
+ * Returns a new secret and its otpauth:// URI. Render the URI as a QR code
+ * for the authenticator app (or let the user type the secret), then
+ * confirm with POST /api/auth/2fa/enable. Calling this again replaces a
+ * pending secret.
+ *
+ * Sample Request:
+ * POST /api/auth/2fa/setup
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Scan the QR code with your authenticator app, then confirm with a code",
+ *   "secret": "JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP",
+ *   "otpauthUrl": "otpauth://totp/Ayurvedic%20Store%3Aadmin%40gmail.com?secret=...&issuer=Ayurvedic+Store&algorithm=SHA1&digits=6&period=30"
+ * }
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await startEnrollment(req.user);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret: result.secret,
+      otpauthUrl: result.otpauthUrl
+    });
+
+  } catch (error) {
+    console.error('2FA Setup Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start two-factor setup',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Enable 2FA
+ *
+ * Confirms setup with a code from the app. The backup codes are only
+ * shown in this response. Other sessions are logged out.
+ *
+ * Sample Request:
+ * POST /api/auth/2fa/enable
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ * Body:
+ * {
+ *   "code": "123456"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Two-factor authentication enabled. Store your backup codes somewhere safe.",
+ *   "backupCodes": ["a1b2c-3d4e5", "..."]
+ * }
+ */
+const enableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const result = await confirmEnrollment(req.user.id, req.body.code);
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await revokeAllSessions(req.user.id, 'Two-factor enabled', req.sessionId);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+      backupCodes: result.backupCodes
+    });
+
+  } catch (error) {
+    console.error('Enable 2FA Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to enable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Disable 2FA
+ *
+ * Needs a current code (or backup code) and, for accounts with an email,
+ * the password. Not allowed while 2FA is mandatory for the user's role.
+ *
+ * Sample Request:
+ * POST /api/auth/2fa/disable
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ * Body:
+ * {
+ *   "password": "current_password",
+ *   "code": "123456"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Two-factor authentication disabled"
+ * }
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (isTwoFactorRequired(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, email: true, password: true, twoFactorEnabled: true }
+    });
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    // Phone-only accounts have no usable password
+    if (user.email && !(await bcrypt.compare(req.body.password || '', user.password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    const factor = await verifySecondFactor(user.id, req.body);
+
+    if (!factor.valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    await removeTwoFactor(user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable 2FA Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to disable two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Regenerate Backup Codes
+ *
+ * Replaces every backup code (old ones stop working).
+ *
+ * Sample Request:
+ * POST /api/auth/2fa/backup-codes
+ * Authorization: Bearer <token> OR Cookie: token=<token>
+ * Body:
+ * {
+ *   "code": "123456"
+ * }
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "backupCodes": ["a1b2c-3d4e5", "..."]
+ * }
+ */
+const regenerateBackupCodes = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const factor = await verifySecondFactor(req.user.id, req.body);
+
+    if (!factor.valid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const backupCodes = await createBackupCodes(req.user.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'New backup codes generated. Previous codes no longer work.',
+      backupCodes
+    });
+
+  } catch (error) {
+    console.error('Regenerate Backup Codes Error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate backup codes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+};
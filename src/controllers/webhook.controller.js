@@ -1,8 +1,14 @@
 const { prisma } = require("../config/database");
-const crypto = require("crypto");
+const { confirmOrderPayment } = require("../utils/payment.helper");
+const {
+  isValidSignature,
+  hashPayload,
+  recordWebhookEvent,
+  processWebhookEvent,
+} = require("../utils/webhook.helper");
 
 /**
- * Shiprocket Webhook Handler
+ * Apply a Shiprocket shipment status update
  *
  * Receives real-time updates from Shiprocket about shipment status
  *
@@ -27,161 +33,342 @@ const crypto = require("crypto");
  *   "delivered_date": "2024-01-19"
  * }
  */
-const handleShiprocketWebhook = async (req, res) => {
-  try {
-    const webhookData = req.body;
-
-    // Verify webhook signature if secret is configured
-    if (process.env.SHIPROCKET_WEBHOOK_SECRET) {
-      const signature = req.headers["x-shiprocket-signature"];
-      const expectedSignature = crypto
-        .createHmac("sha256", process.env.SHIPROCKET_WEBHOOK_SECRET)
-        .update(JSON.stringify(webhookData))
-        .digest("hex");
-
-      if (signature !== expectedSignature) {
-        console.error("Invalid webhook signature");
-        return res.status(401).json({
-          success: false,
-          message: "Invalid signature",
-        });
-      }
-    }
-
-    console.log("Shiprocket Webhook Received:", webhookData);
-
-    const {
+const processShiprocketEvent = async (webhookData) => {
+  const {
+    shipment_id,
+    awb_code,
+    current_status,
+    courier_name,
+    edd,
+    pickup_date,
+    delivered_date,
+    tracking_url,
+  } = webhookData;
+
+  // Find shipping details by shiprocket shipment ID or AWB code
+  const shippingDetails = await prisma.shippingDetails.findFirst({
+    where: {
+      OR: [
+        { shiprocketShipmentId: shipment_id?.toString() },
+        { awbCode: awb_code },
+      ],
+    },
+    include: {
+      order: true,
+    },
+  });
+
+  if (!shippingDetails) {
+    console.warn("Shipping details not found for webhook:", {
       shipment_id,
       awb_code,
-      current_status,
-      courier_name,
-      edd,
-      pickup_date,
-      delivered_date,
-      tracking_url,
-    } = webhookData;
-
-    // Find shipping details by shiprocket shipment ID or AWB code
-    const shippingDetails = await prisma.shippingDetails.findFirst({
-      where: {
-        OR: [
-          { shiprocketShipmentId: shipment_id?.toString() },
-          { awbCode: awb_code },
-        ],
-      },
-      include: {
-        order: true,
-      },
     });
+    const notFoundError = new Error("Shipping details not found");
+    notFoundError.status = 404;
+    throw notFoundError;
+  }
 
-    if (!shippingDetails) {
-      console.warn("Shipping details not found for webhook:", {
-        shipment_id,
-        awb_code,
-      });
-      return res.status(404).json({
-        success: false,
-        message: "Shipping details not found",
-      });
-    }
+  // Map Shiprocket status to our ShipmentStatus enum
+  const statusMap = {
+    New: "PENDING",
+    "Pickup Scheduled": "PROCESSING",
+    "Picked Up": "DISPATCHED",
+    Shipped: "DISPATCHED",
+    "In Transit": "IN_TRANSIT",
+    "Out For Delivery": "OUT_FOR_DELIVERY",
+    Delivered: "DELIVERED",
+    Cancelled: "CANCELLED",
+    "RTO Initiated": "RTO_INITIATED",
+    "RTO Delivered": "RTO_DELIVERED",
+    Lost: "FAILED",
+    Damaged: "FAILED",
+  };
+
+  const mappedStatus = statusMap[current_status] || "IN_TRANSIT";
+
+  // Get current status history
+  const currentHistory = shippingDetails.statusHistory || [];
+
+  // Add new status update to history
+  const updatedHistory = [
+    ...currentHistory,
+    {
+      status: current_status,
+      timestamp: new Date().toISOString(),
+      courierName: courier_name,
+      awbCode: awb_code,
+    },
+  ];
+
+  // Update shipping details
+  const updateData = {
+    currentStatus: mappedStatus,
+    courierName: courier_name || shippingDetails.courierName,
+    awbCode: awb_code || shippingDetails.awbCode,
+    trackingUrl: tracking_url || shippingDetails.trackingUrl,
+    statusHistory: updatedHistory,
+  };
+
+  if (edd) {
+    updateData.estimatedDeliveryDate = new Date(edd);
+  }
 
-    // Map Shiprocket status to our ShipmentStatus enum
-    const statusMap = {
-      New: "PENDING",
-      "Pickup Scheduled": "PROCESSING",
-      "Picked Up": "DISPATCHED",
-      Shipped: "DISPATCHED",
-      "In Transit": "IN_TRANSIT",
-      "Out For Delivery": "OUT_FOR_DELIVERY",
-      Delivered: "DELIVERED",
-      Cancelled: "CANCELLED",
-      "RTO Initiated": "RTO_INITIATED",
-      "RTO Delivered": "RTO_DELIVERED",
-      Lost: "FAILED",
-      Damaged: "FAILED",
-    };
+  if (pickup_date) {
+    updateData.pickupScheduledDate = new Date(pickup_date);
+  }
 
-    const mappedStatus = statusMap[current_status] || "IN_TRANSIT";
+  if (
+    current_status.includes("Picked") ||
+    current_status.includes("Dispatch")
+  ) {
+    updateData.dispatchedDate = new Date();
+  }
 
-    // Get current status history
-    const currentHistory = shippingDetails.statusHistory || [];
+  if (delivered_date || current_status === "Delivered") {
+    updateData.deliveredDate = delivered_date
+      ? new Date(delivered_date)
+      : new Date();
+  }
 
-    // Add new status update to history
-    const updatedHistory = [
-      ...currentHistory,
-      {
-        status: current_status,
-        timestamp: new Date().toISOString(),
-        courierName: courier_name,
-        awbCode: awb_code,
+  await prisma.shippingDetails.update({
+    where: { id: shippingDetails.id },
+    data: updateData,
+  });
+
+  // Update order status based on shipment status
+  const orderStatusMap = {
+    PROCESSING: "PAID",
+    DISPATCHED: "SHIPPED",
+    IN_TRANSIT: "SHIPPED",
+    OUT_FOR_DELIVERY: "SHIPPED",
+    DELIVERED: "DELIVERED",
+    CANCELLED: "CANCELLED",
+  };
+
+  const isCod = shippingDetails.order.paymentMethod === "COD";
+
+  // COD orders stay CONFIRMED until shipped - they are not paid yet
+  const newOrderStatus =
+    isCod && mappedStatus === "PROCESSING" ? null : orderStatusMap[mappedStatus];
+  if (newOrderStatus && shippingDetails.order.status !== newOrderStatus) {
+    await prisma.order.update({
+      where: { id: shippingDetails.orderId },
+      data: {
+        status: newOrderStatus,
+        ...(newOrderStatus === "DELIVERED" && {
+          deliveryTrackingId: awb_code,
+        }),
       },
-    ];
-
-    // Update shipping details
-    const updateData = {
-      currentStatus: mappedStatus,
-      courierName: courier_name || shippingDetails.courierName,
-      awbCode: awb_code || shippingDetails.awbCode,
-      trackingUrl: tracking_url || shippingDetails.trackingUrl,
-      statusHistory: updatedHistory,
-    };
+    });
+  }
 
-    if (edd) {
-      updateData.estimatedDeliveryDate = new Date(edd);
-    }
+  // Courier collected the cash for a COD order
+  if (isCod && mappedStatus === "DELIVERED") {
+    await prisma.payment.updateMany({
+      where: { orderId: shippingDetails.orderId, status: "PENDING" },
+      data: { status: "SUCCESS" },
+    });
+  }
 
-    if (pickup_date) {
-      updateData.pickupScheduledDate = new Date(pickup_date);
-    }
+  console.log(
+    `Webhook processed: Order ${shippingDetails.orderId} -> ${mappedStatus}`,
+  );
+};
 
-    if (
-      current_status.includes("Picked") ||
-      current_status.includes("Dispatch")
-    ) {
-      updateData.dispatchedDate = new Date();
-    }
+/**
+ * Record a captured Razorpay payment against our order
+ *
+ * Safe to run alongside POST /api/orders/verify-payment - the first one to
+ * arrive confirms the order, the other is a no-op.
+ */
+const handlePaymentCaptured = async (paymentEntity) => {
+  if (paymentEntity.status !== "captured") {
+    console.log("Payment not captured yet:", paymentEntity.id);
+    return;
+  }
 
-    if (delivered_date || current_status === "Delivered") {
-      updateData.deliveredDate = delivered_date
-        ? new Date(delivered_date)
-        : new Date();
-    }
+  const payment = await prisma.payment.findUnique({
+    where: { razorpayOrderId: paymentEntity.order_id },
+  });
 
-    await prisma.shippingDetails.update({
-      where: { id: shippingDetails.id },
-      data: updateData,
-    });
+  if (!payment) {
+    console.warn("No order found for Razorpay order:", paymentEntity.order_id);
+    return;
+  }
 
-    // Update order status based on shipment status
-    const orderStatusMap = {
-      PROCESSING: "PAID",
-      DISPATCHED: "SHIPPED",
-      IN_TRANSIT: "SHIPPED",
-      OUT_FOR_DELIVERY: "SHIPPED",
-      DELIVERED: "DELIVERED",
-      CANCELLED: "CANCELLED",
-    };
+  // Amount must match what we asked Razorpay to collect. Throwing stores the
+  // event as FAILED, so it shows up for review and can be reprocessed.
+  const expectedAmount = Math.round(parseFloat(payment.amount) * 100);
+  if (paymentEntity.amount !== expectedAmount) {
+    throw new Error(
+      `Amount mismatch for order ${payment.orderId}: expected ${expectedAmount}, captured ${paymentEntity.amount}`,
+    );
+  }
 
-    const newOrderStatus = orderStatusMap[mappedStatus];
-    if (newOrderStatus && shippingDetails.order.status !== newOrderStatus) {
-      await prisma.order.update({
-        where: { id: shippingDetails.orderId },
+  const { confirmed } = await confirmOrderPayment(payment.orderId, {
+    razorpayPaymentId: paymentEntity.id,
+  });
+
+  console.log(
+    confirmed
+      ? `Order ${payment.orderId} confirmed by webhook`
+      : `Order ${payment.orderId} already confirmed`,
+  );
+};
+
+/**
+ * Apply a Razorpay event
+ *
+ * Handles payment events from Razorpay:
+ * - payment.captured / order.paid: confirm the order (same flow as verify-payment)
+ * - payment.failed: mark a still-pending payment as FAILED (order stays
+ *   PENDING so the shopper can retry until it expires)
+ * - refund.created / refund.processed: track refund status
+ */
+const processRazorpayEvent = async (webhookData) => {
+  const { event, payload } = webhookData;
+
+  // Handle different events
+  switch (event) {
+    case "payment.captured":
+    case "order.paid":
+      // Payment successful
+      await handlePaymentCaptured(payload.payment.entity);
+      break;
+
+    case "payment.failed":
+      // Payment failed
+      console.log("Payment failed:", payload.payment.entity.id);
+      await prisma.payment.updateMany({
+        where: {
+          razorpayOrderId: payload.payment.entity.order_id,
+          status: "PENDING",
+        },
         data: {
-          status: newOrderStatus,
-          ...(newOrderStatus === "DELIVERED" && {
-            deliveryTrackingId: awb_code,
-          }),
+          status: "FAILED",
         },
       });
-    }
+      break;
 
-    console.log(
-      `Webhook processed: Order ${shippingDetails.orderId} -> ${mappedStatus}`,
-    );
+    case "refund.created":
+      // Refund initiated
+      const refundId = payload.refund.entity.id;
+      const paymentId = payload.refund.entity.payment_id;
+
+      // Update refund status in database
+      await prisma.refund.updateMany({
+        where: {
+          razorpayRefundId: refundId,
+        },
+        data: {
+          status: "PROCESSING",
+        },
+      });
+      break;
+
+    case "refund.processed":
+      // Refund completed
+      await prisma.refund.updateMany({
+        where: {
+          razorpayRefundId: payload.refund.entity.id,
+        },
+        data: {
+          status: "COMPLETED",
+          completedAt: new Date(),
+        },
+      });
+      break;
 
+    default:
+      console.log("Unhandled event:", event);
+  }
+};
+
+const WEBHOOK_PROCESSORS = {
+  SHIPROCKET: processShiprocketEvent,
+  RAZORPAY: processRazorpayEvent,
+};
+
+/**
+ * Verify, record and process an incoming webhook
+ *
+ * - Signature is checked against the raw request body (constant time)
+ * - Every delivery is stored in webhook_events, including rejected ones
+ * - An event ID that was already received is acknowledged but not re-applied
+ */
+const receiveWebhook = async (req, res, { provider, signatureValid, eventId, eventType }) => {
+  const event = await recordWebhookEvent({
+    provider,
+    eventId: eventId || hashPayload(req.rawBody),
+    eventType,
+    payload: req.body,
+    signatureValid,
+    ip: req.ip,
+    size: req.rawBody ? req.rawBody.length : 0,
+  });
+
+  if (!signatureValid) {
+    console.error(`Invalid ${provider} webhook signature`);
+    return res.status(401).json({
+      success: false,
+      message: "Invalid signature",
+    });
+  }
+
+  if (event.duplicate) {
     return res.status(200).json({
       success: true,
-      message: "Webhook processed successfully",
+      message: "Webhook already received",
+    });
+  }
+
+  try {
+    await processWebhookEvent(event, WEBHOOK_PROCESSORS[provider]);
+  } catch (error) {
+    if (error.status === 404) {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    throw error;
+  }
+
+  return res.status(200).json({
+    success: true,
+    message: "Webhook processed successfully",
+  });
+};
+
+/**
+ * Shiprocket Webhook Handler
+ *
+ * Sample Request:
+ * POST /api/webhooks/shiprocket
+ * X-Shiprocket-Signature: <hex HMAC-SHA256 of the raw body>
+ *
+ * SHIPROCKET_WEBHOOK_SECRET is required: without it every event is
+ * rejected (401), since a forged "Delivered" event would mark COD orders
+ * delivered and paid.
+ * Shiprocket sends no event ID, so duplicates are detected by payload hash.
+ */
+const handleShiprocketWebhook = async (req, res) => {
+  try {
+    const secret = process.env.SHIPROCKET_WEBHOOK_SECRET;
+    if (!secret) {
+      console.error("SHIPROCKET_WEBHOOK_SECRET is not set - rejecting Shiprocket webhook");
+    }
+
+    const signatureValid = isValidSignature(
+      req.rawBody,
+      req.headers["x-shiprocket-signature"],
+      secret,
+    );
+
+    return await receiveWebhook(req, res, {
+      provider: "SHIPROCKET",
+      signatureValid,
+      eventType: req.body?.current_status,
     });
   } catch (error) {
     console.error("Webhook Handler Error:", error);
@@ -196,85 +383,157 @@ const handleShiprocketWebhook = async (req, res) => {
 /**
  * Razorpay Payment Webhook Handler
  *
- * Handles payment events from Razorpay
- * (Optional - for additional payment event handling)
+ * Sample Request:
+ * POST /api/webhooks/razorpay
+ * X-Razorpay-Signature: <hex HMAC-SHA256 of the raw body>
+ * X-Razorpay-Event-Id: <unique event id, used to reject replays>
  */
 const handleRazorpayWebhook = async (req, res) => {
   try {
-    const webhookData = req.body;
-    const webhookSignature = req.headers["x-razorpay-signature"];
+    const signatureValid = isValidSignature(
+      req.rawBody,
+      req.headers["x-razorpay-signature"],
+      process.env.RAZORPAY_WEBHOOK_SECRET,
+    );
+
+    return await receiveWebhook(req, res, {
+      provider: "RAZORPAY",
+      signatureValid,
+      eventId: req.headers["x-razorpay-event-id"],
+      eventType: req.body?.event,
+    });
+  } catch (error) {
+    console.error("Razorpay Webhook Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to process webhook",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Get Webhook Events (ADMIN ONLY)
+ *
+ * Sample Request:
+ * GET /api/admin/webhooks?provider=RAZORPAY&status=FAILED&page=1&limit=20
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "events": [{ "id": "uuid", "provider": "RAZORPAY", "eventType": "payment.captured", "status": "FAILED", ... }],
+ *   "pagination": {...}
+ * }
+ */
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { provider, status, page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    // Verify webhook signature
-    const expectedSignature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_WEBHOOK_SECRET || "")
-      .update(JSON.stringify(webhookData))
-      .digest("hex");
+    const where = {
+      ...(provider && { provider }),
+      ...(status && { status }),
+    };
 
-    if (webhookSignature !== expectedSignature) {
-      return res.status(401).json({
+    const [events, total] = await Promise.all([
+      prisma.webhookEvent.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: { createdAt: "desc" },
+      }),
+      prisma.webhookEvent.count({ where }),
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      events,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error("Get Webhook Events Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to fetch webhook events",
+      error: error.message,
+    });
+  }
+};
+
+/**
+ * Reprocess Webhook Event (ADMIN ONLY)
+ *
+ * Re-applies a stored event that failed (or never finished) processing.
+ * Events rejected for a bad signature cannot be reprocessed.
+ *
+ * Sample Request:
+ * POST /api/admin/webhooks/:id/reprocess
+ * Authorization: Bearer <admin_token>
+ *
+ * Sample Response:
+ * {
+ *   "success": true,
+ *   "message": "Webhook event reprocessed",
+ *   "event": {...}
+ * }
+ */
+const reprocessWebhookEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await prisma.webhookEvent.findUnique({
+      where: { id },
+    });
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Webhook event not found",
+      });
+    }
+
+    if (!["FAILED", "RECEIVED"].includes(event.status)) {
+      return res.status(400).json({
         success: false,
-        message: "Invalid signature",
+        message: `Cannot reprocess a ${event.status} webhook event`,
       });
     }
 
-    console.log("Razorpay Webhook:", webhookData.event);
-
-    const { event, payload } = webhookData;
-
-    // Handle different events
-    switch (event) {
-      case "payment.captured":
-        // Payment successful
-        console.log("Payment captured:", payload.payment.entity.id);
-        break;
-
-      case "payment.failed":
-        // Payment failed
-        console.log("Payment failed:", payload.payment.entity.id);
-        break;
-
-      case "refund.created":
-        // Refund initiated
-        const refundId = payload.refund.entity.id;
-        const paymentId = payload.refund.entity.payment_id;
-
-        // Update refund status in database
-        await prisma.refund.updateMany({
-          where: {
-            razorpayRefundId: refundId,
-          },
-          data: {
-            status: "PROCESSING",
-          },
-        });
-        break;
-
-      case "refund.processed":
-        // Refund completed
-        await prisma.refund.updateMany({
-          where: {
-            razorpayRefundId: payload.refund.entity.id,
-          },
-          data: {
-            status: "COMPLETED",
-            completedAt: new Date(),
-          },
-        });
-        break;
-
-      default:
-        console.log("Unhandled event:", event);
+    await prisma.webhookEvent.update({
+      where: { id },
+      data: { attempts: { increment: 1 } },
+    });
+
+    try {
+      await processWebhookEvent(event, WEBHOOK_PROCESSORS[event.provider]);
+    } catch (processError) {
+      return res.status(422).json({
+        success: false,
+        message: "Webhook event failed again",
+        error: processError.message,
+      });
     }
 
+    const updatedEvent = await prisma.webhookEvent.findUnique({
+      where: { id },
+    });
+
     return res.status(200).json({
       success: true,
-      message: "Webhook processed",
+      message: "Webhook event reprocessed",
+      event: updatedEvent,
     });
   } catch (error) {
-    console.error("Razorpay Webhook Error:", error);
+    console.error("Reprocess Webhook Error:", error);
     return res.status(500).json({
       success: false,
-      message: "Failed to process webhook",
+      message: "Failed to reprocess webhook event",
       error: error.message,
     });
   }
@@ -283,4 +542,6 @@ const handleRazorpayWebhook = async (req, res) => {
 module.exports = {
   handleShiprocketWebhook,
   handleRazorpayWebhook,
+  getWebhookEvents,
+  reprocessWebhookEvent,
 };
@@ -46,6 +46,17 @@ const getWishlist = async (req, res) => {
                 imageUrls: true,
                 isActive: true
               }
+            },
+            variant: {
+              select: {
+                id: true,
+                sku: true,
+                label: true,
+                realPrice: true,
+                discountedPrice: true,
+                stockQuantity: true,
+                isActive: true
+              }
             }
           }
         }
@@ -59,7 +70,8 @@ const getWishlist = async (req, res) => {
         include: {
           wishlistItems: {
             include: {
-              product: true
+              product: true,
+              variant: true
             }
           }
         }
@@ -91,7 +103,7 @@ const getWishlist = async (req, res) => {
  * Sample Request:
  * POST /api/wishlist/add
  * Authorization: Bearer <token>
- * Body: { "productId": "uuid" }
+ * Body: { "productId": "uuid", "variantId": "uuid" (optional pack size) }
  *
  * Sample Response:
  * {
@@ -103,7 +115,7 @@ const getWishlist = async (req, res) => {
 const addToWishlist = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { productId } = req.body;
+    const { productId, variantId } = req.body;
 
     if (!productId) {
       return res.status(400).json({
@@ -114,7 +126,8 @@ const addToWishlist = async (req, res) => {
 
     // Check product exists
     const product = await prisma.product.findUnique({
-      where: { id: productId }
+      where: { id: productId },
+      include: { variants: true }
     });
 
     if (!product) {
@@ -124,6 +137,14 @@ const addToWishlist = async (req, res) => {
       });
     }
 
+    // A wishlist entry may point at the whole product or at one pack size
+    if (variantId && !product.variants.some(v => v.id === variantId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product variant not found'
+      });
+    }
+
     // Get or create wishlist
     let wishlist = await prisma.wishlist.findUnique({
       where: { userId }
@@ -136,12 +157,11 @@ const addToWishlist = async (req, res) => {
     }
 
     // Check if already in wishlist
-    const existingItem = await prisma.wishlistItem.findUnique({
+    const existingItem = await prisma.wishlistItem.findFirst({
       where: {
-        wishlistId_productId: {
-          wishlistId: wishlist.id,
-          productId
-        }
+        wishlistId: wishlist.id,
+        productId,
+        variantId: variantId || null
       }
     });
 
@@ -155,10 +175,12 @@ const addToWishlist = async (req, res) => {
     const wishlistItem = await prisma.wishlistItem.create({
       data: {
         wishlistId: wishlist.id,
-        productId
+        productId,
+        variantId: variantId || null
       },
       include: {
-        product: true
+        product: true,
+        variant: true
       }
     });
 
@@ -169,6 +191,14 @@ const addToWishlist = async (req, res) => {
     });
 
   } catch (error) {
+    // Added by a concurrent request since the check above
+    if (error.code === 'P2002') {
+      return res.status(400).json({
+        success: false,
+        message: 'Product already in wishlist'
+      });
+    }
+
     console.error('Add to Wishlist Error:', error);
     return res.status(500).json({
       success: false,
@@ -0,0 +1,50 @@
+const { deleteExpiredGuestCarts } = require('../utils/guestCart.helper');
+
+/**
+ * Guest Cart Cleanup
+ *
+ * Deletes guest carts (no userId) that haven't changed for
+ * GUEST_CART_EXPIRES_DAYS - the same age at which their cookie expires.
+ * Runs every GUEST_CART_CLEANUP_INTERVAL_MINUTES (default 360).
+ */
+
+const getSweepIntervalMinutes = () => parseInt(process.env.GUEST_CART_CLEANUP_INTERVAL_MINUTES) || 360;
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+const runSweep = async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const deleted = await deleteExpiredGuestCarts();
+    if (deleted > 0) {
+      console.log('Guest cart cleanup:', { deleted });
+    }
+  } catch (error) {
+    console.error('Guest Cart Cleanup Error:', error.message);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+const startGuestCartCleanupJob = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(runSweep, getSweepIntervalMinutes() * 60 * 1000);
+  sweepTimer.unref();
+  runSweep();
+};
+
+const stopGuestCartCleanupJob = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  startGuestCartCleanupJob,
+  stopGuestCartCleanupJob
+};
@@ -0,0 +1,222 @@
+const { prisma } = require('../config/database');
+const { razorpayInstance } = require('../config/razorpay');
+const { restoreStock } = require('../utils/inventory.helper');
+const { confirmOrderPayment } = require('../utils/payment.helper');
+
+/**
+ * Pending Order Expiry
+ *
+ * Checkout reserves stock as soon as the order is created. If the shopper
+ * never completes Razorpay payment, this sweeper releases it:
+ * - PENDING prepaid orders older than PENDING_ORDER_EXPIRY_MINUTES are cancelled
+ * - Stock is restored and the payment is marked FAILED
+ * - The reason is recorded on the order (cancellationReason, cancelledAt)
+ * - With ORDER_EXPIRY_RESTORE_CART=true the items go back into the cart
+ *
+ * Before expiring, Razorpay is asked about the order (reconciliation for
+ * missed verifications and webhooks):
+ * - Captured payment: the order is confirmed instead of expired (left
+ *   alone, with an error logged, if the amount does not match)
+ * - Authorized but not captured: left alone until the next sweep
+ */
+
+const EXPIRY_REASON = 'Payment not completed in time';
+
+const getExpiryMinutes = () => parseInt(process.env.PENDING_ORDER_EXPIRY_MINUTES) || 30;
+const getSweepIntervalMinutes = () => parseInt(process.env.ORDER_EXPIRY_SWEEP_INTERVAL_MINUTES) || 5;
+const shouldRestoreCart = () => process.env.ORDER_EXPIRY_RESTORE_CART === 'true';
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * Find the most relevant Razorpay payment attempt for an order
+ *
+ * @returns {Promise<Object|null>} Captured payment, else authorized one, else null
+ */
+const findRazorpayPayment = async (razorpayOrderId) => {
+  const payments = (await razorpayInstance.orders.fetchPayments(razorpayOrderId)).items || [];
+  return payments.find(payment => payment.status === 'captured')
+    || payments.find(payment => payment.status === 'authorized')
+    || null;
+};
+
+/**
+ * Put the items of an expired order back into the owner's cart
+ *
+ * Items that are no longer sold, or already back in the cart, are skipped.
+ */
+const restoreCartItems = async (tx, order) => {
+  let cart = await tx.cart.findUnique({
+    where: { userId: order.userId }
+  });
+
+  if (!cart) {
+    cart = await tx.cart.create({
+      data: { userId: order.userId }
+    });
+  }
+
+  for (const item of order.orderItems) {
+    if (!item.product.isActive || (item.variantId && !item.variant?.isActive)) {
+      continue;
+    }
+
+    // skipDuplicates leaves a line the customer re-added in place, even one
+    // added while this transaction runs
+    await tx.cartItem.createMany({
+      data: [{
+        cartId: cart.id,
+        productId: item.productId,
+        variantId: item.variantId || null,
+        quantity: item.quantity
+      }],
+      skipDuplicates: true
+    });
+  }
+};
+
+/**
+ * Expire a single order (no-op if it left PENDING meanwhile)
+ *
+ * @returns {Promise<boolean>} true if the order was expired
+ */
+const expireOrder = async (order) => {
+  return prisma.$transaction(async (tx) => {
+    // Conditional update so a concurrent payment verification wins
+    const { count } = await tx.order.updateMany({
+      where: { id: order.id, status: 'PENDING' },
+      data: {
+        status: 'CANCELLED',
+        cancellationReason: EXPIRY_REASON,
+        cancelledAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await restoreStock(tx, order.orderItems);
+
+    await tx.payment.updateMany({
+      where: { orderId: order.id, status: 'PENDING' },
+      data: { status: 'FAILED' }
+    });
+
+    // Guest orders have no cart to restore
+    if (shouldRestoreCart() && order.userId) {
+      await restoreCartItems(tx, order);
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Expire all PENDING prepaid orders older than the expiry window
+ *
+ * @returns {Promise<Object>} { checked, expired, reconciled, skipped }
+ */
+const expirePendingOrders = async () => {
+  const cutoff = new Date(Date.now() - getExpiryMinutes() * 60 * 1000);
+
+  const orders = await prisma.order.findMany({
+    where: {
+      status: 'PENDING',
+      paymentMethod: 'PREPAID',
+      createdAt: { lt: cutoff }
+    },
+    include: {
+      payment: true,
+      orderItems: {
+        include: {
+          product: true,
+          variant: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' },
+    take: 100
+  });
+
+  const result = { checked: orders.length, expired: 0, reconciled: 0, skipped: 0 };
+
+  for (const order of orders) {
+    try {
+      const razorpayPayment = order.payment?.razorpayOrderId
+        ? await findRazorpayPayment(order.payment.razorpayOrderId)
+        : null;
+
+      if (razorpayPayment?.status === 'captured') {
+        // A captured amount that differs from the order total needs a person;
+        // the order is neither confirmed nor expired
+        const expectedAmount = Math.round(parseFloat(order.payment.amount) * 100);
+        if (razorpayPayment.amount !== expectedAmount) {
+          console.error(`Amount mismatch for order ${order.id}: expected ${expectedAmount}, captured ${razorpayPayment.amount}`);
+          result.skipped += 1;
+          continue;
+        }
+
+        await confirmOrderPayment(order.id, { razorpayPaymentId: razorpayPayment.id });
+        result.reconciled += 1;
+        continue;
+      }
+
+      if (razorpayPayment) {
+        result.skipped += 1;
+        continue;
+      }
+
+      if (await expireOrder(order)) {
+        result.expired += 1;
+      }
+    } catch (error) {
+      // Leave the order for the next sweep
+      result.skipped += 1;
+      console.error(`Order Expiry Error (${order.id}):`, error.message);
+    }
+  }
+
+  return result;
+};
+
+const runSweep = async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const result = await expirePendingOrders();
+    if (result.expired > 0 || result.reconciled > 0 || result.skipped > 0) {
+      console.log('Pending order sweep:', result);
+    }
+  } catch (error) {
+    console.error('Pending Order Sweep Error:', error.message);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+/**
+ * Start the periodic sweep (ORDER_EXPIRY_SWEEP_INTERVAL_MINUTES, default 5)
+ */
+const startOrderExpiryJob = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(runSweep, getSweepIntervalMinutes() * 60 * 1000);
+  sweepTimer.unref();
+  runSweep();
+};
+
+const stopOrderExpiryJob = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  expirePendingOrders,
+  startOrderExpiryJob,
+  stopOrderExpiryJob
+};
@@ -0,0 +1,96 @@
+const { prisma } = require('../config/database');
+const { MISSING_SHIPMENT_WHERE, attemptShipment } = require('../utils/shipment.helper');
+
+/**
+ * Shipment Retry
+ *
+ * Retries Shiprocket shipment creation for confirmed orders whose first
+ * attempt failed. Each failure pushes shipmentNextRetryAt back with
+ * exponential backoff (SHIPMENT_RETRY_BASE_MINUTES, doubling, capped at
+ * 6 hours) until SHIPMENT_RETRY_MAX_ATTEMPTS is reached; after that the
+ * order is left for an admin (POST /api/admin/orders/:id/shipment).
+ */
+
+const getSweepIntervalMinutes = () => parseInt(process.env.SHIPMENT_RETRY_INTERVAL_MINUTES) || 5;
+
+let sweepTimer = null;
+let sweepRunning = false;
+
+/**
+ * Retry every order whose next shipment attempt is due
+ *
+ * @returns {Promise<Object>} { checked, created, failed, skipped }
+ */
+const retryFailedShipments = async () => {
+  const orders = await prisma.order.findMany({
+    where: {
+      ...MISSING_SHIPMENT_WHERE,
+      shipmentNextRetryAt: { lte: new Date() }
+    },
+    include: {
+      orderItems: {
+        include: {
+          product: true
+        }
+      }
+    },
+    orderBy: { shipmentNextRetryAt: 'asc' },
+    take: 50
+  });
+
+  const result = { checked: orders.length, created: 0, failed: 0, skipped: 0 };
+
+  for (const order of orders) {
+    const { shippingDetails, code } = await attemptShipment(order);
+    if (shippingDetails) {
+      result.created += 1;
+    } else if (code === 'SHIPMENT_IN_PROGRESS' || code === 'ORDER_NOT_SHIPPABLE') {
+      // An admin retry is running for it, or it was cancelled meanwhile
+      result.skipped += 1;
+    } else {
+      result.failed += 1;
+    }
+  }
+
+  return result;
+};
+
+const runSweep = async () => {
+  if (sweepRunning) return;
+  sweepRunning = true;
+
+  try {
+    const result = await retryFailedShipments();
+    if (result.checked > 0) {
+      console.log('Shipment retry sweep:', result);
+    }
+  } catch (error) {
+    console.error('Shipment Retry Sweep Error:', error.message);
+  } finally {
+    sweepRunning = false;
+  }
+};
+
+/**
+ * Start the periodic retry (SHIPMENT_RETRY_INTERVAL_MINUTES, default 5)
+ */
+const startShipmentRetryJob = () => {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(runSweep, getSweepIntervalMinutes() * 60 * 1000);
+  sweepTimer.unref();
+  runSweep();
+};
+
+const stopShipmentRetryJob = () => {
+  if (sweepTimer) {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+  }
+};
+
+module.exports = {
+  retryFailedShipments,
+  startShipmentRetryJob,
+  stopShipmentRetryJob
+};
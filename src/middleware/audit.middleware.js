@@ -0,0 +1,64 @@
+const { loadEntitySnapshot, recordAuditLog } = require('../utils/audit.helper');
+
+/**
+ * Audit Log Middleware
+ *
+ * Must be used AFTER authenticate middleware, in front of the handler of
+ * a mutating admin route. Loads the entity before the handler runs and,
+ * once a 2xx response has been sent, loads it again and writes the audit
+ * row (actor, action, entity, before/after, diff, IP). Failed requests are
+ * not logged, and a failure to write the log never affects the response.
+ *
+ * Options:
+ * - idParam: route param holding the entity ID (default "id")
+ * - responseKey: response body field holding a created entity (e.g. "product")
+ * - metadata: (req, body) => extra JSON to store (e.g. uploaded file URLs)
+ *
+ * Usage:
+ *   router.put('/products/:id', authorize('products:write'), auditLog('product.update', 'Product'), updateProduct);
+ */
+const auditLog = (action, entityType, options = {}) => async (req, res, next) => {
+  const { idParam = 'id', responseKey, metadata } = options;
+  const paramId = req.params[idParam] || null;
+
+  let before = null;
+  try {
+    before = await loadEntitySnapshot(entityType, paramId);
+  } catch (error) {
+    console.error('Audit Snapshot Error:', error.message);
+  }
+
+  // Keep the response body to pick up IDs of created entities
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', async () => {
+    if (res.statusCode < 200 || res.statusCode >= 300) return;
+
+    try {
+      const entityId = paramId || responseBody?.[responseKey]?.id || null;
+
+      await recordAuditLog({
+        actor: req.user,
+        action,
+        entityType,
+        entityId,
+        before,
+        after: await loadEntitySnapshot(entityType, entityId),
+        metadata: metadata ? metadata(req, responseBody) : null,
+        ipAddress: req.ip || null,
+        userAgent: req.headers['user-agent'] || null
+      });
+    } catch (error) {
+      console.error(`Audit Log Error (${action}):`, error.message);
+    }
+  });
+
+  next();
+};
+
+module.exports = { auditLog };
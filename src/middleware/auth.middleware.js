@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/database');
+const { hasPermission, isStaffRole } = require('../config/permissions');
+const { isTwoFactorRequired } = require('../utils/twoFactor.helper');
 
 /**
  * Dual-Layer Authentication Middleware
@@ -8,6 +10,7 @@ const { prisma } = require('../config/database');
  * 1. First attempt to read 'token' from HttpOnly Cookie
  * 2. If undefined, check 'Authorization: Bearer <token>' header
  * 3. If both fail, return 401 Unauthorized
+ * 4. The token's session must still be active (not revoked or expired)
  *
  * Usage:
  * - Apply to protected routes that require authentication
@@ -36,27 +39,54 @@ const authenticate = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-    // Fetch user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
+    // Tokens issued before server-side sessions carry no sessionId
+    if (!decoded.sessionId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token. Please login again.'
+      });
+    }
+
+    // Fetch session and user from database
+    const session = await prisma.session.findUnique({
+      where: { id: decoded.sessionId },
       select: {
         id: true,
-        name: true,
-        email: true,
-        role: true,
-        phone: true
+        userId: true,
+        revokedAt: true,
+        expiresAt: true,
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            role: true,
+            phone: true,
+            emailVerified: true,
+            phoneVerified: true,
+            twoFactorEnabled: true
+          }
+        }
       }
     });
 
-    if (!user) {
+    if (!session || session.userId !== decoded.userId) {
       return res.status(401).json({
         success: false,
-        message: 'User not found. Please login again.'
+        message: 'Session not found. Please login again.'
       });
     }
 
-    // Attach user to request object
-    req.user = user;
+    if (session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked. Please login again.'
+      });
+    }
+
+    // Attach user and session to request object
+    req.user = session.user;
+    req.sessionId = session.id;
     next();
 
   } catch (error) {
@@ -83,12 +113,46 @@ const authenticate = async (req, res, next) => {
 };
 
 /**
- * Admin Authorization Middleware
+ * Optional Authentication Middleware
+ *
+ * Same as authenticate when a token is sent; without one the request
+ * carries on as a guest (no req.user). For routes guests can use with an
+ * order lookup token.
+ */
+const optionalAuthenticate = (req, res, next) => {
+  const hasToken = (req.cookies && req.cookies.token)
+    || (req.headers.authorization && req.headers.authorization.startsWith('Bearer '));
+
+  if (!hasToken) {
+    return next();
+  }
+
+  return authenticate(req, res, next);
+};
+
+/**
+ * Staff who must use 2FA (TWO_FACTOR_REQUIRED_FOR_STAFF) but haven't enrolled
+ */
+const twoFactorSetupRequired = (user) => isTwoFactorRequired(user.role) && !user.twoFactorEnabled;
+
+const twoFactorSetupResponse = (res) => res.status(403).json({
+  success: false,
+  message: 'Two-factor authentication is required for your role. Set it up at /api/auth/2fa/setup.',
+  code: 'TWO_FACTOR_SETUP_REQUIRED'
+});
+
+/**
+ * Permission Authorization Middleware
  *
  * Must be used AFTER authenticate middleware
- * Checks if authenticated user has ADMIN role
+ * Checks the user's role grants every listed permission
+ * (role -> permission matrix in config/permissions.js) and that staff
+ * required to use 2FA have enrolled
+ *
+ * Usage:
+ *   router.post('/admin/:id/approve', authenticate, authorize('refunds:approve'), approveRefund);
  */
-const authorizeAdmin = (req, res, next) => {
+const authorize = (...permissions) => (req, res, next) => {
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -96,14 +160,50 @@ const authorizeAdmin = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'ADMIN') {
+  const missing = permissions.filter(permission => !hasPermission(req.user.role, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. You do not have permission to perform this action.',
+      requiredPermissions: missing
+    });
+  }
+
+  if (twoFactorSetupRequired(req.user)) {
+    return twoFactorSetupResponse(res);
+  }
+
+  next();
+};
+
+/**
+ * Staff Authorization Middleware
+ *
+ * Must be used AFTER authenticate middleware
+ * Lets through any staff role (ADMIN, CATALOG_MANAGER ...), not customers.
+ * Used as a gate in front of admin routes, which then check permissions.
+ */
+const authorizeStaff = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required'
+    });
+  }
+
+  if (!isStaffRole(req.user.role)) {
     return res.status(403).json({
       success: false,
-      message: 'Access denied. Admin privileges required.'
+      message: 'Access denied. Staff privileges required.'
     });
   }
 
+  if (twoFactorSetupRequired(req.user)) {
+    return twoFactorSetupResponse(res);
+  }
+
   next();
 };
 
-module.exports = { authenticate, authorizeAdmin };
+module.exports = { authenticate, optionalAuthenticate, authorize, authorizeStaff };
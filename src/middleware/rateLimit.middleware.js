@@ -0,0 +1,93 @@
+const { getRateLimitStore } = require('../utils/rateLimit.store');
+
+/**
+ * Rate Limiting Middleware
+ *
+ * Per-IP fixed-window limits, one named limit per route group. Defaults
+ * below can be overridden with RATE_LIMIT_<NAME>=<max>/<windowSeconds>,
+ * e.g. RATE_LIMIT_AUTH=10/60. RATE_LIMIT_ENABLED=false turns limiting off.
+ *
+ * Clients behind a proxy are told apart by req.ip, so set TRUST_PROXY
+ * when the API runs behind a load balancer.
+ *
+ * Usage:
+ *   router.get('/check-pincode/:pincode', rateLimit('shipping'), handler)
+ */
+
+const RATE_LIMITS = {
+  api: { max: 300, windowSeconds: 60 },       // every /api route
+  auth: { max: 20, windowSeconds: 60 },       // login, sign up, password reset, OTP
+  shipping: { max: 30, windowSeconds: 60 },   // Shiprocket proxies (pincode / cost checks)
+  webhook: { max: 600, windowSeconds: 60 }    // provider webhooks (before anything is stored)
+};
+
+/**
+ * Limit for a name, with the env override applied
+ */
+const getLimit = (name) => {
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+
+  if (override) {
+    const [max, windowSeconds] = override.split('/').map(value => parseInt(value));
+    if (max > 0 && windowSeconds > 0) {
+      return { max, windowSeconds };
+    }
+  }
+
+  return RATE_LIMITS[name];
+};
+
+/**
+ * Set the Retry-After header (seconds) on a refused response
+ */
+const setRetryAfter = (res, seconds) => {
+  res.set('Retry-After', String(Math.max(Math.ceil(seconds), 1)));
+};
+
+/**
+ * Create a limiter for one of the named limits
+ *
+ * @param {string} name - Key of RATE_LIMITS
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (name) => {
+  if (!RATE_LIMITS[name]) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  return async (req, res, next) => {
+    if (process.env.RATE_LIMIT_ENABLED === 'false') {
+      return next();
+    }
+
+    try {
+      const { max, windowSeconds } = getLimit(name);
+      const { count, resetAt } = await getRateLimitStore().hit(`${name}:${req.ip}`, windowSeconds * 1000);
+      const resetSeconds = Math.ceil((resetAt - Date.now()) / 1000);
+
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(max - count, 0)),
+        'RateLimit-Reset': String(Math.max(resetSeconds, 0))
+      });
+
+      if (count > max) {
+        setRetryAfter(res, resetSeconds);
+        return res.status(429).json({
+          success: false,
+          message: 'Too many requests. Please try again later.',
+          retryAfter: Math.max(resetSeconds, 1)
+        });
+      }
+
+      next();
+
+    } catch (error) {
+      // A broken counter store should not take the API down
+      console.error('Rate Limit Error:', error.message);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimit, setRetryAfter };
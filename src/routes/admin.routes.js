@@ -1,52 +1,218 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticate, authorizeAdmin } = require('../middleware/auth.middleware');
+const { authenticate, authorize, authorizeStaff } = require('../middleware/auth.middleware');
+const { auditLog } = require('../middleware/audit.middleware');
 const upload = require('../utils/multer.config');
+const { DOSHAS } = require('../utils/productFilter.helper');
+const { SLUG_MAX_LENGTH, SLUG_PATTERN } = require('../utils/slug.helper');
+const { ATTRIBUTE_TYPES, ATTRIBUTE_KEY_PATTERN, RESERVED_ATTRIBUTE_KEYS } = require('../utils/productAttribute.helper');
 const { uploadImageToS3, uploadMultipleImages } = require('../controllers/upload.controller');
 const {
   createProduct,
   updateProduct,
-  deleteProduct
+  deleteProduct,
+  createVariant,
+  updateVariant,
+  deleteVariant
 } = require('../controllers/product.controller');
 const {
   createCategory,
   updateCategory,
   deleteCategory
 } = require('../controllers/category.controller');
+const {
+  createAttributeDefinition,
+  updateAttributeDefinition,
+  deleteAttributeDefinition
+} = require('../controllers/attribute.controller');
 const { updateOrderStatus } = require('../controllers/order.controller');
+const { getOrdersMissingShipment, createOrderShipment } = require('../controllers/order.enhanced.controller');
+const { getWebhookEvents, reprocessWebhookEvent } = require('../controllers/webhook.controller');
+const {
+  getAllCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/coupon.controller');
+const { getRoles, getUsers, updateUserRole } = require('../controllers/role.controller');
+const { getAuditLogs } = require('../controllers/audit.controller');
+const { ROLES } = require('../config/permissions');
 
-// Apply authentication and admin authorization to all admin routes
+// Apply authentication and staff authorization to all admin routes;
+// each route then requires its own permission (config/permissions.js).
+// Every mutation is recorded in the audit log (middleware/audit.middleware.js)
 router.use(authenticate);
-router.use(authorizeAdmin);
+router.use(authorizeStaff);
 
 // Upload Routes
-router.post('/upload', upload.single('image'), uploadImageToS3);
-router.post('/upload/multiple', upload.array('images', 10), uploadMultipleImages);
+const uploadAuditMetadata = (req, body) => ({
+  files: (req.files || [req.file]).filter(Boolean).map(file => file.originalname),
+  imageUrls: body?.imageUrls || (body?.imageUrl ? [body.imageUrl] : [])
+});
+
+router.post('/upload', authorize('uploads:create'), auditLog('upload.create', 'Upload', { metadata: uploadAuditMetadata }), upload.single('image'), uploadImageToS3);
+router.post('/upload/multiple', authorize('uploads:create'), auditLog('upload.create', 'Upload', { metadata: uploadAuditMetadata }), upload.array('images', 10), uploadMultipleImages);
+
+// SEO fields (products and categories)
+const seoValidation = [
+  body('slug').optional().trim().toLowerCase()
+    .isLength({ min: 1, max: SLUG_MAX_LENGTH }).withMessage(`Slug must be 1 to ${SLUG_MAX_LENGTH} characters`)
+    .matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+  body('metaTitle').optional({ nullable: true }).isString().trim().isLength({ max: 70 }).withMessage('Meta title must be at most 70 characters'),
+  body('metaDescription').optional({ nullable: true }).isString().trim().isLength({ max: 160 }).withMessage('Meta description must be at most 160 characters'),
+  body('ogImageUrl').optional({ nullable: true, checkFalsy: true }).isURL().withMessage('OG image must be a valid URL')
+];
 
 // Product Management Routes
+// Zero dimensions would make the shipping parcel size undefined
+const measurementValidation = [
+  body('weightKg').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Weight must be a non-negative number'),
+  body(['lengthCm', 'breadthCm', 'heightCm']).optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Dimensions must be positive numbers')
+];
+
 const productValidation = [
   body('name').trim().notEmpty().withMessage('Product name is required'),
   body('categoryId').notEmpty().withMessage('Category ID is required'),
   body('realPrice').isFloat({ min: 0 }).withMessage('Real price must be a positive number'),
   body('discountedPrice').isFloat({ min: 0 }).withMessage('Discounted price must be a positive number'),
-  body('stockQuantity').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer')
+  body('stockQuantity').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  ...measurementValidation,
+  body('hsnCode').optional({ nullable: true }).matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional({ nullable: true }).isFloat({ min: 0, max: 28 }).withMessage('GST rate must be between 0 and 28'),
+  body(['tags', 'ingredients']).optional().isArray().withMessage('Tags and ingredients must be arrays of strings'),
+  body(['tags.*', 'ingredients.*']).isString().trim().isLength({ max: 100 }).withMessage('Tags and ingredients must be strings of up to 100 characters'),
+  body('doshas').optional().isArray().withMessage('Doshas must be an array'),
+  body('doshas.*').isString().toUpperCase().isIn(DOSHAS).withMessage(`Doshas must be ${DOSHAS.join(', ')}`),
+  body('variants').optional().isArray().withMessage('Variants must be an array'),
+  body('variants.*.sku').trim().notEmpty().withMessage('Variant SKU is required'),
+  body('variants.*.label').trim().notEmpty().withMessage('Variant label is required'),
+  body('variants.*.realPrice').isFloat({ min: 0 }).withMessage('Variant real price must be a positive number'),
+  body('variants.*.discountedPrice').isFloat({ min: 0 }).withMessage('Variant discounted price must be a positive number'),
+  body('variants.*.stockQuantity').isInt({ min: 0 }).withMessage('Variant stock quantity must be a non-negative integer'),
+  body('attributes').optional().isObject().withMessage('Attributes must be an object of attribute key to value'),
+  ...seoValidation
+];
+
+const productUpdateValidation = [
+  ...measurementValidation,
+  body('attributes').optional().isObject().withMessage('Attributes must be an object of attribute key to value'),
+  ...seoValidation
+];
+
+router.post('/products', authorize('products:write'), auditLog('product.create', 'Product', { responseKey: 'product' }), productValidation, createProduct);
+router.put('/products/:id', authorize('products:write'), auditLog('product.update', 'Product'), productUpdateValidation, updateProduct);
+router.delete('/products/:id', authorize('products:delete'), auditLog('product.delete', 'Product'), deleteProduct);
+
+// Product Attribute Definitions (values are set on products as `attributes`)
+const attributeValidation = [
+  body('label').optional().trim().notEmpty().withMessage('Label cannot be empty'),
+  body('type').optional().isIn(ATTRIBUTE_TYPES).withMessage(`Type must be one of ${ATTRIBUTE_TYPES.join(', ')}`),
+  body('options').optional().isArray().withMessage('Options must be an array of strings'),
+  body('options.*').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Options must be strings of up to 100 characters'),
+  body('unit').optional({ nullable: true }).isString().trim().isLength({ max: 20 }).withMessage('Unit must be at most 20 characters'),
+  body(['isRequired', 'isFilterable']).optional().isBoolean().withMessage('isRequired and isFilterable must be true or false'),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be an integer')
+];
+
+const attributeCreateValidation = [
+  body('key').trim().matches(ATTRIBUTE_KEY_PATTERN).withMessage('Key must be 2-50 lowercase letters, numbers or underscores, starting with a letter')
+    .not().isIn(RESERVED_ATTRIBUTE_KEYS).withMessage(`${RESERVED_ATTRIBUTE_KEYS.join(', ')} are product fields, not attributes`),
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('type').isIn(ATTRIBUTE_TYPES).withMessage(`Type must be one of ${ATTRIBUTE_TYPES.join(', ')}`),
+  ...attributeValidation
+];
+
+router.post('/attributes', authorize('products:write'), auditLog('attribute.create', 'AttributeDefinition', { responseKey: 'attribute' }), attributeCreateValidation, createAttributeDefinition);
+router.put('/attributes/:id', authorize('products:write'), auditLog('attribute.update', 'AttributeDefinition'), attributeValidation, updateAttributeDefinition);
+router.delete('/attributes/:id', authorize('products:delete'), auditLog('attribute.delete', 'AttributeDefinition'), deleteAttributeDefinition);
+
+// Product Variant (Pack Size) Routes
+const variantValidation = [
+  body('sku').trim().notEmpty().withMessage('SKU is required'),
+  body('label').trim().notEmpty().withMessage('Label is required'),
+  body('realPrice').isFloat({ min: 0 }).withMessage('Real price must be a positive number'),
+  body('discountedPrice').isFloat({ min: 0 }).withMessage('Discounted price must be a positive number'),
+  body('stockQuantity').isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  ...measurementValidation
 ];
 
-router.post('/products', productValidation, createProduct);
-router.put('/products/:id', updateProduct);
-router.delete('/products/:id', deleteProduct);
+const variantUpdateValidation = [
+  body('sku').optional().trim().notEmpty().withMessage('SKU cannot be empty'),
+  body('label').optional().trim().notEmpty().withMessage('Label cannot be empty'),
+  body('realPrice').optional().isFloat({ min: 0 }).withMessage('Real price must be a positive number'),
+  body('discountedPrice').optional().isFloat({ min: 0 }).withMessage('Discounted price must be a positive number'),
+  body('stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock quantity must be a non-negative integer'),
+  ...measurementValidation,
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(true)
+];
+
+router.post('/products/:id/variants', authorize('products:write'), auditLog('variant.create', 'ProductVariant', { idParam: 'variantId', responseKey: 'variant' }), variantValidation, createVariant);
+router.put('/products/:id/variants/:variantId', authorize('products:write'), auditLog('variant.update', 'ProductVariant', { idParam: 'variantId' }), variantUpdateValidation, updateVariant);
+router.delete('/products/:id/variants/:variantId', authorize('products:delete'), auditLog('variant.delete', 'ProductVariant', { idParam: 'variantId' }), deleteVariant);
 
 // Category Management Routes
+const parentValidation = body('parentId').optional({ nullable: true }).isUUID().withMessage('Parent category ID must be a valid UUID');
+
 const categoryValidation = [
-  body('name').trim().notEmpty().withMessage('Category name is required')
+  body('name').trim().notEmpty().withMessage('Category name is required'),
+  parentValidation,
+  ...seoValidation
 ];
 
-router.post('/categories', categoryValidation, createCategory);
-router.put('/categories/:id', updateCategory);
-router.delete('/categories/:id', deleteCategory);
+const categoryUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Category name cannot be empty'),
+  parentValidation,
+  ...seoValidation
+];
+
+router.post('/categories', authorize('categories:write'), auditLog('category.create', 'Category', { responseKey: 'category' }), categoryValidation, createCategory);
+router.put('/categories/:id', authorize('categories:write'), auditLog('category.update', 'Category'), categoryUpdateValidation, updateCategory);
+router.delete('/categories/:id', authorize('categories:delete'), auditLog('category.delete', 'Category'), deleteCategory);
 
 // Order Management Routes
-router.put('/orders/:id/status', updateOrderStatus);
+router.put('/orders/:id/status', authorize('orders:update'), auditLog('order.status_update', 'Order'), updateOrderStatus);
+router.get('/orders/missing-shipments', authorize('shipments:read'), getOrdersMissingShipment);
+router.post('/orders/:id/shipment', authorize('shipments:manage'), auditLog('shipment.create', 'ShippingDetails'), createOrderShipment);
+
+// Coupon Management Routes
+const couponFieldValidation = [
+  body('discountType').optional().isIn(['PERCENTAGE', 'FLAT']).withMessage('Discount type must be PERCENTAGE or FLAT'),
+  body('discountValue').optional().isFloat({ min: 0 }).withMessage('Discount value must be a positive number'),
+  body(['minCartValue', 'maxDiscount']).optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Amounts must be positive numbers'),
+  body(['usageLimit', 'perUserLimit']).optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limits must be positive integers'),
+  body(['validFrom', 'validUntil']).optional({ nullable: true }).isISO8601().withMessage('Validity dates must be ISO 8601 dates'),
+  body(['categoryIds', 'productIds']).optional().isArray().withMessage('Scopes must be arrays of IDs')
+];
+
+const couponValidation = [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('discountType').notEmpty().withMessage('Discount type is required'),
+  body('discountValue').notEmpty().withMessage('Discount value is required'),
+  ...couponFieldValidation
+];
+
+router.get('/coupons', authorize('coupons:read'), getAllCoupons);
+router.get('/coupons/:id', authorize('coupons:read'), getCouponById);
+router.post('/coupons', authorize('coupons:write'), auditLog('coupon.create', 'Coupon', { responseKey: 'coupon' }), couponValidation, createCoupon);
+router.put('/coupons/:id', authorize('coupons:write'), auditLog('coupon.update', 'Coupon'), couponFieldValidation, updateCoupon);
+router.delete('/coupons/:id', authorize('coupons:write'), auditLog('coupon.delete', 'Coupon'), deleteCoupon);
+
+// Webhook Audit Routes
+router.get('/webhooks', authorize('webhooks:read'), getWebhookEvents);
+router.post('/webhooks/:id/reprocess', authorize('webhooks:reprocess'), auditLog('webhook.reprocess', 'WebhookEvent'), reprocessWebhookEvent);
+
+// Staff Roles Routes
+const roleValidation = [
+  body('role').isIn(ROLES).withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+];
+
+router.get('/roles', authorize('users:read'), getRoles);
+router.get('/users', authorize('users:read'), getUsers);
+router.put('/users/:id/role', authorize('users:roles'), auditLog('user.role_update', 'User'), roleValidation, updateUserRole);
+
+// Audit Log Routes
+router.get('/audit-logs', authorize('audit:read'), getAuditLogs);
 
 module.exports = router;
@@ -1,8 +1,38 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
-const { register, login, logout, getMe } = require('../controllers/auth.controller');
+const { body, query } = require('express-validator');
+const {
+  register,
+  login,
+  verifyTwoFactorLogin,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  verifyEmail,
+  resendVerification,
+  requestLoginOtp,
+  verifyLoginOtp,
+  requestPhoneVerification,
+  verifyPhone,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  getMe
+} = require('../controllers/auth.controller');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes
+} = require('../controllers/twoFactor.controller');
 const { authenticate } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+
+// Unauthenticated endpoints that check credentials or send email / SMS
+const authLimiter = rateLimit('auth');
 
 // Validation Rules
 const registerValidation = [
@@ -19,10 +49,79 @@ const loginValidation = [
   body('password').notEmpty().withMessage('Password is required')
 ];
 
+const verifyEmailValidation = [
+  query('token').trim().notEmpty().withMessage('Verification token is required')
+];
+
+const otpRequestValidation = [
+  body('phone').trim().notEmpty().withMessage('Phone number is required')
+];
+
+const otpVerifyValidation = [
+  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  body('code').trim().isNumeric().withMessage('Valid OTP code is required'),
+  body('name').optional().trim().isLength({ max: 100 }).withMessage('Name is too long')
+];
+
+const forgotPasswordValidation = [
+  body('email').isEmail().withMessage('Valid email is required')
+];
+
+const resetPasswordValidation = [
+  body('token').trim().notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+];
+
+const changePasswordValidation = [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters')
+];
+
+// A TOTP code or a backup code
+const secondFactorValidation = [
+  body('code').optional().trim().matches(/^\d{6}$/).withMessage('Valid 6 digit code is required'),
+  body('backupCode').optional().trim().notEmpty().withMessage('Backup code cannot be empty'),
+  body().custom(value => Boolean(value.code || value.backupCode)).withMessage('Authentication code or backup code is required')
+];
+
+const twoFactorLoginValidation = [
+  body('challengeToken').trim().notEmpty().withMessage('Challenge token is required'),
+  ...secondFactorValidation
+];
+
+const twoFactorEnableValidation = [
+  body('code').trim().matches(/^\d{6}$/).withMessage('Valid 6 digit code is required')
+];
+
 // Routes
-router.post('/register', registerValidation, register);
-router.post('/login', loginValidation, login);
+router.post('/register', authLimiter, registerValidation, register);
+router.post('/login', authLimiter, loginValidation, login);
+router.post('/refresh', authLimiter, refresh);
 router.post('/logout', logout);
+router.post('/logout-all', authenticate, logoutAll);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, deleteSession);
+router.get('/verify-email', authLimiter, verifyEmailValidation, verifyEmail);
+router.post('/resend-verification', authLimiter, authenticate, resendVerification);
+router.post('/otp/request', authLimiter, otpRequestValidation, requestLoginOtp);
+router.post('/otp/verify', authLimiter, otpVerifyValidation, verifyLoginOtp);
+router.post('/phone/request-otp', authLimiter, authenticate, requestPhoneVerification);
+router.post('/phone/verify', authLimiter, authenticate, otpVerifyValidation, verifyPhone);
+router.post('/forgot-password', authLimiter, forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', authLimiter, resetPasswordValidation, resetPassword);
+router.put('/password', authLimiter, authenticate, changePasswordValidation, changePassword);
 router.get('/me', authenticate, getMe);
 
+// Two-Factor Authentication
+router.post('/2fa/verify', authLimiter, twoFactorLoginValidation, verifyTwoFactorLogin);
+router.get('/2fa', authenticate, getTwoFactorStatus);
+router.post('/2fa/setup', authLimiter, authenticate, setupTwoFactor);
+router.post('/2fa/enable', authLimiter, authenticate, twoFactorEnableValidation, enableTwoFactor);
+router.post('/2fa/disable', authLimiter, authenticate, secondFactorValidation, disableTwoFactor);
+router.post('/2fa/backup-codes', authLimiter, authenticate, secondFactorValidation, regenerateBackupCodes);
+
 module.exports = router;
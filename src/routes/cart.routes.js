@@ -1,21 +1,25 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth.middleware');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth.middleware');
 const {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyCoupon,
+  removeCoupon
 } = require('../controllers/cart.controller');
 
-// All cart routes require authentication
-router.use(authenticate);
+// Cart items work for guests too (guest cart from the signed guestCartId cookie)
+router.get('/', optionalAuthenticate, getCart);
+router.post('/add', optionalAuthenticate, addToCart);
+router.put('/update/:itemId', optionalAuthenticate, updateCartItem);
+router.delete('/remove/:itemId', optionalAuthenticate, removeFromCart);
+router.delete('/clear', optionalAuthenticate, clearCart);
 
-router.get('/', getCart);
-router.post('/add', addToCart);
-router.put('/update/:itemId', updateCartItem);
-router.delete('/remove/:itemId', removeFromCart);
-router.delete('/clear', clearCart);
+// Coupons are per customer, so they need an account
+router.post('/apply-coupon', authenticate, applyCoupon);
+router.delete('/coupon', authenticate, removeCoupon);
 
 module.exports = router;
@@ -1,9 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticate, authorizeAdmin } = require('../middleware/auth.middleware');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { auditLog } = require('../middleware/audit.middleware');
+const { SLUG_MAX_LENGTH, SLUG_PATTERN } = require('../utils/slug.helper');
 const {
   getAllCategories,
+  getCategoryTree,
   getCategoryById,
   createCategory,
   updateCategory,
@@ -12,15 +15,35 @@ const {
 
 // Public Routes (No Authentication Required)
 router.get('/', getAllCategories);
+router.get('/tree', getCategoryTree);
 router.get('/:id', getCategoryById);
 
-// Admin Routes (Authentication + Admin Authorization Required)
+// Admin Routes (Authentication + Category Permissions Required)
+const seoValidation = [
+  body('slug').optional().trim().toLowerCase()
+    .isLength({ min: 1, max: SLUG_MAX_LENGTH }).withMessage(`Slug must be 1 to ${SLUG_MAX_LENGTH} characters`)
+    .matches(SLUG_PATTERN).withMessage('Slug may only contain lowercase letters, numbers and single hyphens'),
+  body('metaTitle').optional({ nullable: true }).isString().trim().isLength({ max: 70 }).withMessage('Meta title must be at most 70 characters'),
+  body('metaDescription').optional({ nullable: true }).isString().trim().isLength({ max: 160 }).withMessage('Meta description must be at most 160 characters'),
+  body('ogImageUrl').optional({ nullable: true, checkFalsy: true }).isURL().withMessage('OG image must be a valid URL')
+];
+
+const parentValidation = body('parentId').optional({ nullable: true }).isUUID().withMessage('Parent category ID must be a valid UUID');
+
 const categoryValidation = [
-  body('name').trim().notEmpty().withMessage('Category name is required')
+  body('name').trim().notEmpty().withMessage('Category name is required'),
+  parentValidation,
+  ...seoValidation
+];
+
+const categoryUpdateValidation = [
+  body('name').optional().trim().notEmpty().withMessage('Category name cannot be empty'),
+  parentValidation,
+  ...seoValidation
 ];
 
-router.post('/', authenticate, authorizeAdmin, categoryValidation, createCategory);
-router.put('/:id', authenticate, authorizeAdmin, updateCategory);
-router.delete('/:id', authenticate, authorizeAdmin, deleteCategory);
+router.post('/', authenticate, authorize('categories:write'), auditLog('category.create', 'Category', { responseKey: 'category' }), categoryValidation, createCategory);
+router.put('/:id', authenticate, authorize('categories:write'), auditLog('category.update', 'Category'), categoryUpdateValidation, updateCategory);
+router.delete('/:id', authenticate, authorize('categories:delete'), auditLog('category.delete', 'Category'), deleteCategory);
 
 module.exports = router;
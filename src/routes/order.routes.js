@@ -1,23 +1,63 @@
 const express = require('express');
 const router = express.Router();
-const { authenticate } = require('../middleware/auth.middleware');
+const { body } = require('express-validator');
+const { authenticate, optionalAuthenticate } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
 const {
   createOrder,
+  requestGuestCheckoutOtp,
+  verifyGuestCheckoutOtp,
+  createGuestOrder,
   verifyPayment,
   getUserOrders,
   getOrderById,
   trackOrder,
-  cancelOrder
+  cancelOrder,
+  getOrderInvoice
 } = require('../controllers/order.enhanced.controller');
 
-// All order routes require authentication
+// Guest endpoints send SMS / check codes without an account
+const authLimiter = rateLimit('auth');
+
+// Validation Rules
+const guestOtpRequestValidation = [
+  body('phone').trim().notEmpty().withMessage('Phone number is required')
+];
+
+const guestOtpVerifyValidation = [
+  body('phone').trim().notEmpty().withMessage('Phone number is required'),
+  body('code').trim().isNumeric().withMessage('Valid OTP code is required')
+];
+
+const guestCheckoutValidation = [
+  body('name').trim().notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('Valid email is required'),
+  body('phoneToken').trim().notEmpty().withMessage('Verify your phone first (phoneToken is required)'),
+  body('address.street').trim().notEmpty().withMessage('Street is required'),
+  body('address.city').trim().notEmpty().withMessage('City is required'),
+  body('address.state').trim().notEmpty().withMessage('State is required'),
+  body('address.pincode').trim().matches(/^\d{6}$/).withMessage('Valid 6 digit pincode is required'),
+  body('items').isArray({ min: 1, max: 50 }).withMessage('Between 1 and 50 items are required'),
+  body('items.*.productId').trim().notEmpty().withMessage('Product ID is required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1')
+];
+
+// Guest checkout (no account)
+router.post('/guest/otp/request', authLimiter, guestOtpRequestValidation, requestGuestCheckoutOtp);
+router.post('/guest/otp/verify', authLimiter, guestOtpVerifyValidation, verifyGuestCheckoutOtp);
+router.post('/guest/checkout', authLimiter, guestCheckoutValidation, createGuestOrder);
+
+// Customers (token) or guests (order token)
+router.post('/verify-payment', optionalAuthenticate, verifyPayment);
+router.get('/:id', optionalAuthenticate, getOrderById);
+router.get('/:id/track', optionalAuthenticate, trackOrder);
+router.get('/:id/invoice', optionalAuthenticate, getOrderInvoice);
+
+// All other order routes require authentication
 router.use(authenticate);
 
 router.post('/checkout', createOrder);
-router.post('/verify-payment', verifyPayment);
 router.get('/', getUserOrders);
-router.get('/:id', getOrderById);
-router.get('/:id/track', trackOrder);
 router.put('/:id/cancel', cancelOrder);
 
 module.exports = router;
@@ -1,9 +1,30 @@
 const express = require('express');
 const router = express.Router();
-const { getAllProducts, getProductById } = require('../controllers/product.controller');
+const { query } = require('express-validator');
+const { DOSHAS, PRODUCT_SORTS, parseList } = require('../utils/productFilter.helper');
+const { getAllProducts, searchSuggestions, getProductById } = require('../controllers/product.controller');
+const { getAttributeDefinitions } = require('../controllers/attribute.controller');
+
+const listValidation = [
+  query(['minPrice', 'maxPrice']).optional().isFloat({ min: 0 }).withMessage('Price filters must be positive numbers'),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('minRating must be between 0 and 5'),
+  query('minDiscount').optional().isFloat({ min: 0, max: 100 }).withMessage('minDiscount must be between 0 and 100'),
+  query('doshas').optional().custom(value => parseList(value).every(dosha => DOSHAS.includes(dosha.toUpperCase()))).withMessage(`doshas must be ${DOSHAS.join(', ')}`),
+  query('inStock').optional().isIn(['true', 'false']).withMessage('inStock must be true or false'),
+  query('facets').optional().isIn(['true', 'false']).withMessage('facets must be true or false'),
+  query('attr').optional().isObject().withMessage('Attribute filters must look like attr[key]=value'),
+  query('sort').optional().isIn(Object.keys(PRODUCT_SORTS)).withMessage(`sort must be one of ${Object.keys(PRODUCT_SORTS).join(', ')}`)
+];
+
+const suggestValidation = [
+  query('q').trim().notEmpty().withMessage('Search text (q) is required'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20')
+];
 
 // Public Routes (No Authentication Required)
-router.get('/', getAllProducts);
+router.get('/', listValidation, getAllProducts);
+router.get('/search/suggest', suggestValidation, searchSuggestions);
+router.get('/attributes', getAttributeDefinitions);
 router.get('/:id', getProductById);
 
 module.exports = router;
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
-const { authenticate, authorizeAdmin } = require('../middleware/auth.middleware');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { auditLog } = require('../middleware/audit.middleware');
 const {
   requestRefund,
   getMyRefundRequests,
@@ -25,12 +26,12 @@ router.post('/request', authenticate, refundRequestValidation, requestRefund);
 router.get('/my-requests', authenticate, getMyRefundRequests);
 
 // ============================================
-// ADMIN ROUTES (Admin Only)
+// ADMIN ROUTES (Staff with refund permissions)
 // ============================================
 
-router.get('/admin/all', authenticate, authorizeAdmin, getAllRefundRequests);
-router.post('/admin/:id/approve', authenticate, authorizeAdmin, approveRefund);
-router.post('/admin/:id/reject', authenticate, authorizeAdmin, rejectRefund);
-router.get('/admin/:id/check-status', authenticate, authorizeAdmin, checkRefundStatus);
+router.get('/admin/all', authenticate, authorize('refunds:read'), getAllRefundRequests);
+router.post('/admin/:id/approve', authenticate, authorize('refunds:approve'), auditLog('refund.approve', 'Refund'), approveRefund);
+router.post('/admin/:id/reject', authenticate, authorize('refunds:approve'), auditLog('refund.reject', 'Refund'), rejectRefund);
+router.get('/admin/:id/check-status', authenticate, authorize('refunds:read'), checkRefundStatus);
 
 module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getSitemap } = require('../controllers/seo.controller');
+
+// Public Routes (served at the site root, outside /api)
+router.get('/sitemap.xml', getSitemap);
+
+module.exports = router;
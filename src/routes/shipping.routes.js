@@ -1,17 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const { authenticate } = require('../middleware/auth.middleware');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
 const {
   calculateShippingCost,
   calculateShippingForCart,
   checkPincodeServiceability
 } = require('../controllers/shipping.controller');
 
+// Every route here calls Shiprocket
+const shippingLimiter = rateLimit('shipping');
+
 // Public pincode check
-router.get('/check-pincode/:pincode', checkPincodeServiceability);
+router.get('/check-pincode/:pincode', shippingLimiter, checkPincodeServiceability);
 
 // Protected routes (require authentication)
-router.post('/calculate', authenticate, calculateShippingCost);
-router.post('/calculate-for-cart', authenticate, calculateShippingForCart);
+router.post('/calculate', shippingLimiter, authenticate, calculateShippingCost);
+router.post('/calculate-for-cart', shippingLimiter, authenticate, calculateShippingForCart);
 
 module.exports = router;
@@ -4,6 +4,20 @@ const {
   handleShiprocketWebhook,
   handleRazorpayWebhook
 } = require('../controllers/webhook.controller');
+const { rateLimit } = require('../middleware/rateLimit.middleware');
+
+// Unauthenticated until the signature is checked, so limit per IP before
+// the body is read or anything is stored
+router.use(rateLimit('webhook'));
+
+// Keep the exact bytes received - signatures are computed over the raw body,
+// which JSON.stringify(req.body) does not reproduce.
+// Mounted before the global body parser in server.js so the body is still unread.
+router.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Webhook endpoints (no authentication - verified via signature)
 router.post('/shiprocket', handleShiprocketWebhook);
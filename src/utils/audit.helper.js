@@ -0,0 +1,136 @@
+const { prisma } = require('../config/database');
+const { ATTRIBUTE_VALUES_INCLUDE, withAttributes } = require('./productAttribute.helper');
+
+/**
+ * Audit Log
+ *
+ * Every privileged mutation is stored in audit_logs with who did it, what
+ * changed and from where. Rows are written by the auditLog() middleware
+ * (middleware/audit.middleware.js); recordAuditLog() can also be called
+ * directly for changes made outside a route.
+ *
+ * Snapshots are plain JSON (Decimals become strings) with secrets removed.
+ */
+
+const IGNORED_FIELDS = ['updatedAt'];
+const SECRET_FIELDS = ['password', 'refreshTokenHash', 'previousTokenHash', 'tokenHash', 'codeHash'];
+
+/**
+ * How to load the current state of each audited entity type
+ */
+const ENTITY_LOADERS = {
+  // Attribute values are snapshotted as the product's `attributes` object
+  Product: async (id) => {
+    const product = await prisma.product.findUnique({
+      where: { id },
+      include: { attributeValues: ATTRIBUTE_VALUES_INCLUDE }
+    });
+    return product && withAttributes(product);
+  },
+  ProductVariant: (id) => prisma.productVariant.findUnique({ where: { id } }),
+  Category: (id) => prisma.category.findUnique({ where: { id } }),
+  AttributeDefinition: (id) => prisma.attributeDefinition.findUnique({ where: { id } }),
+  Order: (id) => prisma.order.findUnique({ where: { id } }),
+  ShippingDetails: (orderId) => prisma.shippingDetails.findUnique({ where: { orderId } }),
+  Refund: (id) => prisma.refund.findUnique({ where: { id } }),
+  Coupon: (id) => prisma.coupon.findUnique({ where: { id } }),
+  WebhookEvent: (id) => prisma.webhookEvent.findUnique({
+    where: { id },
+    select: { id: true, provider: true, eventId: true, eventType: true, status: true, attempts: true, error: true, processedAt: true }
+  }),
+  User: (id) => prisma.user.findUnique({
+    where: { id },
+    select: { id: true, name: true, email: true, phone: true, role: true }
+  })
+};
+
+/**
+ * JSON-safe copy without secrets
+ */
+const toSnapshot = (record) => {
+  if (record === null || record === undefined) return null;
+
+  const snapshot = JSON.parse(JSON.stringify(record));
+
+  if (snapshot && typeof snapshot === 'object' && !Array.isArray(snapshot)) {
+    for (const field of SECRET_FIELDS) {
+      delete snapshot[field];
+    }
+  }
+
+  return snapshot;
+};
+
+/**
+ * Fields whose value differs between two snapshots
+ *
+ * @returns {Object|null} { field: { from, to } }, null if nothing changed
+ */
+const diffSnapshots = (before, after) => {
+  if (!before || !after) return null;
+
+  const changes = {};
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changes[field] = { from: before[field] ?? null, to: after[field] ?? null };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Load an entity snapshot (null for unknown types or missing rows)
+ */
+const loadEntitySnapshot = async (entityType, entityId) => {
+  const loader = ENTITY_LOADERS[entityType];
+  if (!loader || !entityId) return null;
+  return toSnapshot(await loader(entityId));
+};
+
+/**
+ * Write one audit log row
+ *
+ * @param {Object} entry - { actor, action, entityType, entityId, before, after, metadata, ipAddress, userAgent }
+ */
+const recordAuditLog = async ({
+  actor,
+  action,
+  entityType,
+  entityId = null,
+  before = null,
+  after = null,
+  metadata = null,
+  ipAddress = null,
+  userAgent = null
+}) => {
+  const beforeSnapshot = toSnapshot(before);
+  const afterSnapshot = toSnapshot(after);
+
+  return prisma.auditLog.create({
+    data: {
+      actorId: actor?.id || null,
+      actorEmail: actor?.email || null,
+      actorRole: actor?.role || null,
+      action,
+      entityType,
+      entityId,
+      before: beforeSnapshot ?? undefined,
+      after: afterSnapshot ?? undefined,
+      changes: diffSnapshots(beforeSnapshot, afterSnapshot) ?? undefined,
+      metadata: toSnapshot(metadata) ?? undefined,
+      ipAddress,
+      userAgent
+    }
+  });
+};
+
+module.exports = {
+  loadEntitySnapshot,
+  diffSnapshots,
+  recordAuditLog
+};
@@ -0,0 +1,113 @@
+const { prisma } = require('../config/database');
+
+/**
+ * Category Tree
+ *
+ * Categories nest through parentId (Herbs > Powders > Single-herb).
+ * Lookups up and down the tree use recursive queries; moves are checked so
+ * a category can never end up under itself or one of its subcategories.
+ */
+
+/**
+ * The category and every category below it
+ *
+ * @param {string} categoryId
+ * @param {Object} [client] - Prisma client or transaction client
+ * @returns {Promise<string[]>} IDs (the category itself first; empty if it doesn't exist)
+ */
+const getDescendantIds = async (categoryId, client = prisma) => {
+  const rows = await client.$queryRaw`
+    WITH RECURSIVE tree AS (
+      SELECT id, 0 AS depth FROM categories WHERE id = ${categoryId}
+      UNION ALL
+      SELECT c.id, tree.depth + 1 FROM categories c JOIN tree ON c.parent_id = tree.id
+    )
+    SELECT id FROM tree ORDER BY depth
+  `;
+
+  return rows.map(row => row.id);
+};
+
+/**
+ * Breadcrumbs: the category's ancestors and the category, root first
+ *
+ * @returns {Promise<Array>} [{ id, name, slug }]
+ */
+const getBreadcrumbs = async (categoryId) => {
+  const rows = await prisma.$queryRaw`
+    WITH RECURSIVE trail AS (
+      SELECT id, name, slug, parent_id, 0 AS depth FROM categories WHERE id = ${categoryId}
+      UNION ALL
+      SELECT c.id, c.name, c.slug, c.parent_id, trail.depth + 1 FROM categories c JOIN trail ON c.id = trail.parent_id
+    )
+    SELECT id, name, slug FROM trail ORDER BY depth DESC
+  `;
+
+  return rows.map(row => ({ id: row.id, name: row.name, slug: row.slug }));
+};
+
+/**
+ * Check a new parent for a category
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string|null} categoryId - Category being moved (null when creating)
+ * @param {string|null} parentId - Proposed parent (null = top level)
+ * @returns {Promise<Object|null>} { status, message } when not allowed, else null
+ */
+const validateParent = async (client, categoryId, parentId) => {
+  if (!parentId) return null;
+
+  const parent = await client.category.findUnique({
+    where: { id: parentId },
+    select: { id: true }
+  });
+
+  if (!parent) {
+    return { status: 404, message: 'Parent category not found' };
+  }
+
+  if (categoryId) {
+    const descendantIds = await getDescendantIds(categoryId, client);
+
+    if (descendantIds.includes(parentId)) {
+      return { status: 400, message: 'A category cannot be moved under itself or one of its subcategories' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Nest a flat category list
+ *
+ * @param {Array} categories - Each with { id, parentId, ... }
+ * @returns {Array} Top-level categories, each with `children` (sorted by name)
+ */
+const buildCategoryTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category, children: [] }]));
+  const roots = [];
+
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  }
+
+  const sortByName = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(node => sortByName(node.children));
+    return list;
+  };
+
+  return sortByName(roots);
+};
+
+module.exports = {
+  getDescendantIds,
+  getBreadcrumbs,
+  validateParent,
+  buildCategoryTree
+};
@@ -0,0 +1,52 @@
+/**
+ * Cash on Delivery Rules
+ *
+ * - COD can be switched off with COD_ENABLED=false
+ * - Orders above COD_MAX_ORDER_VALUE (before the COD fee) must be prepaid
+ * - COD_FEE is added on top of the order total for COD orders
+ * - The delivery pincode must have a courier that collects cash
+ *   (checked at checkout via Shiprocket serviceability with cod=1)
+ */
+
+const PAYMENT_METHODS = ['PREPAID', 'COD'];
+
+const isCodEnabled = () => process.env.COD_ENABLED !== 'false';
+
+const getCodFee = () => {
+  const fee = parseFloat(process.env.COD_FEE);
+  return Number.isNaN(fee) ? 0 : fee;
+};
+
+const getCodMaxOrderValue = () => {
+  const maxValue = parseFloat(process.env.COD_MAX_ORDER_VALUE);
+  return Number.isNaN(maxValue) ? 5000 : maxValue;
+};
+
+/**
+ * Check whether an order value can be paid by Cash on Delivery
+ *
+ * @param {number} orderValue - Order total before the COD fee
+ * @returns {{ eligible: boolean, message?: string }}
+ */
+const checkCodEligibility = (orderValue) => {
+  if (!isCodEnabled()) {
+    return { eligible: false, message: 'Cash on Delivery is currently unavailable' };
+  }
+
+  const maxOrderValue = getCodMaxOrderValue();
+  if (orderValue > maxOrderValue) {
+    return {
+      eligible: false,
+      message: `Cash on Delivery is available only for orders up to ₹${maxOrderValue}`
+    };
+  }
+
+  return { eligible: true };
+};
+
+module.exports = {
+  PAYMENT_METHODS,
+  isCodEnabled,
+  getCodFee,
+  checkCodEligibility
+};
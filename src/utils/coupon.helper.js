@@ -0,0 +1,159 @@
+const { prisma } = require('../config/database');
+const { getSellableUnit } = require('./variant.helper');
+
+/**
+ * Coupon Engine
+ *
+ * Rules checked, in order:
+ * - Coupon is active and inside its validity window
+ * - Global usage limit and per-user limit (cancelled orders don't count;
+ *   re-checked under a coupon row lock when the order is created)
+ * - Minimum cart value (on the full cart subtotal)
+ * - Category / product scoping (discount applies only to matching items)
+ *
+ * Discount:
+ * - PERCENTAGE: eligible subtotal x value%, capped at maxDiscount
+ * - FLAT: value, never more than the eligible subtotal
+ */
+
+const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Count redemptions that still hold a coupon use (order not cancelled)
+ */
+const countRedemptions = (where, client = prisma) => client.couponRedemption.count({
+  where: {
+    ...where,
+    order: { status: { not: 'CANCELLED' } }
+  }
+});
+
+/**
+ * Check the global and per-user usage limits
+ *
+ * @returns {Promise<string|null>} Reason the coupon can't be used, or null
+ */
+const checkUsageLimits = async (client, coupon, userId) => {
+  if (coupon.usageLimit !== null && coupon.usageLimit !== undefined) {
+    const totalUses = await countRedemptions({ couponId: coupon.id }, client);
+    if (totalUses >= coupon.usageLimit) {
+      return 'This coupon has reached its usage limit';
+    }
+  }
+
+  if (coupon.perUserLimit !== null && coupon.perUserLimit !== undefined) {
+    const userUses = await countRedemptions({ couponId: coupon.id, userId }, client);
+    if (userUses >= coupon.perUserLimit) {
+      return 'You have already used this coupon';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Re-check the usage limits inside the checkout transaction, holding a
+ * lock on the coupon row until it commits. Concurrent checkouts with the
+ * same coupon queue here, so each one counts the redemptions committed
+ * before it and the limits can't be overshot.
+ *
+ * @param {Object} tx - Transaction client
+ * @returns {Promise<string|null>} Reason the coupon can't be used, or null
+ */
+const lockCouponUsage = async (tx, coupon, userId) => {
+  await tx.$queryRaw`SELECT id FROM coupons WHERE id = ${coupon.id} FOR UPDATE`;
+  return checkUsageLimits(tx, coupon, userId);
+};
+
+const isItemInScope = (coupon, item) => {
+  const hasCategoryScope = coupon.categoryIds && coupon.categoryIds.length > 0;
+  const hasProductScope = coupon.productIds && coupon.productIds.length > 0;
+
+  if (!hasCategoryScope && !hasProductScope) {
+    return true;
+  }
+
+  return (hasProductScope && coupon.productIds.includes(item.product.id))
+    || (hasCategoryScope && coupon.categoryIds.includes(item.product.categoryId));
+};
+
+/**
+ * Evaluate a coupon against cart items
+ *
+ * @param {Object} coupon - Coupon record
+ * @param {string} userId - Shopper applying the coupon
+ * @param {Array<Object>} items - Cart items with { quantity, product, variant }
+ * @returns {Promise<Object>} { valid, message, discount, subtotal, eligibleSubtotal, eligibleItemIds }
+ */
+const evaluateCoupon = async (coupon, userId, items) => {
+  const now = new Date();
+
+  const subtotal = items.reduce(
+    (sum, item) => sum + parseFloat(getSellableUnit(item.product, item.variant).price) * item.quantity,
+    0
+  );
+
+  const invalid = (message) => ({
+    valid: false,
+    message,
+    discount: 0,
+    subtotal: roundAmount(subtotal),
+    eligibleSubtotal: 0,
+    eligibleItemIds: []
+  });
+
+  if (!coupon || !coupon.isActive) {
+    return invalid('Invalid or inactive coupon code');
+  }
+
+  if (coupon.validFrom && now < coupon.validFrom) {
+    return invalid('This coupon is not active yet');
+  }
+
+  if (coupon.validUntil && now > coupon.validUntil) {
+    return invalid('This coupon has expired');
+  }
+
+  const limitError = await checkUsageLimits(prisma, coupon, userId);
+  if (limitError) {
+    return invalid(limitError);
+  }
+
+  if (coupon.minCartValue && subtotal < parseFloat(coupon.minCartValue)) {
+    return invalid(`Add items worth ₹${roundAmount(parseFloat(coupon.minCartValue) - subtotal)} more to use this coupon`);
+  }
+
+  const eligibleItems = items.filter(item => isItemInScope(coupon, item));
+  const eligibleSubtotal = eligibleItems
+    .reduce(
+      (sum, item) => sum + parseFloat(getSellableUnit(item.product, item.variant).price) * item.quantity,
+      0
+    );
+
+  if (eligibleSubtotal <= 0) {
+    return invalid('This coupon does not apply to any item in your cart');
+  }
+
+  let discount;
+  if (coupon.discountType === 'PERCENTAGE') {
+    discount = Math.min(eligibleSubtotal * parseFloat(coupon.discountValue) / 100, eligibleSubtotal);
+    if (coupon.maxDiscount) {
+      discount = Math.min(discount, parseFloat(coupon.maxDiscount));
+    }
+  } else {
+    discount = Math.min(parseFloat(coupon.discountValue), eligibleSubtotal);
+  }
+
+  return {
+    valid: true,
+    message: 'Coupon applied',
+    discount: roundAmount(discount),
+    subtotal: roundAmount(subtotal),
+    eligibleSubtotal: roundAmount(eligibleSubtotal),
+    eligibleItemIds: eligibleItems.map(item => item.id)
+  };
+};
+
+module.exports = { normalizeCouponCode, evaluateCoupon, lockCouponUsage };
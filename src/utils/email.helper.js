@@ -0,0 +1,82 @@
+const { sendMail } = require('../config/mailer');
+
+/**
+ * Transactional Emails
+ *
+ * Links point at the storefront (FRONTEND_URL), which calls the API.
+ */
+
+const getFrontendUrl = () => (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+/**
+ * Email verification link (sent on registration and on resend)
+ *
+ * @param {Object} user - { name, email }
+ * @param {string} token - Signed verification token
+ * @param {number} expiresInHours - Link lifetime shown in the email
+ */
+const sendVerificationEmail = async (user, token, expiresInHours) => {
+  const verifyUrl = `${getFrontendUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm your email address so we can send you order updates:',
+      verifyUrl,
+      '',
+      `The link expires in ${expiresInHours} hours.`
+    ].join('\n')
+  });
+};
+
+/**
+ * Password reset link
+ *
+ * @param {Object} user - { name, email }
+ * @param {string} token - Raw reset token (only its hash is stored)
+ * @param {number} expiresInMinutes - Link lifetime shown in the email
+ */
+const sendPasswordResetEmail = async (user, token, expiresInMinutes) => {
+  const resetUrl = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'We received a request to reset your password. Open the link below to choose a new one:',
+      resetUrl,
+      '',
+      `The link expires in ${expiresInMinutes} minutes and can be used once.`,
+      'If you did not ask for this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Notice sent after the password was changed or reset
+ *
+ * @param {Object} user - { name, email }
+ */
+const sendPasswordChangedEmail = async (user) => {
+  await sendMail({
+    to: user.email,
+    subject: 'Your password was changed',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'The password for your account was just changed and other devices were signed out.',
+      'If this was not you, reset your password right away and contact support.'
+    ].join('\n')
+  });
+};
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+};
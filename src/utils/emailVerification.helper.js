@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+
+/**
+ * Email Verification
+ *
+ * - New accounts start unverified; a signed link is emailed on registration
+ * - The link token is a JWT { userId, email, purpose } signed with
+ *   EMAIL_VERIFICATION_SECRET (falls back to JWT_SECRET) and valid for
+ *   EMAIL_VERIFICATION_EXPIRES_HOURS (default 24). Binding the email means
+ *   a link stops working if the address changes.
+ * - With EMAIL_VERIFICATION_REQUIRED_FOR_CHECKOUT (default true) unverified
+ *   users can browse and fill their cart but can't place orders (accounts
+ *   created by phone OTP have no email and are not affected)
+ */
+
+const TOKEN_PURPOSE = 'email-verification';
+
+const getSecret = () => process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_SECRET;
+const getExpiryHours = () => parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS) || 24;
+
+const isVerificationRequiredForCheckout = () => process.env.EMAIL_VERIFICATION_REQUIRED_FOR_CHECKOUT !== 'false';
+
+/**
+ * Create the token for a verification link
+ *
+ * @param {Object} user - { id, email }
+ * @returns {string} Signed token
+ */
+const createVerificationToken = (user) => jwt.sign(
+  { userId: user.id, email: user.email, purpose: TOKEN_PURPOSE },
+  getSecret(),
+  { expiresIn: `${getExpiryHours()}h` }
+);
+
+/**
+ * Mark the user in a verification token as verified
+ *
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<Object>} { user, alreadyVerified } or { error }
+ */
+const verifyEmailToken = async (token) => {
+  let decoded;
+
+  try {
+    decoded = jwt.verify(token, getSecret());
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError'
+        ? 'Verification link has expired. Please request a new one.'
+        : 'Invalid verification link'
+    };
+  }
+
+  if (decoded.purpose !== TOKEN_PURPOSE) {
+    return { error: 'Invalid verification link' };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: decoded.userId },
+    select: { id: true, email: true, emailVerified: true }
+  });
+
+  if (!user || user.email !== decoded.email) {
+    return { error: 'Invalid verification link' };
+  }
+
+  if (user.emailVerified) {
+    return { user, alreadyVerified: true };
+  }
+
+  const verifiedUser = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    },
+    select: { id: true, email: true, emailVerified: true, emailVerifiedAt: true }
+  });
+
+  return { user: verifiedUser, alreadyVerified: false };
+};
+
+module.exports = {
+  getExpiryHours,
+  isVerificationRequiredForCheckout,
+  createVerificationToken,
+  verifyEmailToken
+};
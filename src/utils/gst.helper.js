@@ -0,0 +1,122 @@
+/**
+ * GST Helpers
+ *
+ * Catalog prices are GST-inclusive (MRP convention), so tax is backed out
+ * of each line rather than added on top:
+ *   taxable value = line amount / (1 + rate / 100)
+ *
+ * Supply type is decided from the seller state and the delivery state:
+ * - Same state  -> CGST + SGST (rate split in half)
+ * - Other state -> IGST (full rate)
+ */
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeState = (state) => String(state || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const getDefaultGstRate = () => {
+  const rate = parseFloat(process.env.GST_DEFAULT_RATE);
+  return Number.isNaN(rate) ? 12 : rate;
+};
+
+/**
+ * Get the GST rate for a product, falling back to GST_DEFAULT_RATE
+ */
+const getProductGstRate = (product) => (
+  product.gstRate !== null && product.gstRate !== undefined
+    ? parseFloat(product.gstRate)
+    : getDefaultGstRate()
+);
+
+/**
+ * Check whether a delivery state is in the seller's state (SELLER_STATE)
+ */
+const isIntraStateSupply = (deliveryState) => (
+  normalizeState(deliveryState) === normalizeState(process.env.SELLER_STATE)
+);
+
+/**
+ * Split an order-level discount across lines, proportional to line amount
+ *
+ * @param {Array<{ amount: number, eligible: boolean }>} lines
+ * @param {number} discount - Total discount to allocate
+ * @returns {Array<number>} Discount per line (same order as `lines`)
+ */
+const allocateDiscount = (lines, discount) => {
+  const eligibleTotal = lines.reduce((sum, line) => sum + (line.eligible ? line.amount : 0), 0);
+  const shares = lines.map(() => 0);
+
+  if (discount <= 0 || eligibleTotal <= 0) {
+    return shares;
+  }
+
+  let allocated = 0;
+  let lastEligibleIndex = -1;
+
+  lines.forEach((line, index) => {
+    if (!line.eligible) return;
+    shares[index] = roundAmount(discount * line.amount / eligibleTotal);
+    allocated += shares[index];
+    lastEligibleIndex = index;
+  });
+
+  // Put the rounding remainder on the last eligible line
+  shares[lastEligibleIndex] = roundAmount(shares[lastEligibleIndex] + discount - allocated);
+
+  return shares;
+};
+
+/**
+ * Back out GST from a tax-inclusive line amount
+ *
+ * @param {number} amount - Line amount after discount (GST inclusive)
+ * @param {number} gstRate - GST rate in percent
+ * @param {boolean} intraState - true for CGST + SGST, false for IGST
+ * @returns {{ taxableValue, cgstAmount, sgstAmount, igstAmount, taxAmount }}
+ */
+const calculateLineTax = (amount, gstRate, intraState) => {
+  const taxableValue = roundAmount(amount / (1 + gstRate / 100));
+  const taxAmount = roundAmount(amount - taxableValue);
+
+  if (intraState) {
+    const cgstAmount = roundAmount(taxAmount / 2);
+    return {
+      taxableValue,
+      cgstAmount,
+      sgstAmount: roundAmount(taxAmount - cgstAmount),
+      igstAmount: 0,
+      taxAmount
+    };
+  }
+
+  return {
+    taxableValue,
+    cgstAmount: 0,
+    sgstAmount: 0,
+    igstAmount: taxAmount,
+    taxAmount
+  };
+};
+
+// India Standard Time (UTC+5:30, no daylight saving)
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Get the Indian financial year (April - March) for a date, e.g. "2024-25"
+ *
+ * Uses the date in IST whatever the server's time zone, so an invoice at
+ * 00:30 IST on 1 April falls in the new year.
+ */
+const getFinancialYear = (date = new Date()) => {
+  const istDate = new Date(date.getTime() + IST_OFFSET_MS);
+  const startYear = istDate.getUTCMonth() >= 3 ? istDate.getUTCFullYear() : istDate.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+module.exports = {
+  getProductGstRate,
+  isIntraStateSupply,
+  allocateDiscount,
+  calculateLineTax,
+  getFinancialYear
+};
@@ -0,0 +1,240 @@
+const { prisma } = require('../config/database');
+const { getSellableUnit } = require('./variant.helper');
+
+/**
+ * Guest Carts
+ *
+ * - Shoppers who aren't logged in get a server-side cart with no userId.
+ *   Its id is kept in the signed, HttpOnly guestCartId cookie (signed with
+ *   COOKIE_SECRET), which lasts GUEST_CART_EXPIRES_DAYS (default 30)
+ * - On login / register the guest cart is merged into the user's cart:
+ *   quantities of the same product and pack size are added together and
+ *   capped at the stock on hand; anything that had to change is reported
+ *   back as an adjustment. The guest cart is then deleted
+ * - Guest carts untouched for GUEST_CART_EXPIRES_DAYS are removed by the
+ *   guest cart cleanup job
+ */
+
+const GUEST_CART_COOKIE = 'guestCartId';
+
+const getGuestCartDays = () => parseInt(process.env.GUEST_CART_EXPIRES_DAYS) || 30;
+
+/**
+ * Guest cart id from the signed cookie (null if missing or tampered with)
+ */
+const getGuestCartId = (req) => req.signedCookies?.[GUEST_CART_COOKIE] || null;
+
+const setGuestCartCookie = (res, cartId) => {
+  res.cookie(GUEST_CART_COOKIE, cartId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    signed: true,
+    maxAge: getGuestCartDays() * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearGuestCartCookie = (res) => {
+  res.clearCookie(GUEST_CART_COOKIE);
+};
+
+/**
+ * Where clause for the cart behind this request: the user's cart when
+ * logged in, otherwise the guest cart from the cookie
+ *
+ * @returns {Object|null} null for a guest without a cart yet
+ */
+const getCartWhere = (req) => {
+  if (req.user) return { userId: req.user.id };
+
+  const guestCartId = getGuestCartId(req);
+  return guestCartId ? { id: guestCartId, userId: null } : null;
+};
+
+/**
+ * Find the cart behind this request
+ *
+ * @param {Object} req - Express request (req.user is optional)
+ * @param {Object} [include] - Prisma include
+ * @returns {Promise<Object|null>}
+ */
+const findCart = (req, include) => {
+  const where = getCartWhere(req);
+  if (!where) return Promise.resolve(null);
+
+  return prisma.cart.findFirst({
+    where,
+    ...(include && { include })
+  });
+};
+
+/**
+ * Find or create the cart behind this request. New guest carts set the
+ * guestCartId cookie; an existing one has its cookie renewed.
+ */
+const findOrCreateCart = async (req, res, include) => {
+  const cart = await findCart(req, include);
+
+  if (cart) {
+    if (!req.user) setGuestCartCookie(res, cart.id);
+    return cart;
+  }
+
+  const created = await prisma.cart.create({
+    data: { userId: req.user ? req.user.id : null },
+    ...(include && { include })
+  });
+
+  if (!req.user) setGuestCartCookie(res, created.id);
+
+  return created;
+};
+
+/**
+ * Does this cart belong to the request (user or guest cookie)?
+ */
+const isCartOwner = (req, cart) => {
+  if (req.user) return cart.userId === req.user.id;
+  return !cart.userId && cart.id === getGuestCartId(req);
+};
+
+/**
+ * Move the guest cart from the cookie into the user's cart
+ *
+ * Items the user already has are combined (quantities added). Each line is
+ * capped at current stock without lowering what the user already had;
+ * inactive products and pack sizes are dropped.
+ *
+ * @param {string} userId
+ * @param {Object} req - Express request (reads the guestCartId cookie)
+ * @param {Object} res - Express response (clears the cookie)
+ * @returns {Promise<Object|null>} { mergedItems, adjustments } or null when there was no guest cart
+ */
+const mergeGuestCart = async (userId, req, res) => {
+  const guestCartId = getGuestCartId(req);
+  if (!guestCartId) return null;
+
+  clearGuestCartCookie(res);
+
+  const guestCart = await prisma.cart.findFirst({
+    where: { id: guestCartId, userId: null },
+    include: {
+      cartItems: {
+        include: {
+          product: true,
+          variant: true
+        }
+      }
+    }
+  });
+
+  if (!guestCart) return null;
+
+  const adjustments = [];
+  let mergedItems = 0;
+
+  await prisma.$transaction(async (tx) => {
+    let cart = await tx.cart.findUnique({
+      where: { userId }
+    });
+
+    if (!cart) {
+      cart = await tx.cart.create({
+        data: { userId }
+      });
+    }
+
+    for (const item of guestCart.cartItems) {
+      const unit = getSellableUnit(item.product, item.variant);
+
+      if (!unit.isActive) {
+        adjustments.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          name: unit.name,
+          requested: item.quantity,
+          quantity: 0,
+          reason: 'UNAVAILABLE'
+        });
+        continue;
+      }
+
+      const existingItem = await tx.cartItem.findFirst({
+        where: {
+          cartId: cart.id,
+          productId: item.productId,
+          variantId: item.variantId
+        }
+      });
+
+      const currentQuantity = existingItem ? existingItem.quantity : 0;
+      const requested = currentQuantity + item.quantity;
+      const quantity = Math.max(Math.min(requested, unit.stockQuantity), currentQuantity);
+
+      if (quantity < requested) {
+        adjustments.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          name: unit.name,
+          requested,
+          quantity,
+          reason: unit.stockQuantity > 0 ? 'LIMITED_STOCK' : 'OUT_OF_STOCK'
+        });
+      }
+
+      if (quantity === currentQuantity) continue;
+
+      if (existingItem) {
+        await tx.cartItem.update({
+          where: { id: existingItem.id },
+          data: { quantity }
+        });
+      } else {
+        await tx.cartItem.create({
+          data: {
+            cartId: cart.id,
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity
+          }
+        });
+      }
+
+      mergedItems += 1;
+    }
+
+    await tx.cart.delete({
+      where: { id: guestCart.id }
+    });
+  });
+
+  return { mergedItems, adjustments };
+};
+
+/**
+ * Delete guest carts nobody has touched for GUEST_CART_EXPIRES_DAYS
+ *
+ * @returns {Promise<number>} Carts deleted
+ */
+const deleteExpiredGuestCarts = async () => {
+  const cutoff = new Date(Date.now() - getGuestCartDays() * 24 * 60 * 60 * 1000);
+
+  const { count } = await prisma.cart.deleteMany({
+    where: {
+      userId: null,
+      updatedAt: { lt: cutoff },
+      cartItems: { none: { updatedAt: { gte: cutoff } } }
+    }
+  });
+
+  return count;
+};
+
+module.exports = {
+  getGuestCartId,
+  findCart,
+  findOrCreateCart,
+  isCartOwner,
+  mergeGuestCart,
+  deleteExpiredGuestCarts
+};
@@ -0,0 +1,136 @@
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+
+/**
+ * Guest Orders
+ *
+ * - Guests check out without an account: the order stores their contact
+ *   details (guestName, guestEmail, guestPhone) and has no userId
+ * - The guest phone is confirmed with an OTP first; verifying the code
+ *   returns a phone token (valid 30 minutes) to send with checkout, so
+ *   shipments go out like they do for customers with a verified phone
+ * - Checkout returns an order lookup token: a JWT { orderId, email, purpose }
+ *   signed with ORDER_LOOKUP_SECRET (falls back to JWT_SECRET), valid for
+ *   ORDER_LOOKUP_TOKEN_EXPIRES_DAYS (default 90). Sent as the X-Order-Token
+ *   header (or ?token=) it opens that one order for tracking, details and
+ *   the invoice
+ * - Orders are claimed (moved to the account) once someone proves they own
+ *   the email: on email verification and on login with a verified email
+ */
+
+const TOKEN_PURPOSE = 'guest-order';
+const PHONE_TOKEN_PURPOSE = 'guest-phone';
+const GUEST_PHONE_TOKEN_MINUTES = 30;
+
+const getSecret = () => process.env.ORDER_LOOKUP_SECRET || process.env.JWT_SECRET;
+const getExpiryDays = () => parseInt(process.env.ORDER_LOOKUP_TOKEN_EXPIRES_DAYS) || 90;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Token proving the guest verified this phone
+ *
+ * @param {string} phone - E.164 phone
+ * @returns {Object} { phoneToken, expiresIn }
+ */
+const createGuestPhoneToken = (phone) => ({
+  phoneToken: jwt.sign(
+    { phone, purpose: PHONE_TOKEN_PURPOSE },
+    getSecret(),
+    { expiresIn: `${GUEST_PHONE_TOKEN_MINUTES}m` }
+  ),
+  expiresIn: GUEST_PHONE_TOKEN_MINUTES * 60
+});
+
+/**
+ * Phone from a guest phone token
+ *
+ * @returns {string|null} E.164 phone, null if the token is invalid or expired
+ */
+const verifyGuestPhoneToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSecret());
+    return decoded.purpose === PHONE_TOKEN_PURPOSE ? decoded.phone : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create the lookup token for a guest order
+ *
+ * @param {Object} order - { id, guestEmail }
+ * @returns {string} Signed token
+ */
+const createOrderLookupToken = (order) => jwt.sign(
+  { orderId: order.id, email: order.guestEmail, purpose: TOKEN_PURPOSE },
+  getSecret(),
+  { expiresIn: `${getExpiryDays()}d` }
+);
+
+/**
+ * Lookup token sent with the request, if any
+ */
+const getOrderLookupToken = (req) => req.headers['x-order-token'] || req.query.token || req.body?.orderToken || null;
+
+/**
+ * Does the token open this order?
+ *
+ * @param {string} token - Lookup token
+ * @param {Object} order - { id, guestEmail }
+ */
+const verifyOrderLookupToken = (token, order) => {
+  try {
+    const decoded = jwt.verify(token, getSecret());
+
+    return decoded.purpose === TOKEN_PURPOSE
+      && decoded.orderId === order.id
+      && normalizeEmail(decoded.email) === normalizeEmail(order.guestEmail);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Can this request see the order?
+ * The owner can; for unclaimed guest orders, so can a valid lookup token.
+ */
+const canAccessOrder = (req, order) => {
+  if (req.user && order.userId === req.user.id) return true;
+
+  const token = getOrderLookupToken(req);
+  return Boolean(!order.userId && token && verifyOrderLookupToken(token, order));
+};
+
+/**
+ * Move unclaimed guest orders placed with this email to the account
+ *
+ * @param {Object} user - { id, email } (email must be verified)
+ * @returns {Promise<number>} Orders claimed
+ */
+const claimGuestOrders = async (user) => {
+  if (!user.email) return 0;
+
+  const { count } = await prisma.order.updateMany({
+    where: {
+      userId: null,
+      guestEmail: { equals: normalizeEmail(user.email), mode: 'insensitive' }
+    },
+    data: {
+      userId: user.id,
+      claimedAt: new Date()
+    }
+  });
+
+  return count;
+};
+
+module.exports = {
+  normalizeEmail,
+  createGuestPhoneToken,
+  verifyGuestPhoneToken,
+  createOrderLookupToken,
+  getOrderLookupToken,
+  canAccessOrder,
+  claimGuestOrders
+};
@@ -0,0 +1,101 @@
+/**
+ * Move a product's units-sold counter (used for "popularity" sorting)
+ */
+const adjustSalesCount = (client, productId, quantity) => client.product.update({
+  where: { id: productId },
+  data: {
+    salesCount: {
+      increment: quantity
+    }
+  }
+});
+
+/**
+ * Put order item quantities back on the shelf
+ *
+ * Stock lives on the pack size when the item has a variant, otherwise on
+ * the product. The units no longer count as sold.
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<Object>} items - Order items with { productId, variantId, quantity }
+ */
+const restoreStock = async (client, items) => {
+  for (const item of items) {
+    if (item.variantId) {
+      await client.productVariant.update({
+        where: { id: item.variantId },
+        data: {
+          stockQuantity: {
+            increment: item.quantity
+          }
+        }
+      });
+    } else {
+      await client.product.update({
+        where: { id: item.productId },
+        data: {
+          stockQuantity: {
+            increment: item.quantity
+          }
+        }
+      });
+    }
+
+    await adjustSalesCount(client, item.productId, -item.quantity);
+  }
+};
+
+/**
+ * Take order item quantities off the shelf, only where enough stock is left
+ *
+ * Each decrement is conditional (`stockQuantity >= quantity`), so two
+ * checkouts racing for the last unit cannot both succeed. Run it inside a
+ * transaction and roll back when shortages are returned. Reserved units
+ * count as sold.
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<Object>} items - Items with { productId, variantId, quantity, name }
+ * @returns {Promise<Array<Object>>} Shortages: { productId, variantId, name, requested, available }
+ */
+const reserveStock = async (client, items) => {
+  const shortages = [];
+
+  for (const item of items) {
+    const model = item.variantId ? client.productVariant : client.product;
+    const id = item.variantId || item.productId;
+
+    const { count } = await model.updateMany({
+      where: {
+        id,
+        stockQuantity: { gte: item.quantity }
+      },
+      data: {
+        stockQuantity: {
+          decrement: item.quantity
+        }
+      }
+    });
+
+    if (count === 0) {
+      const current = await model.findUnique({
+        where: { id },
+        select: { stockQuantity: true }
+      });
+
+      shortages.push({
+        productId: item.productId,
+        variantId: item.variantId || null,
+        name: item.name,
+        requested: item.quantity,
+        available: current ? current.stockQuantity : 0
+      });
+      continue;
+    }
+
+    await adjustSalesCount(client, item.productId, item.quantity);
+  }
+
+  return shortages;
+};
+
+module.exports = { restoreStock, reserveStock };
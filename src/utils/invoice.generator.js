@@ -0,0 +1,195 @@
+const PDFDocument = require('pdfkit');
+const { prisma } = require('../config/database');
+const { getFinancialYear } = require('./gst.helper');
+
+/**
+ * GST Tax Invoice
+ *
+ * - Invoice numbers are sequential per financial year: INV/2024-25/000001
+ * - A number is assigned once, when the order is first paid (or on first
+ *   download for orders paid before invoicing existed)
+ * - Tax lines come from the OrderItem snapshot taken at checkout
+ */
+
+/**
+ * Assign the next invoice number to an order (idempotent)
+ *
+ * The order row is locked so concurrent calls cannot burn two numbers.
+ *
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} { invoiceNumber, invoiceDate }
+ */
+const assignInvoiceNumber = async (orderId) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT id FROM orders WHERE id = ${orderId} FOR UPDATE`;
+
+    const order = await tx.order.findUnique({
+      where: { id: orderId },
+      select: { invoiceNumber: true, invoiceDate: true }
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    if (order.invoiceNumber) {
+      return order;
+    }
+
+    const invoiceDate = new Date();
+    const financialYear = getFinancialYear(invoiceDate);
+
+    const sequence = await tx.invoiceSequence.upsert({
+      where: { financialYear },
+      create: { financialYear, lastNumber: 1 },
+      update: { lastNumber: { increment: 1 } }
+    });
+
+    const invoiceNumber = `INV/${financialYear}/${String(sequence.lastNumber).padStart(6, '0')}`;
+
+    return tx.order.update({
+      where: { id: orderId },
+      data: { invoiceNumber, invoiceDate },
+      select: { invoiceNumber: true, invoiceDate: true }
+    });
+  });
+};
+
+const formatAmount = (value) => parseFloat(value || 0).toFixed(2);
+
+// Printed in IST, matching the financial year in the invoice number
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  timeZone: 'Asia/Kolkata'
+});
+
+// Column layout for the items table (x offset, width)
+const COLUMNS = [
+  { key: 'index', label: '#', x: 40, width: 20 },
+  { key: 'name', label: 'Item', x: 60, width: 130 },
+  { key: 'hsn', label: 'HSN', x: 190, width: 45 },
+  { key: 'qty', label: 'Qty', x: 235, width: 25, align: 'right' },
+  { key: 'rate', label: 'Rate', x: 260, width: 45, align: 'right' },
+  { key: 'discount', label: 'Disc.', x: 305, width: 40, align: 'right' },
+  { key: 'taxable', label: 'Taxable', x: 345, width: 50, align: 'right' },
+  { key: 'gst', label: 'GST%', x: 395, width: 30, align: 'right' },
+  { key: 'cgst', label: 'CGST', x: 425, width: 40, align: 'right' },
+  { key: 'sgst', label: 'SGST', x: 465, width: 40, align: 'right' },
+  { key: 'igst', label: 'IGST', x: 505, width: 50, align: 'right' }
+];
+
+const drawRow = (doc, y, values, options = {}) => {
+  doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+  let rowHeight = 0;
+  for (const column of COLUMNS) {
+    const text = String(values[column.key] ?? '');
+    doc.text(text, column.x, y, { width: column.width, align: column.align || 'left' });
+    rowHeight = Math.max(rowHeight, doc.heightOfString(text, { width: column.width }));
+  }
+  return y + rowHeight + 6;
+};
+
+/**
+ * Render a GST tax invoice PDF into a writable stream
+ *
+ * @param {Object} order - Order with orderItems (incl. product) and user (null for guest orders)
+ * @param {Object} stream - Writable stream (e.g. Express response)
+ */
+const renderInvoicePdf = (order, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  const address = order.shippingAddressSnapshot || {};
+
+  // Seller block
+  doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.fontSize(11).text(process.env.SELLER_NAME || process.env.SHIPROCKET_COMPANY_NAME || 'Seller');
+  doc.font('Helvetica').fontSize(9);
+  if (process.env.SELLER_ADDRESS) doc.text(process.env.SELLER_ADDRESS);
+  if (process.env.SELLER_STATE) doc.text(`State: ${process.env.SELLER_STATE}`);
+  if (process.env.SELLER_GSTIN) doc.text(`GSTIN: ${process.env.SELLER_GSTIN}`);
+
+  // Invoice meta
+  doc.moveDown();
+  doc.text(`Invoice No: ${order.invoiceNumber}`);
+  doc.text(`Invoice Date: ${formatDate(order.invoiceDate)}`);
+  doc.text(`Order ID: ${order.id}`);
+  doc.text(`Place of Supply: ${address.state || '-'}`);
+  doc.text(`Payment: ${order.paymentMethod === 'COD' ? 'Cash on Delivery' : 'Prepaid'}`);
+
+  // Buyer block
+  doc.moveDown();
+  doc.font('Helvetica-Bold').text('Bill To / Ship To');
+  doc.font('Helvetica');
+  // Guest orders carry their own contact details
+  const buyer = order.user || { name: order.guestName, email: order.guestEmail, phone: order.guestPhone };
+  doc.text(buyer.name || '');
+  doc.text([address.street, address.city, address.state, address.pincode, address.country].filter(Boolean).join(', '));
+  if (buyer.email) doc.text(buyer.email);
+  if (buyer.phone) doc.text(buyer.phone);
+
+  // Items table
+  doc.moveDown();
+  let y = doc.y;
+  y = drawRow(doc, y, Object.fromEntries(COLUMNS.map(c => [c.key, c.label])), { bold: true });
+  doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+
+  order.orderItems.forEach((item, index) => {
+    const name = item.variantLabel ? `${item.product.name} - ${item.variantLabel}` : item.product.name;
+    y = drawRow(doc, y, {
+      index: index + 1,
+      name,
+      hsn: item.hsnCode || '-',
+      qty: item.quantity,
+      rate: formatAmount(item.priceAtPurchase),
+      discount: formatAmount(item.discountAmount),
+      taxable: formatAmount(item.taxableValue),
+      gst: formatAmount(item.gstRate),
+      cgst: formatAmount(item.cgstAmount),
+      sgst: formatAmount(item.sgstAmount),
+      igst: formatAmount(item.igstAmount)
+    });
+
+    if (y > 740) {
+      doc.addPage();
+      y = 40;
+    }
+  });
+
+  doc.moveTo(40, y - 3).lineTo(555, y - 3).stroke();
+
+  // Totals
+  const sum = (field) => order.orderItems.reduce((total, item) => total + parseFloat(item[field] || 0), 0);
+  const totals = [
+    ['Taxable Value', sum('taxableValue')],
+    ['CGST', sum('cgstAmount')],
+    ['SGST', sum('sgstAmount')],
+    ['IGST', sum('igstAmount')],
+    ['Shipping', parseFloat(order.shippingCost)],
+    ...(parseFloat(order.codFee) > 0 ? [['COD Fee', parseFloat(order.codFee)]] : []),
+    ['Grand Total (Rs.)', parseFloat(order.totalAmount)]
+  ];
+
+  y += 6;
+  totals.forEach(([label, value], index) => {
+    const isLast = index === totals.length - 1;
+    doc.font(isLast ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, 345, y, { width: 120 });
+    doc.text(formatAmount(value), 465, y, { width: 90, align: 'right' });
+    y += 14;
+  });
+
+  doc.font('Helvetica').fontSize(8).text(
+    'Prices are inclusive of GST. This is a computer generated invoice and does not require a signature.',
+    40,
+    y + 20,
+    { width: 515, align: 'center' }
+  );
+
+  doc.end();
+};
+
+module.exports = { assignInvoiceNumber, renderInvoicePdf };
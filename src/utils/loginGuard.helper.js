@@ -0,0 +1,86 @@
+const { getRateLimitStore } = require('./rateLimit.store');
+
+/**
+ * Login Brute-Force Protection
+ *
+ * Failed logins are counted per account (email) and per IP within
+ * LOGIN_FAILURE_WINDOW_MINUTES (default 15):
+ * - LOGIN_MAX_FAILED_ATTEMPTS (default 5) failures lock the account
+ * - LOGIN_MAX_FAILED_ATTEMPTS_PER_IP (default 20) failures lock the IP
+ * A lock lasts LOGIN_LOCKOUT_MINUTES (default 15); while locked, login is
+ * refused before the password is checked. A successful login clears the
+ * account's failure count.
+ *
+ * Unknown emails are counted too, so lockouts don't reveal which accounts exist.
+ */
+
+const getFailureWindowMs = () => (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000;
+const getLockoutMs = () => (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const getMaxAccountFailures = () => parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const getMaxIpFailures = () => parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 20;
+
+const accountKey = (email) => `login:account:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login:ip:${ip}`;
+
+const secondsUntil = (resetAt) => Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+
+/**
+ * Is this account or IP locked out?
+ *
+ * @returns {Promise<Object>} { locked: false } or { locked: true, retryAfter }
+ */
+const checkLoginLock = async (email, ip) => {
+  const store = getRateLimitStore();
+
+  const [accountLock, ipLock] = await Promise.all([
+    store.get(`lock:${accountKey(email)}`),
+    store.get(`lock:${ipKey(ip)}`)
+  ]);
+
+  const lock = [accountLock, ipLock]
+    .filter(Boolean)
+    .sort((a, b) => b.resetAt - a.resetAt)[0];
+
+  return lock
+    ? { locked: true, retryAfter: secondsUntil(lock.resetAt) }
+    : { locked: false };
+};
+
+/**
+ * Count a failed login, locking the account / IP when a limit is reached
+ *
+ * @returns {Promise<Object>} Same shape as checkLoginLock
+ */
+const recordFailedLogin = async (email, ip) => {
+  const store = getRateLimitStore();
+
+  const limits = [
+    { key: accountKey(email), max: getMaxAccountFailures() },
+    { key: ipKey(ip), max: getMaxIpFailures() }
+  ];
+
+  for (const { key, max } of limits) {
+    const { count } = await store.hit(key, getFailureWindowMs());
+
+    if (count >= max) {
+      await store.hit(`lock:${key}`, getLockoutMs());
+      await store.reset(key);
+      console.warn(`Login locked for ${key} after ${count} failed attempts`);
+    }
+  }
+
+  return checkLoginLock(email, ip);
+};
+
+/**
+ * Clear the account's failure count after a successful login
+ */
+const recordSuccessfulLogin = async (email) => {
+  await getRateLimitStore().reset(accountKey(email));
+};
+
+module.exports = {
+  checkLoginLock,
+  recordFailedLogin,
+  recordSuccessfulLogin
+};
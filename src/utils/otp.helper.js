@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+const { sendSms } = require('../config/sms');
+
+/**
+ * Phone OTP
+ *
+ * - Codes are OTP_LENGTH digits (default 6) and only their HMAC is stored
+ * - A code expires after OTP_EXPIRES_MINUTES (default 5) and allows
+ *   OTP_MAX_ATTEMPTS wrong guesses (default 5) before a new one is needed
+ * - A new code can be requested once every OTP_RESEND_INTERVAL_SECONDS
+ *   (default 60) and at most OTP_MAX_PER_HOUR times (default 5) per number
+ * - Requesting a new code retires the previous one
+ * - Codes are bound to a purpose (LOGIN / VERIFY_PHONE / GUEST_CHECKOUT)
+ *   and, for phone verification, to the account that asked
+ */
+
+const getOtpLength = () => parseInt(process.env.OTP_LENGTH) || 6;
+const getExpiryMinutes = () => parseInt(process.env.OTP_EXPIRES_MINUTES) || 5;
+const getMaxAttempts = () => parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const getResendIntervalSeconds = () => parseInt(process.env.OTP_RESEND_INTERVAL_SECONDS) || 60;
+const getMaxPerHour = () => parseInt(process.env.OTP_MAX_PER_HOUR) || 5;
+
+const getSecret = () => process.env.OTP_SECRET || process.env.JWT_SECRET;
+
+const hashCode = (phone, purpose, code) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${phone}:${purpose}:${code}`)
+  .digest('hex');
+
+const generateCode = () => crypto
+  .randomInt(0, Math.pow(10, getOtpLength()))
+  .toString()
+  .padStart(getOtpLength(), '0');
+
+const OTP_MESSAGES = {
+  LOGIN: (code, minutes) => `${code} is your login code. It expires in ${minutes} minutes. Do not share it with anyone.`,
+  VERIFY_PHONE: (code, minutes) => `${code} is your phone verification code. It expires in ${minutes} minutes. Do not share it with anyone.`,
+  GUEST_CHECKOUT: (code, minutes) => `${code} is your checkout verification code. It expires in ${minutes} minutes. Do not share it with anyone.`
+};
+
+/**
+ * Generate and text a new code
+ *
+ * @param {Object} params - { phone (E.164), purpose, userId?, requestedIp? }
+ * @returns {Promise<Object>} { expiresIn, resendIn } or { error, status, retryAfter }
+ */
+const requestOtp = async ({ phone, purpose, userId = null, requestedIp = null }) => {
+  const now = Date.now();
+
+  const recentOtps = await prisma.phoneOtp.findMany({
+    where: {
+      phone,
+      purpose,
+      createdAt: { gt: new Date(now - 60 * 60 * 1000) }
+    },
+    select: { createdAt: true },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (recentOtps.length > 0) {
+    const waitSeconds = Math.ceil(
+      (recentOtps[0].createdAt.getTime() + getResendIntervalSeconds() * 1000 - now) / 1000
+    );
+
+    if (waitSeconds > 0) {
+      return {
+        error: `Please wait ${waitSeconds} seconds before requesting a new code`,
+        status: 429,
+        retryAfter: waitSeconds
+      };
+    }
+  }
+
+  if (recentOtps.length >= getMaxPerHour()) {
+    const oldest = recentOtps[recentOtps.length - 1].createdAt.getTime();
+    return {
+      error: 'Too many codes requested for this number. Please try again later.',
+      status: 429,
+      retryAfter: Math.ceil((oldest + 60 * 60 * 1000 - now) / 1000)
+    };
+  }
+
+  const code = generateCode();
+
+  await prisma.$transaction([
+    prisma.phoneOtp.updateMany({
+      where: { phone, purpose, consumedAt: null },
+      data: { consumedAt: new Date() }
+    }),
+    prisma.phoneOtp.create({
+      data: {
+        phone,
+        purpose,
+        userId,
+        codeHash: hashCode(phone, purpose, code),
+        expiresAt: new Date(now + getExpiryMinutes() * 60 * 1000),
+        requestedIp
+      }
+    })
+  ]);
+
+  await sendSms(phone, OTP_MESSAGES[purpose](code, getExpiryMinutes()));
+
+  return {
+    expiresIn: getExpiryMinutes() * 60,
+    resendIn: getResendIntervalSeconds()
+  };
+};
+
+/**
+ * Check a code and consume it on success
+ *
+ * @param {Object} params - { phone (E.164), purpose, code, userId? }
+ * @returns {Promise<Object>} { verified: true } or { error, status, attemptsRemaining? }
+ */
+const verifyOtp = async ({ phone, purpose, code, userId = null }) => {
+  const otp = await prisma.phoneOtp.findFirst({
+    where: {
+      phone,
+      purpose,
+      consumedAt: null,
+      ...(userId && { userId })
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!otp || otp.expiresAt < new Date()) {
+    return { error: 'Code is invalid or has expired. Please request a new one.', status: 400 };
+  }
+
+  // Count the attempt first (conditional, so parallel guesses can't exceed the limit)
+  const { count } = await prisma.phoneOtp.updateMany({
+    where: {
+      id: otp.id,
+      consumedAt: null,
+      attempts: { lt: getMaxAttempts() }
+    },
+    data: { attempts: { increment: 1 } }
+  });
+
+  if (count === 0) {
+    return { error: 'Too many incorrect attempts. Please request a new code.', status: 429 };
+  }
+
+  const expected = Buffer.from(otp.codeHash, 'utf8');
+  const received = Buffer.from(hashCode(phone, purpose, String(code)), 'utf8');
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    const attemptsRemaining = Math.max(getMaxAttempts() - (otp.attempts + 1), 0);
+    return {
+      error: attemptsRemaining > 0
+        ? 'Incorrect code'
+        : 'Too many incorrect attempts. Please request a new code.',
+      status: attemptsRemaining > 0 ? 400 : 429,
+      attemptsRemaining
+    };
+  }
+
+  const consumed = await prisma.phoneOtp.updateMany({
+    where: { id: otp.id, consumedAt: null },
+    data: { consumedAt: new Date() }
+  });
+
+  if (consumed.count === 0) {
+    return { error: 'Code is invalid or has expired. Please request a new one.', status: 400 };
+  }
+
+  return { verified: true };
+};
+
+module.exports = {
+  requestOtp,
+  verifyOtp
+};
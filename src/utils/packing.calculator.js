@@ -0,0 +1,117 @@
+/**
+ * Packing Calculator
+ *
+ * Works out the parcel Shiprocket will bill for a set of cart / order items:
+ * - Dead weight: sum of unit weights (+ packaging)
+ * - Box: roughly a cube holding the total volume, never smaller than the
+ *   largest unit on any side
+ * - Volumetric weight: L x B x H / divisor (Shiprocket uses 5000)
+ * - Chargeable weight: whichever of the two is higher
+ *
+ * Weight and dimensions are read from the variant first, then the product,
+ * then fall back to defaults for catalog entries not yet measured.
+ */
+
+const DEFAULT_UNIT_WEIGHT_KG = 0.5;
+const DEFAULT_UNIT_DIMENSIONS_CM = { length: 10, breadth: 10, height: 10 };
+
+const getVolumetricDivisor = () => parseFloat(process.env.SHIPPING_VOLUMETRIC_DIVISOR) || 5000;
+const getPackagingWeightKg = () => parseFloat(process.env.SHIPPING_PACKAGING_WEIGHT_KG) || 0;
+
+// Zero / missing values count as not measured
+const pickMeasurement = (variant, product, field, fallback) => {
+  if (variant && parseFloat(variant[field]) > 0) {
+    return parseFloat(variant[field]);
+  }
+  if (product && parseFloat(product[field]) > 0) {
+    return parseFloat(product[field]);
+  }
+  return fallback;
+};
+
+const roundUp = (value) => Math.ceil(value * 100) / 100;
+
+/**
+ * Get weight and dimensions of a single sellable unit
+ *
+ * @param {Object} product - Product record
+ * @param {Object|null} variant - ProductVariant record, if any
+ * @returns {{ weightKg: number, lengthCm: number, breadthCm: number, heightCm: number }}
+ */
+const getUnitMeasurements = (product, variant) => {
+  // Sort sides so the longest is always treated as length
+  const [lengthCm, breadthCm, heightCm] = [
+    pickMeasurement(variant, product, 'lengthCm', DEFAULT_UNIT_DIMENSIONS_CM.length),
+    pickMeasurement(variant, product, 'breadthCm', DEFAULT_UNIT_DIMENSIONS_CM.breadth),
+    pickMeasurement(variant, product, 'heightCm', DEFAULT_UNIT_DIMENSIONS_CM.height)
+  ].sort((a, b) => b - a);
+
+  return {
+    weightKg: pickMeasurement(variant, product, 'weightKg', DEFAULT_UNIT_WEIGHT_KG),
+    lengthCm,
+    breadthCm,
+    heightCm
+  };
+};
+
+/**
+ * Calculate the shipping package for a list of items
+ *
+ * @param {Array<Object>} items - Items with { quantity, product, variant }
+ * @returns {Object} Package details
+ *
+ * Sample Result:
+ * {
+ *   "deadWeightKg": 1.35,
+ *   "volumetricWeightKg": 0.6,
+ *   "chargeableWeightKg": 1.35,
+ *   "dimensions": { "length": 15, "breadth": 10, "height": 20 }
+ * }
+ */
+const calculatePackage = (items) => {
+  if (items.length === 0) {
+    return {
+      deadWeightKg: 0,
+      volumetricWeightKg: 0,
+      chargeableWeightKg: 0,
+      dimensions: { length: 0, breadth: 0, height: 0 }
+    };
+  }
+
+  let deadWeightKg = getPackagingWeightKg();
+  let totalVolume = 0;
+  let length = 0;
+  let breadth = 0;
+  let tallestUnit = 0;
+
+  for (const item of items) {
+    const unit = getUnitMeasurements(item.product, item.variant);
+
+    deadWeightKg += unit.weightKg * item.quantity;
+    totalVolume += unit.lengthCm * unit.breadthCm * unit.heightCm * item.quantity;
+    length = Math.max(length, unit.lengthCm);
+    breadth = Math.max(breadth, unit.breadthCm);
+    tallestUnit = Math.max(tallestUnit, unit.heightCm);
+  }
+
+  // Grow the box towards a cube of the total volume, so many units don't
+  // end up as one tall stack
+  const side = Math.cbrt(totalVolume);
+  length = Math.max(length, Math.ceil(side));
+  breadth = Math.max(breadth, Math.ceil(Math.sqrt(totalVolume / length)));
+  const height = Math.max(tallestUnit, Math.ceil(totalVolume / (length * breadth)));
+  const volumetricWeightKg = (length * breadth * height) / getVolumetricDivisor();
+
+  return {
+    deadWeightKg: roundUp(deadWeightKg),
+    volumetricWeightKg: roundUp(volumetricWeightKg),
+    chargeableWeightKg: roundUp(Math.max(deadWeightKg, volumetricWeightKg)),
+    dimensions: {
+      length: roundUp(length),
+      breadth: roundUp(breadth),
+      height: roundUp(height)
+    }
+  };
+};
+
+module.exports = { calculatePackage, getUnitMeasurements };
@@ -0,0 +1,109 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../config/database');
+const { hashToken } = require('./session.helper');
+
+/**
+ * Password Reset Tokens
+ *
+ * - The raw token is only ever emailed; the database keeps its SHA-256 hash
+ * - Tokens expire after PASSWORD_RESET_EXPIRES_MINUTES (default 30)
+ * - A token works once, and requesting a new one retires older ones
+ * - Resetting the password signs the user out of every session
+ */
+
+const getResetExpiryMinutes = () => parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+/**
+ * Issue a new reset token for a user
+ *
+ * @param {string} userId - User ID
+ * @param {string|null} requestedIp - IP that asked for the reset
+ * @returns {Promise<string>} Raw token to email
+ */
+const createPasswordResetToken = async (userId, requestedIp) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await prisma.$transaction([
+    prisma.passwordResetToken.updateMany({
+      where: { userId, usedAt: null },
+      data: { usedAt: new Date() }
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        userId,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + getResetExpiryMinutes() * 60 * 1000),
+        requestedIp
+      }
+    })
+  ]);
+
+  return token;
+};
+
+/**
+ * Set a new password using a reset token
+ *
+ * @param {string} token - Raw token from the email link
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<Object>} { user } or { error }
+ */
+const resetPasswordWithToken = async (token, newPassword) => {
+  const resetToken = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: {
+      user: {
+        select: { id: true, name: true, email: true }
+      }
+    }
+  });
+
+  if (!resetToken || resetToken.usedAt || resetToken.expiresAt < new Date()) {
+    return { error: 'Reset link is invalid or has expired' };
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+
+  const used = await prisma.$transaction(async (tx) => {
+    // Conditional so the same token can't be used twice concurrently
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await tx.user.update({
+      where: { id: resetToken.userId },
+      data: { password: hashedPassword }
+    });
+
+    await tx.session.updateMany({
+      where: { userId: resetToken.userId, revokedAt: null },
+      data: { revokedAt: new Date(), revokedReason: 'Password reset' }
+    });
+
+    return true;
+  });
+
+  if (!used) {
+    return { error: 'Reset link is invalid or has expired' };
+  }
+
+  return { user: resetToken.user };
+};
+
+module.exports = {
+  getResetExpiryMinutes,
+  hashPassword,
+  createPasswordResetToken,
+  resetPasswordWithToken
+};
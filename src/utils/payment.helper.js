@@ -0,0 +1,90 @@
+const { prisma } = require('../config/database');
+const { assignInvoiceNumber } = require('./invoice.generator');
+const { attemptShipment } = require('./shipment.helper');
+const { refundCancelledOrderPayment } = require('./refund.helper');
+
+/**
+ * Record a captured Razorpay payment and move the order to PAID
+ *
+ * Shared by client-side verification (POST /api/orders/verify-payment),
+ * the Razorpay webhook and the pending order sweep. Whichever path gets
+ * here first flips the payment to SUCCESS; later calls see it is already
+ * recorded and do nothing, so the invoice and the Shiprocket shipment are
+ * created exactly once.
+ *
+ * A payment captured for an order that was already cancelled (e.g. expired
+ * before the shopper paid) is recorded and refunded in full; the order
+ * stays CANCELLED and nothing is shipped.
+ *
+ * @param {string} orderId - Order ID
+ * @param {Object} paymentDetails - { razorpayPaymentId, razorpaySignature? }
+ * @returns {Promise<Object>} { order, confirmed, shippingDetails }
+ *   `confirmed` is false when the payment had already been recorded
+ */
+const confirmOrderPayment = async (orderId, { razorpayPaymentId, razorpaySignature }) => {
+  const confirmed = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.payment.updateMany({
+      where: {
+        orderId,
+        status: { in: ['PENDING', 'FAILED'] }
+      },
+      data: {
+        razorpayPaymentId,
+        ...(razorpaySignature && { razorpaySignature }),
+        status: 'SUCCESS'
+      }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await tx.order.updateMany({
+      where: { id: orderId, status: 'PENDING' },
+      data: { status: 'PAID' }
+    });
+
+    return true;
+  });
+
+  const order = await prisma.order.findUnique({
+    where: { id: orderId },
+    include: {
+      orderItems: {
+        include: {
+          product: true
+        }
+      },
+      payment: true,
+      shippingDetails: true
+    }
+  });
+
+  let shippingDetails = order.shippingDetails;
+
+  if (!confirmed) {
+    return { order, confirmed, shippingDetails };
+  }
+
+  if (order.status === 'CANCELLED') {
+    console.warn(`Payment ${razorpayPaymentId} captured for cancelled order ${orderId} - refunding`);
+    await refundCancelledOrderPayment(order);
+    return { order, confirmed, shippingDetails };
+  }
+
+  // Assign GST invoice number (non-blocking - also assigned on first download)
+  try {
+    await assignInvoiceNumber(orderId);
+  } catch (invoiceError) {
+    console.error('Invoice Number Error (non-blocking):', invoiceError.message);
+  }
+
+  // Create Shiprocket order (failures are retried by the shipment retry job)
+  if (!shippingDetails) {
+    ({ shippingDetails } = await attemptShipment(order));
+  }
+
+  return { order, confirmed, shippingDetails };
+};
+
+module.exports = { confirmOrderPayment };
@@ -0,0 +1,39 @@
+/**
+ * Phone Number Formats
+ *
+ * Verified phones are stored in E.164 (+919876543210) so a number typed as
+ * "98765 43210", "09876543210" or "+91-9876543210" matches the same account.
+ * Bare 10 digit numbers are taken as Indian mobiles.
+ */
+
+/**
+ * @param {string} phone - Phone number as typed
+ * @returns {string|null} E.164 number, or null if it can't be a valid number
+ */
+const normalizePhone = (phone) => {
+  if (!phone) return null;
+
+  const hasPlus = String(phone).trim().startsWith('+');
+  const digits = String(phone).replace(/\D/g, '');
+
+  if (!hasPlus) {
+    if (digits.length === 10) return `+91${digits}`;
+    if (digits.length === 11 && digits.startsWith('0')) return `+91${digits.slice(1)}`;
+    if (digits.length === 12 && digits.startsWith('91')) return `+${digits}`;
+    return null;
+  }
+
+  if (digits.length < 8 || digits.length > 15) return null;
+  return `+${digits}`;
+};
+
+/**
+ * 10 digit local number for Indian carriers (Shiprocket billing_phone)
+ */
+const toLocalPhone = (phone) => {
+  const normalized = normalizePhone(phone);
+  if (!normalized) return null;
+  return normalized.startsWith('+91') ? normalized.slice(3) : normalized.slice(1);
+};
+
+module.exports = { normalizePhone, toLocalPhone };
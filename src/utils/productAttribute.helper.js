@@ -0,0 +1,279 @@
+const { prisma } = require('../config/database');
+const { parseList } = require('./productFilter.helper');
+
+/**
+ * Structured Product Attributes
+ *
+ * Admins define attributes (key, label, type, options, unit); products
+ * carry values for them. Request bodies and responses use a plain
+ * `attributes` object keyed by attribute key:
+ *
+ *   { "dosage": "1 tsp twice daily", "shelf_life_months": 24, "form": "POWDER" }
+ *
+ * Ingredients, doshas and tags stay product fields (they feed search and
+ * the listing facets), so they can't be defined as attributes.
+ */
+
+const ATTRIBUTE_TYPES = ['TEXT', 'NUMBER', 'BOOLEAN', 'SELECT', 'MULTI_SELECT', 'LIST'];
+const OPTION_TYPES = ['SELECT', 'MULTI_SELECT'];
+const ATTRIBUTE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+const RESERVED_ATTRIBUTE_KEYS = ['ingredients', 'doshas', 'tags'];
+const MAX_TEXT_LENGTH = 2000;
+const MAX_LIST_ITEM_LENGTH = 200;
+
+const EMPTY_VALUE = {
+  textValue: null,
+  numberValue: null,
+  booleanValue: null,
+  listValue: []
+};
+
+const toStringList = (value) => [...new Set([].concat(value)
+  .map(item => String(item).trim())
+  .filter(Boolean))];
+
+/**
+ * Check one value against its definition
+ *
+ * @returns {Object} { data } (value columns) or { error }
+ */
+const parseValue = (definition, value) => {
+  const { label, type, options } = definition;
+
+  switch (type) {
+    case 'TEXT': {
+      const text = typeof value === 'string' ? value.trim() : '';
+      if (!text) return { error: `${label} must be text` };
+      if (text.length > MAX_TEXT_LENGTH) return { error: `${label} must be at most ${MAX_TEXT_LENGTH} characters` };
+      return { data: { ...EMPTY_VALUE, textValue: text } };
+    }
+
+    case 'NUMBER': {
+      const number = typeof value === 'number' ? value : (typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN);
+      if (!Number.isFinite(number)) return { error: `${label} must be a number` };
+      return { data: { ...EMPTY_VALUE, numberValue: number } };
+    }
+
+    case 'BOOLEAN': {
+      if (![true, false, 'true', 'false'].includes(value)) return { error: `${label} must be true or false` };
+      return { data: { ...EMPTY_VALUE, booleanValue: value === true || value === 'true' } };
+    }
+
+    case 'SELECT': {
+      if (!options.includes(value)) return { error: `${label} must be one of ${options.join(', ')}` };
+      return { data: { ...EMPTY_VALUE, textValue: value } };
+    }
+
+    case 'MULTI_SELECT':
+    case 'LIST': {
+      if (!Array.isArray(value)) return { error: `${label} must be an array` };
+
+      const list = toStringList(value);
+      if (list.length === 0) return { error: `${label} needs at least one item (send null to remove it)` };
+
+      if (type === 'MULTI_SELECT') {
+        const invalid = list.filter(item => !options.includes(item));
+        if (invalid.length > 0) return { error: `${label} must only contain ${options.join(', ')}` };
+      } else if (list.some(item => item.length > MAX_LIST_ITEM_LENGTH)) {
+        return { error: `${label} items must be at most ${MAX_LIST_ITEM_LENGTH} characters` };
+      }
+
+      return { data: { ...EMPTY_VALUE, listValue: list } };
+    }
+
+    default:
+      return { error: `${label} has an unknown type` };
+  }
+};
+
+/**
+ * Validate an `attributes` object from a product request body
+ *
+ * On create every required attribute must be present. On update only the
+ * keys sent change, and `null` removes a value (not allowed for required
+ * attributes).
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} attributes - { key: value }
+ * @param {Object} [options]
+ * @param {boolean} [options.isCreate=false]
+ * @returns {Promise<Object>} { values: [{ attributeId, ...columns }], removeIds: [], errors: [{ key, message }] }
+ */
+const parseAttributeValues = async (client, attributes, { isCreate = false } = {}) => {
+  const result = { values: [], removeIds: [], errors: [] };
+  const input = attributes || {};
+
+  const definitions = await client.attributeDefinition.findMany();
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  for (const key of Object.keys(input)) {
+    if (!byKey.has(key)) {
+      result.errors.push({ key, message: `Unknown attribute: ${key}` });
+    }
+  }
+
+  for (const definition of definitions) {
+    const value = input[definition.key];
+
+    if (value === undefined || value === null) {
+      if (definition.isRequired && (isCreate || value === null)) {
+        result.errors.push({ key: definition.key, message: `${definition.label} is required` });
+      } else if (value === null) {
+        result.removeIds.push(definition.id);
+      }
+      continue;
+    }
+
+    const parsed = parseValue(definition, value);
+    if (parsed.error) {
+      result.errors.push({ key: definition.key, message: parsed.error });
+    } else {
+      result.values.push({ attributeId: definition.id, ...parsed.data });
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Write parsed attribute values for a product (inside a transaction)
+ */
+const saveAttributeValues = async (client, productId, { values, removeIds }) => {
+  if (removeIds.length > 0) {
+    await client.productAttributeValue.deleteMany({
+      where: { productId, attributeId: { in: removeIds } }
+    });
+  }
+
+  for (const { attributeId, ...columns } of values) {
+    await client.productAttributeValue.upsert({
+      where: { productId_attributeId: { productId, attributeId } },
+      create: { productId, attributeId, ...columns },
+      update: columns
+    });
+  }
+};
+
+/**
+ * Prisma include for a product's attribute values
+ */
+const ATTRIBUTE_VALUES_INCLUDE = {
+  include: { attribute: true }
+};
+
+/**
+ * Turn attribute value rows into { key: value }, in the admin's order
+ *
+ * @param {Array} rows - ProductAttributeValue rows with `attribute`
+ * @returns {Object}
+ */
+const formatAttributes = (rows = []) => Object.fromEntries([...rows]
+  .sort((a, b) => a.attribute.sortOrder - b.attribute.sortOrder || a.attribute.label.localeCompare(b.attribute.label))
+  .map(({ attribute, textValue, numberValue, booleanValue, listValue }) => {
+    switch (attribute.type) {
+      case 'NUMBER': return [attribute.key, numberValue !== null ? parseFloat(numberValue) : null];
+      case 'BOOLEAN': return [attribute.key, booleanValue];
+      case 'MULTI_SELECT':
+      case 'LIST': return [attribute.key, listValue];
+      default: return [attribute.key, textValue];
+    }
+  }));
+
+/**
+ * Replace `attributeValues` on a product with the `attributes` object
+ */
+const withAttributes = (product) => {
+  const { attributeValues, ...rest } = product;
+  return { ...rest, attributes: formatAttributes(attributeValues) };
+};
+
+/**
+ * Filter clauses from `attr[key]=value` query parameters
+ *
+ * - SELECT / TEXT: `attr[form]=POWDER,TABLET` (any of, TEXT ignores case)
+ * - MULTI_SELECT / LIST: `attr[suitable_for]=ADULTS,ELDERLY` (has any of)
+ * - BOOLEAN: `attr[vegan]=true`
+ * - NUMBER: `attr[shelf_life_months][min]=12&attr[shelf_life_months][max]=36` or an exact value
+ *
+ * @param {Object} query - req.query.attr
+ * @returns {Promise<Object>} { filters } keyed `attr:<key>`, to merge with buildProductFilters, or { error }
+ */
+const buildAttributeFilters = async (query) => {
+  if (!query) return { filters: {} };
+  if (typeof query !== 'object' || Array.isArray(query)) {
+    return { error: 'Attribute filters must look like attr[key]=value' };
+  }
+
+  const keys = Object.keys(query);
+  if (keys.length === 0) return { filters: {} };
+
+  const definitions = await prisma.attributeDefinition.findMany({
+    where: { key: { in: keys } }
+  });
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  const filters = {};
+
+  for (const key of keys) {
+    const definition = byKey.get(key);
+    if (!definition || !definition.isFilterable) {
+      return { error: `Products can't be filtered by ${key}` };
+    }
+
+    const value = query[key];
+    let condition;
+
+    if (definition.type === 'NUMBER') {
+      const range = typeof value === 'object' && !Array.isArray(value) ? value : { min: value, max: value };
+      const min = range.min !== undefined ? Number(range.min) : undefined;
+      const max = range.max !== undefined ? Number(range.max) : undefined;
+
+      if ([min, max].some(bound => bound !== undefined && !Number.isFinite(bound)) || (min === undefined && max === undefined)) {
+        return { error: `${definition.label} filter must be a number or a min/max range` };
+      }
+
+      condition = {
+        numberValue: {
+          ...(min !== undefined && { gte: min }),
+          ...(max !== undefined && { lte: max })
+        }
+      };
+    } else if (definition.type === 'BOOLEAN') {
+      if (!['true', 'false'].includes(value)) {
+        return { error: `${definition.label} filter must be true or false` };
+      }
+      condition = { booleanValue: value === 'true' };
+    } else {
+      const values = typeof value === 'object' && !Array.isArray(value) ? [] : parseList(value);
+      if (values.length === 0) {
+        return { error: `${definition.label} filter needs at least one value` };
+      }
+
+      if (definition.type === 'TEXT') {
+        condition = { OR: values.map(text => ({ textValue: { equals: text, mode: 'insensitive' } })) };
+      } else if (definition.type === 'SELECT') {
+        condition = { textValue: { in: values } };
+      } else {
+        condition = { listValue: { hasSome: values } };
+      }
+    }
+
+    filters[`attr:${key}`] = {
+      attributeValues: { some: { attributeId: definition.id, ...condition } }
+    };
+  }
+
+  return { filters };
+};
+
+module.exports = {
+  ATTRIBUTE_TYPES,
+  OPTION_TYPES,
+  ATTRIBUTE_KEY_PATTERN,
+  RESERVED_ATTRIBUTE_KEYS,
+  ATTRIBUTE_VALUES_INCLUDE,
+  parseAttributeValues,
+  saveAttributeValues,
+  withAttributes,
+  buildAttributeFilters
+};
@@ -0,0 +1,241 @@
+const { prisma } = require('../config/database');
+
+/**
+ * Product Listing Filters, Sorting and Facets
+ *
+ * Each filter becomes its own Prisma where clause so facet counts can be
+ * "disjunctive": a facet is counted with every other active filter applied
+ * but not its own, so picking one price range still shows how many
+ * products the other ranges have.
+ *
+ * Prices are compared by minPrice: the cheapest active pack size, or the
+ * product's own price when it has none, kept in sync by triggers. A product
+ * is in stock when any active pack size (or the product itself) is.
+ *
+ * Facets are only counted when the listing asks for them (facets=true).
+ */
+
+const DOSHAS = ['VATA', 'PITTA', 'KAPHA'];
+
+const PRICE_RANGES = [
+  { from: 0, to: 250 },
+  { from: 250, to: 500 },
+  { from: 500, to: 1000 },
+  { from: 1000, to: 2000 },
+  { from: 2000, to: null }
+];
+const RATING_STEPS = [4, 3, 2, 1];
+const DISCOUNT_STEPS = [10, 20, 30, 50];
+const TAG_FACET_LIMIT = 20;
+
+const PRODUCT_SORTS = {
+  relevance: null, // search results only; falls back to newest
+  newest: [{ createdAt: 'desc' }],
+  price_asc: [{ minPrice: 'asc' }, { createdAt: 'desc' }],
+  price_desc: [{ minPrice: 'desc' }, { createdAt: 'desc' }],
+  popularity: [{ salesCount: 'desc' }, { createdAt: 'desc' }],
+  rating: [{ averageRating: 'desc' }, { reviewCount: 'desc' }],
+  discount: [{ discountPercent: 'desc' }, { createdAt: 'desc' }]
+};
+
+/**
+ * Split a comma separated (or repeated) query value into a list
+ */
+const parseList = (value) => [].concat(value || [])
+  .flatMap(item => String(item).split(','))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const NO_ACTIVE_VARIANTS = { variants: { none: { isActive: true } } };
+
+/**
+ * Price within a Prisma range filter, e.g. { gte: 250, lt: 500 }
+ */
+const priceClause = (range) => ({ minPrice: range });
+
+const IN_STOCK_CLAUSE = {
+  OR: [
+    { stockQuantity: { gt: 0 }, ...NO_ACTIVE_VARIANTS },
+    { variants: { some: { isActive: true, stockQuantity: { gt: 0 } } } }
+  ]
+};
+
+/**
+ * Filter clauses from the listing query, keyed by facet
+ *
+ * @param {Object} query - req.query
+ * @param {Object} [options]
+ * @param {string[]} [options.categoryIds] - The chosen category and its subcategories
+ * @returns {Object} { category, price, availability, rating, discount, tags, doshas } (only active ones)
+ */
+const buildProductFilters = (query, { categoryIds } = {}) => {
+  const filters = {};
+
+  if (query.category) {
+    filters.category = { categoryId: { in: categoryIds || [query.category] } };
+  }
+
+  if (query.minPrice !== undefined || query.maxPrice !== undefined) {
+    filters.price = priceClause({
+      ...(query.minPrice !== undefined && { gte: parseFloat(query.minPrice) }),
+      ...(query.maxPrice !== undefined && { lte: parseFloat(query.maxPrice) })
+    });
+  }
+
+  if (query.inStock === 'true') {
+    filters.availability = IN_STOCK_CLAUSE;
+  }
+
+  if (query.minRating !== undefined) {
+    filters.rating = { averageRating: { gte: parseFloat(query.minRating) } };
+  }
+
+  if (query.minDiscount !== undefined) {
+    filters.discount = { discountPercent: { gte: parseFloat(query.minDiscount) } };
+  }
+
+  const tags = parseList(query.tags);
+  if (tags.length > 0) {
+    filters.tags = { tags: { hasSome: tags } };
+  }
+
+  const doshas = parseList(query.doshas).map(dosha => dosha.toUpperCase());
+  if (doshas.length > 0) {
+    filters.doshas = { doshas: { hasSome: doshas } };
+  }
+
+  return filters;
+};
+
+/**
+ * Combine the base where clause with every filter except `exclude`
+ */
+const combineFilters = (baseWhere, filters, exclude) => ({
+  AND: [
+    baseWhere,
+    ...Object.entries(filters)
+      .filter(([key]) => key !== exclude)
+      .map(([, clause]) => clause)
+  ]
+});
+
+/**
+ * Prisma orderBy for a sort name (unknown names sort newest first)
+ */
+const getProductOrderBy = (sort) => PRODUCT_SORTS[sort] || PRODUCT_SORTS.newest;
+
+const countCategories = async (where) => {
+  const groups = await prisma.product.groupBy({
+    by: ['categoryId'],
+    where,
+    _count: { _all: true }
+  });
+
+  const categories = await prisma.category.findMany({
+    where: { id: { in: groups.map(group => group.categoryId) } },
+    select: { id: true, name: true }
+  });
+  const names = new Map(categories.map(category => [category.id, category.name]));
+
+  return groups
+    .map(group => ({ id: group.categoryId, name: names.get(group.categoryId), count: group._count._all }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+const countPrices = async (where) => {
+  const [bounds, ...counts] = await Promise.all([
+    prisma.product.aggregate({
+      where,
+      _min: { minPrice: true },
+      _max: { minPrice: true }
+    }),
+    ...PRICE_RANGES.map(range => prisma.product.count({
+      where: {
+        AND: [where, priceClause({ gte: range.from, ...(range.to !== null && { lt: range.to }) })]
+      }
+    }))
+  ]);
+
+  return {
+    min: bounds._min.minPrice !== null ? parseFloat(bounds._min.minPrice) : null,
+    max: bounds._max.minPrice !== null ? parseFloat(bounds._max.minPrice) : null,
+    ranges: PRICE_RANGES.map((range, index) => ({ ...range, count: counts[index] }))
+  };
+};
+
+const countAvailability = async (where) => {
+  const [total, inStock] = await Promise.all([
+    prisma.product.count({ where }),
+    prisma.product.count({ where: { AND: [where, IN_STOCK_CLAUSE] } })
+  ]);
+
+  return { inStock, outOfStock: total - inStock };
+};
+
+const countSteps = async (where, field, steps) => {
+  const counts = await Promise.all(steps.map(step => prisma.product.count({
+    where: { AND: [where, { [field]: { gte: step } }] }
+  })));
+
+  return steps.map((min, index) => ({ min, count: counts[index] }));
+};
+
+// Only the IDs come back; the tags are counted in SQL
+const countTags = async (where) => {
+  const products = await prisma.product.findMany({
+    where,
+    select: { id: true }
+  });
+
+  if (products.length === 0) return [];
+
+  return prisma.$queryRaw`
+    SELECT tag AS value, count(*)::int AS count
+    FROM "products", unnest("tags") AS tag
+    WHERE "id" = ANY(${products.map(product => product.id)})
+    GROUP BY tag
+    ORDER BY count DESC, tag ASC
+    LIMIT ${TAG_FACET_LIMIT}
+  `;
+};
+
+const countDoshas = async (where) => {
+  const counts = await Promise.all(DOSHAS.map(dosha => prisma.product.count({
+    where: { AND: [where, { doshas: { has: dosha } }] }
+  })));
+
+  return DOSHAS.map((value, index) => ({ value, count: counts[index] }));
+};
+
+/**
+ * Facet counts for the filter sidebar
+ *
+ * @param {Object} baseWhere - Always-on conditions (active, search matches)
+ * @param {Object} filters - From buildProductFilters
+ * @returns {Promise<Object>} { categories, price, availability, rating, discount, tags, doshas }
+ */
+const getProductFacets = async (baseWhere, filters) => {
+  const whereWithout = (key) => combineFilters(baseWhere, filters, key);
+
+  const [categories, price, availability, rating, discount, tags, doshas] = await Promise.all([
+    countCategories(whereWithout('category')),
+    countPrices(whereWithout('price')),
+    countAvailability(whereWithout('availability')),
+    countSteps(whereWithout('rating'), 'averageRating', RATING_STEPS),
+    countSteps(whereWithout('discount'), 'discountPercent', DISCOUNT_STEPS),
+    countTags(whereWithout('tags')),
+    countDoshas(whereWithout('doshas'))
+  ]);
+
+  return { categories, price, availability, rating, discount, tags, doshas };
+};
+
+module.exports = {
+  DOSHAS,
+  PRODUCT_SORTS,
+  parseList,
+  buildProductFilters,
+  combineFilters,
+  getProductOrderBy,
+  getProductFacets
+};
@@ -0,0 +1,139 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/database');
+
+/**
+ * Product Search (PostgreSQL full-text + trigram)
+ *
+ * - products.search_vector is kept up to date by a trigger: name (weight A),
+ *   tags and ingredients (B), category name (C) and description (D)
+ * - products.search_text (lower-cased name, tags and ingredients) has a
+ *   pg_trgm index, so misspelt herb names still match ("ashwaganda")
+ * - A product matches if the full-text query matches OR the query is close
+ *   enough to a run of words in search_text (pg_trgm word similarity)
+ * - Relevance = full-text rank + half the trigram similarity, so exact
+ *   word matches outrank fuzzy ones
+ */
+
+const SEARCH_CONFIG = 'english';
+const MAX_MATCHES = 500;
+const MAX_QUERY_LENGTH = 100;
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=30, MinWords=12, MaxFragments=2, FragmentDelimiter=" ... "';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Trim, collapse whitespace and cap the length of a search query
+ */
+const normalizeSearchQuery = (query) => String(query || '')
+  .trim()
+  .replace(/\s+/g, ' ')
+  .slice(0, MAX_QUERY_LENGTH);
+
+/**
+ * Escape everything in a ts_headline result except the <mark> tags
+ * (descriptions are plain text and must not reach the page as HTML)
+ */
+const sanitizeHeadline = (headline) => (headline || '')
+  .split(/(<\/?mark>)/)
+  .map(part => (/^<\/?mark>$/.test(part) ? part : part.replace(/[&<>"']/g, char => HTML_ESCAPES[char])))
+  .join('');
+
+/**
+ * Active products matching a search query, best first
+ *
+ * @param {string} query - Raw search text
+ * @returns {Promise<Array>} [{ id, score }] (at most MAX_MATCHES)
+ */
+const findSearchMatches = async (query) => {
+  const search = normalizeSearchQuery(query);
+  if (!search) return [];
+
+  const fuzzy = search.toLowerCase();
+
+  const rows = await prisma.$queryRaw`
+    SELECT p.id,
+      ts_rank(p.search_vector, q.tsq, 32) + word_similarity(${fuzzy}, coalesce(p.search_text, '')) * 0.5 AS score
+    FROM products p, websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${search}) AS q(tsq)
+    WHERE p.is_active = true
+      AND (p.search_vector @@ q.tsq OR ${fuzzy} <% p.search_text)
+    ORDER BY score DESC, p."createdAt" DESC
+    LIMIT ${MAX_MATCHES}
+  `;
+
+  return rows.map(row => ({ id: row.id, score: Number(row.score) }));
+};
+
+/**
+ * Highlighted name and description snippet for each product
+ *
+ * @param {string} query - Raw search text
+ * @param {string[]} ids - Product IDs (one page of results)
+ * @returns {Promise<Map>} id -> { name, snippet } (HTML with <mark> around matches)
+ */
+const getSearchHighlights = async (query, ids) => {
+  const search = normalizeSearchQuery(query);
+  if (!search || ids.length === 0) return new Map();
+
+  const rows = await prisma.$queryRaw`
+    SELECT p.id,
+      ts_headline(${SEARCH_CONFIG}::regconfig, p.name, q.tsq, ${HEADLINE_OPTIONS}) AS name,
+      ts_headline(${SEARCH_CONFIG}::regconfig, coalesce(p.description, ''), q.tsq, ${HEADLINE_OPTIONS}) AS snippet
+    FROM products p, websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${search}) AS q(tsq)
+    WHERE p.id IN (${Prisma.join(ids)})
+  `;
+
+  return new Map(rows.map(row => [row.id, {
+    name: sanitizeHeadline(row.name),
+    snippet: sanitizeHeadline(row.snippet)
+  }]));
+};
+
+/**
+ * Autocomplete: product names starting with (or containing a word
+ * starting with) the query, then fuzzy matches; plus matching categories
+ *
+ * @param {string} query - Partial search text
+ * @param {number} limit - Max products
+ * @returns {Promise<Object>} { products: [{ id, name, slug, category }], categories: [{ id, name, slug }] }
+ */
+const suggestProducts = async (query, limit) => {
+  const search = normalizeSearchQuery(query).toLowerCase();
+  if (!search) return { products: [], categories: [] };
+
+  const prefix = `${search.replace(/[\\%_]/g, '\\$&')}%`;
+
+  const [products, categories] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT p.id, p.name, p.slug, c.name AS category
+      FROM products p
+      JOIN categories c ON c.id = p.category_id
+      WHERE p.is_active = true
+        AND (lower(p.name) LIKE ${prefix} OR lower(p.name) LIKE ${`% ${prefix}`} OR ${search} <% p.search_text)
+      ORDER BY (lower(p.name) LIKE ${prefix}) DESC,
+        word_similarity(${search}, coalesce(p.search_text, '')) DESC,
+        p.name ASC
+      LIMIT ${limit}
+    `,
+    prisma.category.findMany({
+      where: { name: { contains: search, mode: 'insensitive' } },
+      select: { id: true, name: true, slug: true },
+      orderBy: { name: 'asc' },
+      take: 5
+    })
+  ]);
+
+  return { products, categories };
+};
+
+module.exports = {
+  normalizeSearchQuery,
+  findSearchMatches,
+  getSearchHighlights,
+  suggestProducts
+};
@@ -0,0 +1,124 @@
+const { prisma } = require('../config/database');
+
+/**
+ * Rate Limit Counters
+ *
+ * Fixed-window counters shared by the API rate limiter and the login
+ * lockout. RATE_LIMIT_STORE picks the backend:
+ * - memory (default): per process, fine for a single instance and tests
+ * - postgres: rate_limits table, shared by every instance
+ *
+ * Store interface:
+ * - hit(key, windowMs): count one hit, starting a new window if the last
+ *   one ended -> { count, resetAt }
+ * - get(key): current window or null -> { count, resetAt }
+ * - reset(key): forget the key
+ *
+ * resetAt is epoch milliseconds.
+ */
+
+const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+const createMemoryStore = () => {
+  const buckets = new Map();
+
+  const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt <= now) buckets.delete(key);
+    }
+  }, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+
+  return {
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+
+      bucket.count += 1;
+      return { ...bucket };
+    },
+
+    get: async (key) => {
+      const bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= Date.now()) return null;
+      return { ...bucket };
+    },
+
+    reset: async (key) => {
+      buckets.delete(key);
+    }
+  };
+};
+
+const createPostgresStore = () => {
+  const cleanupTimer = setInterval(() => {
+    prisma.rateLimit.deleteMany({
+      where: { resetAt: { lte: BigInt(Date.now()) } }
+    }).catch(error => console.error('Rate Limit Cleanup Error:', error.message));
+  }, CLEANUP_INTERVAL_MS);
+  cleanupTimer.unref();
+
+  return {
+    // Single upsert so concurrent hits from several instances are all counted
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      const [row] = await prisma.$queryRaw`
+        INSERT INTO "rate_limits" ("key", "count", "reset_at")
+        VALUES (${key}, 1, ${BigInt(now + windowMs)})
+        ON CONFLICT ("key") DO UPDATE SET
+          "count" = CASE WHEN "rate_limits"."reset_at" <= ${BigInt(now)} THEN 1 ELSE "rate_limits"."count" + 1 END,
+          "reset_at" = CASE WHEN "rate_limits"."reset_at" <= ${BigInt(now)} THEN EXCLUDED."reset_at" ELSE "rate_limits"."reset_at" END
+        RETURNING "count", "reset_at"
+      `;
+
+      return { count: Number(row.count), resetAt: Number(row.reset_at) };
+    },
+
+    get: async (key) => {
+      const row = await prisma.rateLimit.findUnique({ where: { key } });
+      if (!row || Number(row.resetAt) <= Date.now()) return null;
+      return { count: row.count, resetAt: Number(row.resetAt) };
+    },
+
+    reset: async (key) => {
+      await prisma.rateLimit.deleteMany({ where: { key } });
+    }
+  };
+};
+
+const STORES = {
+  memory: createMemoryStore,
+  postgres: createPostgresStore
+};
+
+let store = null;
+
+/**
+ * Shared store for this process (created on first use)
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+    const createStore = STORES[name];
+
+    if (!createStore) {
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${name}`);
+    }
+
+    store = createStore();
+  }
+
+  return store;
+};
+
+module.exports = {
+  createMemoryStore,
+  createPostgresStore,
+  getRateLimitStore
+};
@@ -0,0 +1,113 @@
+const { prisma } = require('../config/database');
+const { razorpayInstance } = require('../config/razorpay');
+
+/**
+ * Razorpay Refunds
+ *
+ * Refunds are requested by customers and approved by staff, or opened
+ * automatically when a payment is captured for an order that was already
+ * cancelled (e.g. it expired while the shopper was still paying). Failed
+ * refunds stay listed as FAILED under GET /api/refunds/admin/all.
+ */
+
+const CANCELLED_ORDER_REFUND_REASON = 'Payment received after the order was cancelled';
+
+/**
+ * Send a refund to Razorpay and record it on the refund and the payment
+ *
+ * On a Razorpay error the refund is marked FAILED and the error rethrown.
+ *
+ * @param {Object} refund - Refund record
+ * @param {Object} payment - The order's Payment record
+ * @param {Object} [approval] - { adminId, adminNote } when approved by staff
+ * @returns {Promise<Object>} { refund, razorpayRefund }
+ */
+const processRefund = async (refund, payment, { adminId = null, adminNote = null } = {}) => {
+  let razorpayRefund;
+
+  try {
+    razorpayRefund = await razorpayInstance.payments.refund(payment.razorpayPaymentId, {
+      amount: Math.round(parseFloat(refund.amount) * 100), // Convert to paise
+      speed: 'normal',
+      notes: {
+        refund_id: refund.id,
+        order_id: refund.orderId,
+        reason: refund.reason
+      }
+    });
+  } catch (razorpayError) {
+    await prisma.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: 'FAILED',
+        adminNote: `Failed: ${razorpayError.message}`,
+        approvedRejectedAt: new Date(),
+        approvedByAdminId: adminId
+      }
+    });
+
+    throw razorpayError;
+  }
+
+  const updatedRefund = await prisma.$transaction(async (tx) => {
+    const updated = await tx.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: 'PROCESSING',
+        razorpayRefundId: razorpayRefund.id,
+        adminNote,
+        approvedRejectedAt: new Date(),
+        approvedByAdminId: adminId,
+        processedAt: new Date()
+      }
+    });
+
+    await tx.payment.update({
+      where: { id: payment.id },
+      data: {
+        amountRefunded: {
+          increment: parseFloat(refund.amount)
+        },
+        status: parseFloat(payment.amount) === parseFloat(refund.amount) + parseFloat(payment.amountRefunded)
+          ? 'REFUNDED'
+          : 'PARTIALLY_REFUNDED'
+      }
+    });
+
+    return updated;
+  });
+
+  return { refund: updatedRefund, razorpayRefund };
+};
+
+/**
+ * Refund a payment captured for an order that is already CANCELLED
+ *
+ * Never throws: a refund Razorpay rejects is left FAILED for staff.
+ *
+ * @param {Object} order - Order with payment
+ */
+const refundCancelledOrderPayment = async (order) => {
+  const { payment } = order;
+
+  try {
+    const refund = await prisma.refund.create({
+      data: {
+        orderId: order.id,
+        userId: order.userId,
+        amount: parseFloat(payment.amount) - parseFloat(payment.amountRefunded),
+        reason: CANCELLED_ORDER_REFUND_REASON,
+        status: 'APPROVED'
+      }
+    });
+
+    await processRefund(refund, payment);
+  } catch (error) {
+    console.error(`Refund for cancelled order ${order.id} failed:`, error.message);
+  }
+};
+
+module.exports = {
+  processRefund,
+  refundCancelledOrderPayment
+};
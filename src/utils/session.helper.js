@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+
+/**
+ * Sessions & Tokens
+ *
+ * - Access token: short-lived JWT { userId, sessionId } (ACCESS_TOKEN_EXPIRES_MINUTES)
+ * - Refresh token: random opaque string, only its SHA-256 hash is stored on
+ *   the Session row (REFRESH_TOKEN_EXPIRES_DAYS)
+ * - Every refresh rotates the refresh token. Presenting an already rotated
+ *   token means it was copied, so that session is revoked.
+ * - `authenticate` rejects access tokens whose session is revoked or expired
+ */
+
+const getAccessTokenMinutes = () => parseInt(process.env.ACCESS_TOKEN_EXPIRES_MINUTES) || 15;
+const getRefreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const generateAccessToken = (userId, sessionId) => jwt.sign(
+  { userId, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: `${getAccessTokenMinutes()}m` }
+);
+
+/**
+ * Short human readable device label from a User-Agent, e.g. "Chrome on Android"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+
+  const browser = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  const os = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+  ].find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !os) return null;
+  if (!os) return browser[0];
+  if (!browser) return os[0];
+  return `${browser[0]} on ${os[0]}`;
+};
+
+// Honours X-Forwarded-For only as far as TRUST_PROXY allows (see server.js)
+const getClientIp = (req) => req.ip || null;
+
+/**
+ * Start a new session for a user (login / registration)
+ *
+ * @param {string} userId - User ID
+ * @param {Object} req - Express request (for device and IP)
+ * @returns {Promise<Object>} { session, accessToken, refreshToken }
+ */
+const createSession = async (userId, req) => {
+  const refreshToken = generateRefreshToken();
+  const userAgent = req.headers['user-agent'] || null;
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent,
+      deviceName: describeDevice(userAgent),
+      ipAddress: getClientIp(req),
+      expiresAt: new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000)
+    }
+  });
+
+  return {
+    session,
+    accessToken: generateAccessToken(userId, session.id),
+    refreshToken
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access + refresh token pair
+ *
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @param {Object} req - Express request (for device and IP)
+ * @returns {Promise<Object>} { session, accessToken, refreshToken } or { error }
+ */
+const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+
+  const session = await prisma.session.findUnique({
+    where: { refreshTokenHash: tokenHash }
+  });
+
+  if (!session) {
+    // A rotated-out token coming back means someone else holds a copy
+    const reusedSession = await prisma.session.findUnique({
+      where: { previousTokenHash: tokenHash }
+    });
+
+    if (reusedSession && !reusedSession.revokedAt) {
+      await revokeSession(reusedSession.id, 'Refresh token reuse detected');
+      console.warn(`Refresh token reuse detected for session ${reusedSession.id}`);
+    }
+
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (session.revokedAt) {
+    return { error: 'Session has been revoked. Please login again.' };
+  }
+
+  if (session.expiresAt < new Date()) {
+    return { error: 'Session expired. Please login again.' };
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+
+  // Conditional on the current hash so two parallel refreshes can't both win
+  const { count } = await prisma.session.updateMany({
+    where: { id: session.id, refreshTokenHash: tokenHash },
+    data: {
+      refreshTokenHash: hashToken(nextRefreshToken),
+      previousTokenHash: tokenHash,
+      lastUsedAt: new Date(),
+      ipAddress: getClientIp(req)
+    }
+  });
+
+  if (count === 0) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  return {
+    session,
+    accessToken: generateAccessToken(session.userId, session.id),
+    refreshToken: nextRefreshToken
+  };
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = (sessionId, reason = 'Logged out') => prisma.session.updateMany({
+  where: { id: sessionId, revokedAt: null },
+  data: { revokedAt: new Date(), revokedReason: reason }
+});
+
+/**
+ * Revoke every active session of a user, optionally keeping one (the caller's)
+ */
+const revokeAllSessions = (userId, reason = 'Logged out everywhere', exceptSessionId = null) => prisma.session.updateMany({
+  where: {
+    userId,
+    revokedAt: null,
+    ...(exceptSessionId && { id: { not: exceptSessionId } })
+  },
+  data: { revokedAt: new Date(), revokedReason: reason }
+});
+
+/**
+ * Set access and refresh token cookies
+ *
+ * The refresh cookie is scoped to /api/auth so it is only sent to the
+ * refresh / logout endpoints.
+ */
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  const secure = process.env.NODE_ENV === 'production';
+
+  res.cookie('token', accessToken, {
+    httpOnly: true,
+    secure,
+    sameSite: 'strict',
+    maxAge: getAccessTokenMinutes() * 60 * 1000
+  });
+
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure,
+    sameSite: 'strict',
+    path: REFRESH_COOKIE_PATH,
+    maxAge: getRefreshTokenDays() * 24 * 60 * 60 * 1000
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token');
+  res.clearCookie('refreshToken', { path: REFRESH_COOKIE_PATH });
+};
+
+/**
+ * Token fields returned in auth responses (for clients using Bearer tokens)
+ */
+const formatTokens = ({ accessToken, refreshToken }) => ({
+  token: accessToken,
+  refreshToken,
+  expiresIn: getAccessTokenMinutes() * 60
+});
+
+module.exports = {
+  hashToken,
+  getClientIp,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  setAuthCookies,
+  clearAuthCookies,
+  formatTokens
+};
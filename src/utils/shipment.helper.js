@@ -0,0 +1,309 @@
+const { prisma } = require('../config/database');
+const shiprocketClient = require('../config/shiprocket');
+const { toLocalPhone } = require('./phone.helper');
+
+/**
+ * Shiprocket Shipment Creation
+ *
+ * A shipment is created in two steps so a failure halfway can be resumed
+ * without creating a second Shiprocket order:
+ * 1. Shiprocket order (saved to ShippingDetails as soon as it exists)
+ * 2. Courier + AWB + pickup request
+ *
+ * Failures are recorded on the order (shipmentAttempts, shipmentLastError,
+ * shipmentNextRetryAt) and picked up by the shipment retry job with
+ * exponential backoff, or retried by an admin.
+ *
+ * The courier needs a reachable number, so the customer's phone must be
+ * verified first. Until then the order waits (no automatic retries) and is
+ * queued for the retry job as soon as the phone is verified. Guests verify
+ * their phone by OTP before checkout.
+ */
+
+const getRetryBaseMinutes = () => parseInt(process.env.SHIPMENT_RETRY_BASE_MINUTES) || 5;
+const getMaxRetryAttempts = () => parseInt(process.env.SHIPMENT_RETRY_MAX_ATTEMPTS) || 6;
+
+const MAX_RETRY_DELAY_MINUTES = 6 * 60;
+
+// How long one attempt may hold an order before another can take over
+const SHIPMENT_LEASE_MINUTES = 10;
+
+/**
+ * Confirmed orders (prepaid PAID or COD CONFIRMED) without a shipment,
+ * or whose shipment never got an AWB
+ */
+const SHIPPABLE_STATUSES = ['PAID', 'CONFIRMED'];
+
+const MISSING_SHIPMENT_WHERE = {
+  status: { in: SHIPPABLE_STATUSES },
+  OR: [
+    { shippingDetails: { is: null } },
+    { shippingDetails: { is: { awbCode: null } } }
+  ]
+};
+
+/**
+ * Delay before the next automatic attempt: base, 2x base, 4x base ... capped at 6 hours
+ */
+const getRetryDelayMinutes = (attempts) => Math.min(
+  getRetryBaseMinutes() * Math.pow(2, Math.max(attempts - 1, 0)),
+  MAX_RETRY_DELAY_MINUTES
+);
+
+/**
+ * Create (or finish creating) the Shiprocket shipment for a confirmed order
+ *
+ * Called after prepaid payment is verified, and straight from checkout for
+ * Cash on Delivery orders. Shiprocket collects `sub_total + shipping_charges
+ * + transaction_charges - total_discount` from COD buyers, so the order
+ * amounts are passed through as they were charged at checkout.
+ *
+ * @param {Object} order - Order with orderItems (incl. product)
+ * @param {Object} user - Order owner ({ name, email, phone, phoneVerified })
+ * @returns {Promise<Object|null>} Saved ShippingDetails, or null if Shiprocket did not accept the order
+ */
+const createShipmentForOrder = async (order, user) => {
+  if (!user.phoneVerified || !user.phone) {
+    const error = new Error('Customer phone number is not verified');
+    error.code = 'PHONE_NOT_VERIFIED';
+    throw error;
+  }
+
+  let shippingDetails = await prisma.shippingDetails.findUnique({
+    where: { orderId: order.id }
+  });
+
+  if (!shippingDetails) {
+    const address = order.shippingAddressSnapshot;
+    const userName = user.name.split(' ');
+    const isCod = order.paymentMethod === 'COD';
+
+    const shiprocketOrderData = {
+      orderId: order.id,
+      orderDate: new Date().toISOString().split('T')[0],
+      customerName: userName[0] || 'Customer',
+      customerLastName: userName.slice(1).join(' ') || '',
+      customerEmail: user.email || process.env.SHIPROCKET_FALLBACK_EMAIL,
+      customerPhone: toLocalPhone(user.phone),
+      billingAddress: address,
+      subtotal: parseFloat(order.subtotalAmount),
+      weight: parseFloat(order.weightKg),
+      dimensions: {
+        length: parseFloat(order.lengthCm),
+        breadth: parseFloat(order.breadthCm),
+        height: parseFloat(order.heightCm)
+      },
+      items: order.orderItems.map(item => ({
+        name: item.variantLabel ? `${item.product.name} - ${item.variantLabel}` : item.product.name,
+        productId: item.productId,
+        sku: item.sku,
+        quantity: item.quantity,
+        price: parseFloat(item.priceAtPurchase)
+      })),
+      paymentMethod: isCod ? 'COD' : 'Prepaid',
+      ...(isCod && {
+        shippingCharges: parseFloat(order.shippingCost),
+        transactionCharges: parseFloat(order.codFee),
+        totalDiscount: parseFloat(order.discountAmount)
+      })
+    };
+
+    const shiprocketOrder = await shiprocketClient.createOrder(shiprocketOrderData);
+
+    if (!shiprocketOrder.success) {
+      return null;
+    }
+
+    // Save right away so a later AWB failure does not create a second Shiprocket order
+    shippingDetails = await prisma.shippingDetails.create({
+      data: {
+        orderId: order.id,
+        shiprocketOrderId: shiprocketOrder.orderId.toString(),
+        shiprocketShipmentId: shiprocketOrder.shipmentId.toString(),
+        currentStatus: 'PENDING'
+      }
+    });
+  }
+
+  if (shippingDetails.awbCode) {
+    return shippingDetails;
+  }
+
+  const shipmentId = parseInt(shippingDetails.shiprocketShipmentId);
+
+  // Get available couriers
+  const couriers = await shiprocketClient.getAvailableCouriers(shipmentId);
+  const selectedCourier = couriers.length > 0 ? couriers[0] : null;
+
+  if (!selectedCourier) {
+    throw new Error('No courier available for this shipment yet');
+  }
+
+  // Generate AWB
+  const awbDetails = await shiprocketClient.generateAWB(shipmentId, selectedCourier.id);
+
+  // Request pickup
+  await shiprocketClient.requestPickup(shipmentId);
+
+  return prisma.shippingDetails.update({
+    where: { id: shippingDetails.id },
+    data: {
+      awbCode: awbDetails?.awbCode || null,
+      courierName: awbDetails?.courierName || selectedCourier.name || null,
+      currentStatus: 'PROCESSING'
+    }
+  });
+};
+
+/**
+ * Save the shipment outcome on the order and release its lease
+ *
+ * Only logs on failure: the shipment itself may already exist, and a lease
+ * left behind expires on its own.
+ */
+const recordShipmentOutcome = async (orderId, data) => {
+  try {
+    await prisma.order.update({
+      where: { id: orderId },
+      data: { ...data, shipmentLockedUntil: null }
+    });
+  } catch (error) {
+    console.error(`Failed to record shipment outcome for order ${orderId}:`, error.message);
+  }
+};
+
+/**
+ * Count a failed attempt and schedule the next one from the stored count
+ * (callers' order snapshots may be stale), releasing the lease
+ */
+const recordFailedAttempt = async (orderId, message) => {
+  try {
+    const { shipmentAttempts } = await prisma.order.update({
+      where: { id: orderId },
+      data: {
+        shipmentAttempts: { increment: 1 },
+        shipmentLastError: message
+      },
+      select: { shipmentAttempts: true }
+    });
+
+    await recordShipmentOutcome(orderId, {
+      shipmentNextRetryAt: shipmentAttempts < getMaxRetryAttempts()
+        ? new Date(Date.now() + getRetryDelayMinutes(shipmentAttempts) * 60 * 1000)
+        : null
+    });
+  } catch (error) {
+    console.error(`Failed to record shipment outcome for order ${orderId}:`, error.message);
+  }
+};
+
+/**
+ * Try to create the shipment and record the outcome on the order
+ *
+ * The order is leased first (shipmentLockedUntil), so the retry job and an
+ * admin retry can't create two Shiprocket orders for it at the same time.
+ *
+ * Never throws - a failure schedules the next automatic retry.
+ *
+ * @param {Object} order - Order with orderItems (incl. product)
+ * @returns {Promise<Object>} { shippingDetails, error, code }
+ *   code is SHIPMENT_IN_PROGRESS when another attempt holds the lease, or
+ *   ORDER_NOT_SHIPPABLE when the order is no longer PAID / CONFIRMED
+ */
+const attemptShipment = async (order) => {
+  try {
+    const now = new Date();
+    const { count } = await prisma.order.updateMany({
+      where: {
+        id: order.id,
+        status: { in: SHIPPABLE_STATUSES }, // e.g. not cancelled since the caller loaded it
+        OR: [
+          { shipmentLockedUntil: null },
+          { shipmentLockedUntil: { lte: now } }
+        ]
+      },
+      data: { shipmentLockedUntil: new Date(now.getTime() + SHIPMENT_LEASE_MINUTES * 60 * 1000) }
+    });
+
+    if (count === 0) {
+      const current = await prisma.order.findUnique({
+        where: { id: order.id },
+        select: { status: true }
+      });
+
+      if (!current || !SHIPPABLE_STATUSES.includes(current.status)) {
+        return { shippingDetails: null, error: `Order is ${current ? current.status : 'missing'}`, code: 'ORDER_NOT_SHIPPABLE' };
+      }
+
+      return { shippingDetails: null, error: 'Shipment creation is already in progress', code: 'SHIPMENT_IN_PROGRESS' };
+    }
+  } catch (leaseError) {
+    console.error(`Shipment lease error for order ${order.id}:`, leaseError.message);
+    return { shippingDetails: null, error: leaseError.message, code: null };
+  }
+
+  try {
+    const user = order.userId
+      ? await prisma.user.findUnique({
+        where: { id: order.userId },
+        select: { name: true, email: true, phone: true, phoneVerified: true }
+      })
+      : { name: order.guestName, email: order.guestEmail, phone: order.guestPhone, phoneVerified: true };
+
+    const shippingDetails = await createShipmentForOrder(order, user);
+
+    if (!shippingDetails) {
+      throw new Error('Shiprocket did not accept the order');
+    }
+
+    await recordShipmentOutcome(order.id, {
+      shipmentLastError: null,
+      shipmentNextRetryAt: null
+    });
+
+    return { shippingDetails, error: null, code: null };
+
+  } catch (shipError) {
+    if (shipError.code === 'PHONE_NOT_VERIFIED') {
+      // Not a Shiprocket failure - wait for the customer instead of retrying
+      await recordShipmentOutcome(order.id, {
+        shipmentLastError: shipError.message,
+        shipmentNextRetryAt: null
+      });
+
+      return { shippingDetails: null, error: shipError.message, code: shipError.code };
+    }
+
+    console.error(`Shiprocket Error for order ${order.id} (non-blocking):`, shipError.message);
+
+    await recordFailedAttempt(order.id, shipError.message);
+
+    return { shippingDetails: null, error: shipError.message, code: null };
+  }
+};
+
+/**
+ * Queue a user's orders that are waiting for a shipment for the retry job
+ * (called once their phone is verified)
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} Number of orders queued
+ */
+const queueShipmentsForUser = async (userId) => {
+  const { count } = await prisma.order.updateMany({
+    where: {
+      ...MISSING_SHIPMENT_WHERE,
+      userId
+    },
+    data: { shipmentNextRetryAt: new Date() }
+  });
+
+  return count;
+};
+
+module.exports = {
+  MISSING_SHIPMENT_WHERE,
+  createShipmentForOrder,
+  attemptShipment,
+  queueShipmentsForUser
+};
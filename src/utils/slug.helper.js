@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+
+/**
+ * SEO Slugs for Products and Categories
+ *
+ * - A slug is generated from the name on create ("Ashwagandha Powder" ->
+ *   "ashwagandha-powder", then "ashwagandha-powder-2" if that is taken)
+ * - Renaming keeps the slug, so links stay stable; admins change it by
+ *   sending `slug`
+ * - The old slug is kept as a redirect to the item, and can't be reused by
+ *   another item (only reclaimed by the same one)
+ */
+
+const SLUG_MAX_LENGTH = 80;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_NUMBERED_ATTEMPTS = 20;
+const SEO_FIELDS = ['metaTitle', 'metaDescription', 'ogImageUrl'];
+
+const SLUG_MODELS = {
+  product: { model: 'product', redirect: 'productSlugRedirect', owner: 'productId' },
+  category: { model: 'category', redirect: 'categorySlugRedirect', owner: 'categoryId' }
+};
+
+/**
+ * URL slug from a name: lower-case ASCII words joined by hyphens
+ */
+const slugify = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '') // accents
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, SLUG_MAX_LENGTH)
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Whether a route parameter is an ID (otherwise it is treated as a slug)
+ */
+const isUuid = (value) => UUID_PATTERN.test(value);
+
+/**
+ * Pick meta title / description / OG image from a request body
+ *
+ * Only fields present in the body are returned; empty values clear them.
+ */
+const pickSeoFields = (body) => {
+  const fields = {};
+  for (const field of SEO_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field] ? String(body[field]).trim() : null;
+    }
+  }
+  return fields;
+};
+
+/**
+ * Whether a slug belongs to another item, as its current or an old slug
+ *
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} entity - 'product' | 'category'
+ * @param {string} slug
+ * @param {string|null} ownId - The item being saved (null when creating)
+ */
+const isSlugTaken = async (client, entity, slug, ownId = null) => {
+  const { model, redirect, owner } = SLUG_MODELS[entity];
+
+  const [current, old] = await Promise.all([
+    client[model].findUnique({ where: { slug }, select: { id: true } }),
+    client[redirect].findUnique({ where: { slug }, select: { [owner]: true } })
+  ]);
+
+  return Boolean((current && current.id !== ownId) || (old && old[owner] !== ownId));
+};
+
+/**
+ * First free slug for a name: the plain slug, then -2, -3, ...
+ *
+ * @returns {Promise<string>}
+ */
+const generateUniqueSlug = async (client, entity, name) => {
+  const base = slugify(name) || entity;
+
+  for (let attempt = 1; attempt <= MAX_NUMBERED_ATTEMPTS; attempt++) {
+    const suffix = attempt === 1 ? '' : `-${attempt}`;
+    const candidate = `${base.slice(0, SLUG_MAX_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+
+    if (!(await isSlugTaken(client, entity, candidate))) {
+      return candidate;
+    }
+  }
+
+  // Very common names: fall back to a random suffix
+  const suffix = `-${crypto.randomBytes(3).toString('hex')}`;
+  return `${base.slice(0, SLUG_MAX_LENGTH - suffix.length).replace(/-+$/, '')}${suffix}`;
+};
+
+/**
+ * Slug for a new item: the admin's slug if free, else one from the name
+ *
+ * @returns {Promise<Object>} { slug } or { error: { status, message } }
+ */
+const resolveNewSlug = async (client, entity, slug, name) => {
+  if (!slug) {
+    return { slug: await generateUniqueSlug(client, entity, name) };
+  }
+
+  if (await isSlugTaken(client, entity, slug)) {
+    return { error: { status: 400, message: 'Slug is already in use' } };
+  }
+
+  return { slug };
+};
+
+/**
+ * Move an item to a new slug, keeping the current one as a redirect.
+ * Call inside a transaction, before updating the item's slug.
+ *
+ * @param {Object} client - Transaction client
+ * @param {string} entity - 'product' | 'category'
+ * @param {string} id - Item ID
+ * @param {string} slug - New slug
+ * @returns {Promise<Object|null>} { status, message } when not allowed, else null
+ */
+const changeSlug = async (client, entity, id, slug) => {
+  const { model, redirect, owner } = SLUG_MODELS[entity];
+
+  const item = await client[model].findUnique({
+    where: { id },
+    select: { slug: true }
+  });
+
+  // Missing item: the update that follows reports it
+  if (!item || item.slug === slug) return null;
+
+  if (await isSlugTaken(client, entity, slug, id)) {
+    return { status: 400, message: 'Slug is already in use' };
+  }
+
+  // Reclaiming one of the item's own old slugs
+  await client[redirect].deleteMany({ where: { slug, [owner]: id } });
+  await client[redirect].create({ data: { slug: item.slug, [owner]: id } });
+
+  return null;
+};
+
+/**
+ * Current slug of the item an old slug points to
+ *
+ * @returns {Promise<string|null>}
+ */
+const findRedirectSlug = async (entity, slug) => {
+  const { model, redirect } = SLUG_MODELS[entity];
+
+  const old = await prisma[redirect].findUnique({
+    where: { slug },
+    include: {
+      [model]: { select: { slug: true } }
+    }
+  });
+
+  return old ? old[model].slug : null;
+};
+
+module.exports = {
+  SLUG_MAX_LENGTH,
+  SLUG_PATTERN,
+  slugify,
+  isUuid,
+  pickSeoFields,
+  resolveNewSlug,
+  changeSlug,
+  findRedirectSlug
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+
+/**
+ * TOTP (RFC 6238)
+ *
+ * 6 digit, 30 second, HMAC-SHA1 codes - the defaults every authenticator
+ * app (Google Authenticator, Authy, 1Password ...) understands.
+ * Secrets are base32 for the provisioning URI and AES-256-GCM encrypted at
+ * rest with TWO_FACTOR_ENCRYPTION_KEY (falls back to JWT_SECRET).
+ */
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || 'Ayurvedic Store';
+
+const getEncryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 secret');
+    bits += index.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * New random secret (160 bits, base32)
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Current 30 second time step
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / PERIOD_SECONDS);
+
+/**
+ * Code for a secret at a time step
+ */
+const generateTotp = (secret, step = getTimeStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % Math.pow(10, DIGITS)).toString().padStart(DIGITS, '0');
+};
+
+/**
+ * Check a code, allowing one step of clock drift either way
+ *
+ * @returns {number|null} The matching time step (to block replays), null if wrong
+ */
+const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const currentStep = getTimeStep();
+
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI for the enrollment QR code
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Shown in the authenticator app (email or phone)
+ */
+const buildOtpauthUrl = (secret, accountName) => {
+  const issuer = getIssuer();
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Encrypt a secret for storage ("iv:tag:ciphertext", hex)
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('hex')).join(':');
+};
+
+/**
+ * Decrypt a stored secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map(part => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  generateSecret,
+  getTimeStep,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret
+};
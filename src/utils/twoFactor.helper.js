@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('../config/database');
+const { isStaffRole } = require('../config/permissions');
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUrl,
+  encryptSecret,
+  decryptSecret
+} = require('./totp.helper');
+
+/**
+ * Two-Factor Authentication (TOTP)
+ *
+ * - Enrollment: setup stores a pending secret, enable confirms it with a
+ *   code from the app and returns BACKUP_CODE_COUNT one-time backup codes
+ * - Login: a correct password (or phone OTP) for an enrolled account only
+ *   returns a short-lived challenge token (TWO_FACTOR_CHALLENGE_EXPIRES_MINUTES,
+ *   default 5); the session starts once a TOTP or backup code is sent with it
+ * - A TOTP code is accepted once (the last used time step is stored)
+ * - Backup codes are stored as HMACs and are single use
+ * - TWO_FACTOR_REQUIRED_FOR_STAFF=true makes 2FA mandatory for every staff
+ *   role: until they enroll, staff can log in but not use admin routes
+ */
+
+const BACKUP_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = 'two-factor-login';
+
+const getChallengeExpiryMinutes = () => parseInt(process.env.TWO_FACTOR_CHALLENGE_EXPIRES_MINUTES) || 5;
+const getSecret = () => process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+const isTwoFactorRequired = (role) => process.env.TWO_FACTOR_REQUIRED_FOR_STAFF === 'true' && isStaffRole(role);
+
+const normalizeBackupCode = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+
+const hashBackupCode = (userId, code) => crypto
+  .createHmac('sha256', getSecret())
+  .update(`${userId}:${normalizeBackupCode(code)}`)
+  .digest('hex');
+
+/**
+ * Start enrollment: store a new pending secret
+ *
+ * @param {Object} user - { id, email, phone }
+ * @returns {Promise<Object>} { secret, otpauthUrl } or { error, status }
+ */
+const startEnrollment = async (user) => {
+  const current = await prisma.user.findUnique({
+    where: { id: user.id },
+    select: { twoFactorEnabled: true }
+  });
+
+  if (current.twoFactorEnabled) {
+    return { error: 'Two-factor authentication is already enabled', status: 400 };
+  }
+
+  const secret = generateSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null }
+  });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, user.email || user.phone || user.id)
+  };
+};
+
+/**
+ * Replace all backup codes with a new set
+ *
+ * @returns {Promise<string[]>} Plain codes (shown to the user once)
+ */
+const regenerateBackupCodes = async (userId) => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await prisma.$transaction([
+    prisma.twoFactorBackupCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorBackupCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashBackupCode(userId, code) }))
+    })
+  ]);
+
+  return codes;
+};
+
+/**
+ * Accept a TOTP code once (rejects codes from an already used time step)
+ */
+const consumeTotp = async (user, code) => {
+  if (!user.twoFactorSecret) return false;
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+  if (step === null) return false;
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastStep: null },
+        { twoFactorLastStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastStep: step }
+  });
+
+  return count === 1;
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ *
+ * @returns {Promise<Object>} { backupCodes } or { error, status }
+ */
+const confirmEnrollment = async (userId, code) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, twoFactorEnabled: true, twoFactorSecret: true, twoFactorLastStep: true }
+  });
+
+  if (user.twoFactorEnabled) {
+    return { error: 'Two-factor authentication is already enabled', status: 400 };
+  }
+
+  if (!user.twoFactorSecret) {
+    return { error: 'Start two-factor setup first', status: 400 };
+  }
+
+  if (!(await consumeTotp(user, code))) {
+    return { error: 'Invalid authentication code', status: 400 };
+  }
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: { twoFactorEnabled: true, twoFactorEnabledAt: new Date() }
+  });
+
+  return { backupCodes: await regenerateBackupCodes(userId) };
+};
+
+/**
+ * Check a second factor: a TOTP code or an unused backup code
+ *
+ * @param {string} userId
+ * @param {Object} factor - { code } or { backupCode }
+ * @returns {Promise<Object>} { valid, method, backupCodesRemaining? }
+ */
+const verifySecondFactor = async (userId, { code, backupCode }) => {
+  if (backupCode) {
+    const { count } = await prisma.twoFactorBackupCode.updateMany({
+      where: { userId, codeHash: hashBackupCode(userId, backupCode), usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) return { valid: false };
+
+    const backupCodesRemaining = await prisma.twoFactorBackupCode.count({
+      where: { userId, usedAt: null }
+    });
+
+    return { valid: true, method: 'backup_code', backupCodesRemaining };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, twoFactorEnabled: true, twoFactorSecret: true, twoFactorLastStep: true }
+  });
+
+  if (!user?.twoFactorEnabled) return { valid: false };
+
+  return (await consumeTotp(user, code))
+    ? { valid: true, method: 'totp' }
+    : { valid: false };
+};
+
+/**
+ * Turn 2FA off and delete the secret and backup codes
+ */
+const disableTwoFactor = (userId) => prisma.$transaction([
+  prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorEnabledAt: null,
+      twoFactorLastStep: null
+    }
+  }),
+  prisma.twoFactorBackupCode.deleteMany({ where: { userId } })
+]);
+
+/**
+ * Token for the second login step (no session is created yet)
+ */
+const createLoginChallenge = (user) => jwt.sign(
+  { userId: user.id, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: `${getChallengeExpiryMinutes()}m` }
+);
+
+/**
+ * Read a challenge token
+ *
+ * @returns {Object} { userId } or { error }
+ */
+const verifyLoginChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+      return { error: 'Invalid two-factor challenge' };
+    }
+
+    return { userId: decoded.userId };
+  } catch (error) {
+    return {
+      error: error.name === 'TokenExpiredError'
+        ? 'Two-factor challenge has expired. Please login again.'
+        : 'Invalid two-factor challenge'
+    };
+  }
+};
+
+module.exports = {
+  getChallengeExpiryMinutes,
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  regenerateBackupCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge
+};
@@ -0,0 +1,82 @@
+/**
+ * Product Variant Helpers
+ *
+ * A product may be sold as a single unit (price and stock on the product)
+ * or as several pack sizes (price and stock on each ProductVariant).
+ * These helpers hide that difference from cart, wishlist and checkout code.
+ */
+
+/**
+ * Resolve the variant a shopper picked for a product
+ *
+ * @param {Object} product - Product including its `variants`
+ * @param {string} [variantId] - Variant ID sent by the client
+ * @returns {{ variant: Object|null, error: Object|null }}
+ *   `error` carries { status, message } ready to be sent back
+ */
+const resolveVariant = (product, variantId) => {
+  const activeVariants = (product.variants || []).filter(v => v.isActive);
+
+  if (!variantId) {
+    if (activeVariants.length > 0) {
+      return {
+        variant: null,
+        error: { status: 400, message: `Please select a pack size for "${product.name}"` }
+      };
+    }
+    return { variant: null, error: null };
+  }
+
+  const variant = (product.variants || []).find(v => v.id === variantId);
+
+  if (!variant) {
+    return {
+      variant: null,
+      error: { status: 404, message: 'Product variant not found' }
+    };
+  }
+
+  if (!variant.isActive) {
+    return {
+      variant: null,
+      error: { status: 400, message: `"${product.name} - ${variant.label}" is not available` }
+    };
+  }
+
+  return { variant, error: null };
+};
+
+/**
+ * Get price, stock and SKU for a product / variant pair
+ *
+ * @param {Object} product - Product record
+ * @param {Object|null} variant - ProductVariant record, if any
+ * @returns {Object} Sellable unit details
+ */
+const getSellableUnit = (product, variant) => {
+  if (variant) {
+    return {
+      variantId: variant.id,
+      label: variant.label,
+      sku: variant.sku,
+      name: `${product.name} - ${variant.label}`,
+      realPrice: variant.realPrice,
+      price: variant.discountedPrice,
+      stockQuantity: variant.stockQuantity,
+      isActive: product.isActive && variant.isActive
+    };
+  }
+
+  return {
+    variantId: null,
+    label: null,
+    sku: null,
+    name: product.name,
+    realPrice: product.realPrice,
+    price: product.discountedPrice,
+    stockQuantity: product.stockQuantity,
+    isActive: product.isActive
+  };
+};
+
+module.exports = { resolveVariant, getSellableUnit };
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/database');
+
+/**
+ * Webhook Helpers
+ *
+ * - Signatures are HMAC-SHA256 over the raw request body (req.rawBody,
+ *   captured by webhook.routes.js), compared in constant time
+ * - Every delivery is stored in webhook_events for audit and reprocessing
+ *   (rejected ones as metadata only)
+ * - (provider, eventId) is unique, so a replayed event is recognised and
+ *   not applied twice. Failed events may be retried by the provider.
+ */
+
+/**
+ * Check a hex HMAC-SHA256 signature against the raw body
+ *
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signature - Signature header value
+ * @param {string} secret - Shared webhook secret
+ * @returns {boolean}
+ */
+const isValidSignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+
+  const expected = Buffer.from(
+    crypto.createHmac('sha256', secret).update(rawBody).digest('hex'),
+    'utf8'
+  );
+  const received = Buffer.from(String(signature), 'utf8');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Stable ID for providers that don't send an event ID
+ */
+const hashPayload = (rawBody) => crypto.createHash('sha256').update(rawBody || '').digest('hex');
+
+const MAX_REJECTED_EVENT_TYPE_LENGTH = 100;
+
+/**
+ * Store an incoming webhook
+ *
+ * Rejected deliveries (bad signature) are stored without an event ID so
+ * they can't block the genuine event, and only as metadata (sender IP and
+ * body size) since anyone can send them. A repeat of a FAILED event is let
+ * through again; any other repeat is flagged as a duplicate.
+ *
+ * @param {Object} data - { provider, eventId, eventType, payload, signatureValid, ip, size }
+ * @returns {Promise<Object>} WebhookEvent record plus `duplicate` flag
+ */
+const recordWebhookEvent = async ({ provider, eventId, eventType, payload, signatureValid, ip, size }) => {
+  if (!signatureValid) {
+    const rejected = await prisma.webhookEvent.create({
+      data: {
+        provider,
+        eventType: typeof eventType === 'string' ? eventType.slice(0, MAX_REJECTED_EVENT_TYPE_LENGTH) : null,
+        payload: { ip: ip || null, size: size || 0 },
+        signatureValid: false,
+        status: 'REJECTED'
+      }
+    });
+    return { ...rejected, duplicate: false };
+  }
+
+  try {
+    const event = await prisma.webhookEvent.create({
+      data: {
+        provider,
+        eventId,
+        eventType,
+        payload,
+        signatureValid: true
+      }
+    });
+    return { ...event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+
+  // Seen before - retry only if the earlier attempt failed
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: { provider, eventId, status: 'FAILED' },
+    data: {
+      status: 'RECEIVED',
+      attempts: { increment: 1 }
+    }
+  });
+
+  const existing = await prisma.webhookEvent.findUnique({
+    where: { provider_eventId: { provider, eventId } }
+  });
+
+  return { ...existing, duplicate: count === 0 };
+};
+
+/**
+ * Run a stored event through its processor and record the outcome
+ *
+ * @param {Object} event - WebhookEvent record
+ * @param {Function} processor - async (payload) => void
+ */
+const processWebhookEvent = async (event, processor) => {
+  try {
+    await processor(event.payload);
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: 'PROCESSED',
+        error: null,
+        processedAt: new Date()
+      }
+    });
+  } catch (error) {
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: 'FAILED',
+        error: error.message
+      }
+    });
+    throw error;
+  }
+};
+
+module.exports = {
+  isValidSignature,
+  hashPayload,
+  recordWebhookEvent,
+  processWebhookEvent
+};